@@ -0,0 +1,394 @@
+// analytics.js
+// This script provides the functionality for the analytics.html page.
+// It lists the recent links in the user's Bit.ly account with their click
+// totals, and shows clicks over time, referrers and countries for the link
+// the user selects. Data comes from bitly-analytics.js, which caches it.
+
+import { getProviderDefaults } from './providers.js';
+import { getStoredSettings } from './credential-store.js';
+import { loadAnalyticsLinks, loadLinkMetrics } from './bitly-analytics.js';
+
+/**
+ * Saved settings, loaded once when the page opens.
+ *
+ * @type {PocketLinkSettings}
+ */
+let settings;
+
+/**
+ * The currently selected link, if any.
+ *
+ * @type {AnalyticsLink|null}
+ */
+let selectedLink = null;
+
+/**
+ * Sort column and direction per table, keyed by table id.
+ *
+ * @type {Object<string, {key: string, direction: ('ascending'|'descending')}>}
+ */
+const sortStates = {
+  links: { key: 'clicks', direction: 'descending' },
+  referrers: { key: 'clicks', direction: 'descending' },
+  countries: { key: 'clicks', direction: 'descending' },
+};
+
+/**
+ * The unsorted rows last rendered in each table, so header clicks can re-sort.
+ *
+ * @type {Object<string, Array<Object>>}
+ */
+const tableRows = {};
+
+/**
+ * Country names in the user's language, e.g. "US" → "United States".
+ *
+ * @type {Intl.DisplayNames}
+ */
+const countryNames = new Intl.DisplayNames(undefined, { type: 'region' });
+
+/**
+ * Displays a message below the tables.
+ *
+ * @param {string} message - Text to show (empty to clear)
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+const showStatus = (message, isError = false) => {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+  status.classList.toggle('success', !isError);
+};
+
+/**
+ * Turns an API error into a message an editor can act on.
+ *
+ * @param {Error} error - Error from bitlyFetch()
+ * @returns {string}
+ */
+const describeError = (error) => {
+  if (error.status === 401 || error.status === 403) {
+    return 'Bit.ly rejected your access token. Check it in the settings.';
+  }
+  if (error.status === 429) {
+    return 'Bit.ly rate limit reached. Try again in a few minutes.';
+  }
+  return `Unable to load analytics: ${error.message}`;
+};
+
+/**
+ * Compares two rows by a column. Missing values (e.g. clicks a plan does not
+ * report) always sort last.
+ *
+ * @param {Object} a - Row
+ * @param {Object} b - Row
+ * @param {string} key - Column key
+ * @returns {number}
+ */
+const compareRows = (a, b, key) => {
+  const left = a[key];
+  const right = b[key];
+  if (left == null || right == null) {
+    return (left == null) - (right == null);
+  }
+  if (typeof left === 'number') {
+    return left - right;
+  }
+  return String(left).localeCompare(String(right));
+};
+
+/**
+ * Renders a sortable table body using the table's current sort state.
+ *
+ * @param {string} tableId - Table element id (and key into `sortStates`)
+ * @param {Array<Object>} rows - Unsorted rows
+ * @param {function(Object): HTMLTableRowElement} renderRow - Builds one row
+ */
+const renderTable = (tableId, rows, renderRow) => {
+  tableRows[tableId] = { rows, renderRow };
+  const { key, direction } = sortStates[tableId];
+  const sign = direction === 'ascending' ? 1 : -1;
+  const sorted = [...rows].sort((a, b) => {
+    // Keep missing values last in both directions
+    if (a[key] == null || b[key] == null) {
+      return compareRows(a, b, key);
+    }
+    return sign * compareRows(a, b, key);
+  });
+
+  const table = document.getElementById(tableId);
+  table.querySelectorAll('th').forEach((th) => {
+    if (th.dataset.key === key) {
+      th.setAttribute('aria-sort', direction);
+    } else {
+      th.removeAttribute('aria-sort');
+    }
+  });
+
+  const tbody = table.querySelector('tbody');
+  tbody.textContent = '';
+  sorted.forEach((row) => tbody.appendChild(renderRow(row)));
+};
+
+/**
+ * Creates a table cell.
+ *
+ * @param {string} text - Cell text
+ * @param {boolean} [numeric=false] - Right-align the cell
+ * @returns {HTMLTableCellElement}
+ */
+const createCell = (text, numeric = false) => {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  cell.title = text;
+  if (numeric) {
+    cell.className = 'numeric';
+  }
+  return cell;
+};
+
+/**
+ * Builds a row of the links table. Clicking it shows the link's details.
+ *
+ * @param {AnalyticsLink} link - The link
+ * @returns {HTMLTableRowElement}
+ */
+const renderLinkRow = (link) => {
+  const row = document.createElement('tr');
+  row.classList.toggle('selected', link.id === selectedLink?.id);
+  row.appendChild(createCell(link.title || link.longUrl));
+  row.appendChild(createCell(link.link));
+  row.appendChild(createCell(new Date(link.createdAt).toLocaleDateString(), true));
+  row.appendChild(createCell(link.clicks == null ? '–' : link.clicks.toLocaleString(), true));
+  row.addEventListener('click', () => selectLink(link));
+  return row;
+};
+
+/**
+ * Returns a row builder for a referrers or countries table. Each row has a
+ * bar under the label showing its share of the largest source.
+ *
+ * @param {number} maxClicks - Clicks of the top source
+ * @param {function(string): string} [formatLabel] - Turns the raw value into display text
+ * @returns {function(MetricRow): HTMLTableRowElement}
+ */
+const metricRowRenderer = (maxClicks, formatLabel = (value) => value) => (metric) => {
+  const row = document.createElement('tr');
+  const label = createCell(formatLabel(metric.value));
+  const bar = document.createElement('span');
+  bar.className = 'share';
+  bar.style.width = `${maxClicks ? (metric.clicks / maxClicks) * 100 : 0}%`;
+  label.appendChild(bar);
+  row.appendChild(label);
+  row.appendChild(createCell(metric.clicks.toLocaleString(), true));
+  return row;
+};
+
+/**
+ * Fills a referrers or countries table, or explains why it is empty.
+ *
+ * @param {string} tableId - "referrers" or "countries"
+ * @param {Array<MetricRow>|null} metrics - Rows, or null if the plan lacks them
+ * @param {function(string): string} [formatLabel] - Display text for a value
+ */
+const renderMetricTable = (tableId, metrics, formatLabel) => {
+  if (!metrics?.length) {
+    const tbody = document.getElementById(tableId).querySelector('tbody');
+    tbody.textContent = '';
+    const row = document.createElement('tr');
+    const cell = createCell(metrics ? 'No clicks in this period.' : 'Not included in your Bit.ly plan.');
+    cell.colSpan = 2;
+    cell.classList.add('muted');
+    row.appendChild(cell);
+    tbody.appendChild(row);
+    delete tableRows[tableId];
+    return;
+  }
+
+  const maxClicks = Math.max(...metrics.map((metric) => metric.clicks));
+  renderTable(tableId, metrics, metricRowRenderer(maxClicks, formatLabel));
+};
+
+/**
+ * Draws clicks per day as an SVG bar chart with a light grid.
+ *
+ * @param {Array<{date: string, clicks: number}>} points - Oldest first
+ */
+const renderClicksChart = (points) => {
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const chart = document.getElementById('clicksChart');
+  chart.textContent = '';
+
+  const width = 600;
+  const height = 180;
+  const padding = { top: 10, right: 10, bottom: 22, left: 36 };
+  chart.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  chart.setAttribute('preserveAspectRatio', 'none');
+
+  const create = (name, attributes, text) => {
+    const element = document.createElementNS(svgNs, name);
+    Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    chart.appendChild(element);
+    return element;
+  };
+
+  const max = Math.max(1, ...points.map((point) => point.clicks));
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  // Grid lines at 0, half and the maximum
+  [0, 0.5, 1].forEach((fraction) => {
+    const y = padding.top + plotHeight * (1 - fraction);
+    create('line', { x1: padding.left, x2: width - padding.right, y1: y, y2: y });
+    create('text', { x: padding.left - 6, y: y + 4, 'text-anchor': 'end' }, Math.round(max * fraction).toLocaleString());
+  });
+
+  const slot = plotWidth / Math.max(1, points.length);
+  points.forEach((point, index) => {
+    const barHeight = (point.clicks / max) * plotHeight;
+    const bar = create('rect', {
+      x: padding.left + index * slot + slot * 0.15,
+      y: padding.top + plotHeight - barHeight,
+      width: slot * 0.7,
+      height: barHeight,
+    });
+    const tooltip = document.createElementNS(svgNs, 'title');
+    tooltip.textContent = `${new Date(point.date).toLocaleDateString()}: ${point.clicks.toLocaleString()} clicks`;
+    bar.appendChild(tooltip);
+  });
+
+  if (points.length) {
+    const labelY = height - 6;
+    create('text', { x: padding.left, y: labelY }, new Date(points[0].date).toLocaleDateString());
+    create('text', { x: width - padding.right, y: labelY, 'text-anchor': 'end' },
+      new Date(points[points.length - 1].date).toLocaleDateString());
+  }
+};
+
+/**
+ * Shows when the data on screen was fetched.
+ *
+ * @param {number} fetchedAt - Timestamp in milliseconds
+ */
+const showUpdated = (fetchedAt) => {
+  document.getElementById('updated').textContent = `Updated ${new Date(fetchedAt).toLocaleTimeString()}`;
+};
+
+/**
+ * Loads and renders the details of one link.
+ *
+ * @param {AnalyticsLink} link - The link to show
+ * @param {boolean} [refresh=false] - Bypass the local cache
+ */
+const selectLink = async (link, refresh = false) => {
+  selectedLink = link;
+  renderTable('links', tableRows.links.rows, renderLinkRow);
+
+  const details = document.getElementById('details');
+  document.getElementById('detailsTitle').textContent = link.title || link.link;
+  details.hidden = false;
+  showStatus('Loading link details...');
+
+  try {
+    const days = parseInt(document.getElementById('period').value, 10);
+    const { data, fetchedAt } = await loadLinkMetrics(link.id, settings, days, refresh);
+    // Ignore late responses for a link the user has since moved away from
+    if (selectedLink !== link) {
+      return;
+    }
+    renderClicksChart(data.clicks);
+    renderMetricTable('referrers', data.referrers);
+    renderMetricTable('countries', data.countries, (code) => {
+      try {
+        return countryNames.of(code) || code;
+      } catch (error) {
+        // Bitly reports unknown locations with non-ISO codes
+        return code;
+      }
+    });
+    showUpdated(fetchedAt);
+    showStatus('');
+  } catch (error) {
+    showStatus(describeError(error), true);
+  }
+};
+
+/**
+ * Loads the link list, then re-selects the previously selected link if it
+ * is still listed.
+ *
+ * @param {boolean} [refresh=false] - Bypass the local cache
+ */
+const loadLinks = async (refresh = false) => {
+  const refreshButton = document.getElementById('refresh');
+  refreshButton.disabled = true;
+  showStatus('Loading links...');
+
+  try {
+    const days = parseInt(document.getElementById('period').value, 10);
+    const { data, fetchedAt } = await loadAnalyticsLinks(settings, days, refresh);
+    renderTable('links', data, renderLinkRow);
+    showUpdated(fetchedAt);
+    showStatus(data.length ? '' : 'No links found in your Bit.ly account.');
+
+    const previous = selectedLink && data.find((link) => link.id === selectedLink.id);
+    if (previous) {
+      await selectLink(previous, refresh);
+    } else {
+      selectedLink = null;
+      document.getElementById('details').hidden = true;
+    }
+  } catch (error) {
+    showStatus(describeError(error), true);
+  } finally {
+    refreshButton.disabled = false;
+  }
+};
+
+/**
+ * Reads the settings and starts loading, unless Bit.ly is not configured.
+ */
+const initialize = async () => {
+  settings = await getStoredSettings(getProviderDefaults());
+
+  if (settings.credentialsLocked) {
+    document.getElementById('refresh').disabled = true;
+    showStatus('Your credentials are locked. Enter your passphrase in the settings to unlock them.', true);
+    return;
+  }
+
+  if (settings.provider !== 'bitly' || !settings.bitlyToken) {
+    document.getElementById('refresh').disabled = true;
+    showStatus('Click analytics are available for Bit.ly links. Select Bit.ly and add your access token in the settings.', true);
+    return;
+  }
+
+  await loadLinks();
+};
+
+// --- Event Listeners ---
+
+document.addEventListener('DOMContentLoaded', initialize);
+document.getElementById('period').addEventListener('change', () => loadLinks());
+document.getElementById('refresh').addEventListener('click', () => loadLinks(true));
+
+document.querySelectorAll('th[data-key]').forEach((th) => {
+  th.addEventListener('click', () => {
+    const tableId = th.closest('table').id;
+    const state = sortStates[tableId];
+    if (state.key === th.dataset.key) {
+      state.direction = state.direction === 'ascending' ? 'descending' : 'ascending';
+    } else {
+      // Numbers read best largest-first, text alphabetically
+      state.key = th.dataset.key;
+      state.direction = th.classList.contains('numeric') ? 'descending' : 'ascending';
+    }
+
+    if (tableRows[tableId]) {
+      renderTable(tableId, tableRows[tableId].rows, tableRows[tableId].renderRow);
+    }
+  });
+});
@@ -2,7 +2,8 @@
  * @fileoverview PocketLink Background Service Worker
  *
  * This module implements the core functionality for the PocketLink Chrome extension,
- * which creates shortened URLs using the Bitly API and copies them to the clipboard.
+ * which creates shortened URLs using the configured shortening service (Bit.ly by
+ * default, see providers.js) and copies them to the clipboard.
  *
  * ## Architecture Overview
  *
@@ -19,15 +20,29 @@
  * 3. **Popup Mode**: Opens a popup window displaying the shortened URL with a
  *    manual copy button. Used as fallback when other modes fail.
  *
+ * The modes are implemented in clipboard.js and the shortening itself in
+ * shortener.js. This module registers the event listeners, which Chrome
+ * requires to happen during the worker's first evaluation, and connects
+ * them to those modules.
+ *
  * ## Chrome API Dependencies
  *
  * - `chrome.contextMenus` - Right-click menu integration
  * - `chrome.storage.sync` - Persistent settings storage (synced across devices)
- * - `chrome.storage.local` - Temporary data storage (popup shortlink)
+ * - `chrome.storage.local` - Temporary data storage (popup shortlink),
+ *   shortlink history, the shortlink cache, the error log and the queue of
+ *   shortlinks waiting to be retried
+ * - `chrome.storage.session` - Hand-off of tab lists to the bulk page, the
+ *   buttons of pending error notifications, the unlocked credential key and
+ *   the links created this session
  * - `chrome.scripting` - Script injection for clipboard access
  * - `chrome.offscreen` - Offscreen document creation (Chrome 109+)
+ * - `chrome.commands` - Keyboard shortcuts declared in manifest.json
+ * - `chrome.omnibox` - The `pl` address bar keyword
+ * - `chrome.alarms` - Retrying queued shortlinks later and refreshing Bit.ly
+ *   sign-in tokens
  * - `chrome.runtime` - Extension messaging and lifecycle
- * - `chrome.notifications` - User notifications
+ * - `chrome.notifications` - User notifications, with buttons that fix errors
  * - `chrome.windows` - Popup window creation
  * - `chrome.tabs` - Active tab querying
  *
@@ -37,14 +52,38 @@
  *
  * ### Outbound Messages (to offscreen.js)
  * ```javascript
- * { action: 'copyToClipboard', text: string }
+ * { action: 'copyToClipboard', text: string, html?: string }
+ * // Response: { success: boolean, error?: string }
+ *
+ * { action: 'copyImageToClipboard', dataUrl: string }   // PNG data: URL
  * // Response: { success: boolean, error?: string }
  * ```
  *
- * ### Inbound Messages (from popup.js)
+ * ### Inbound Messages (from popup.js and other extension pages)
  * ```javascript
- * { action: 'createShortlinkFromPopup' }
- * // Response: { success: boolean, shortUrl?: string, error?: string }
+ * { action: 'createShortlinkFromPopup', utmTemplateId?: string, copyFormat?: string, domain?: string }
+ * // Response: { success: boolean, shortUrl?: string, longUrl?: string, content?: Object, error?: string, errorType?: string }
+ *
+ * { action: 'getPopupState' }
+ * // Response: { success: boolean, tab, provider, profile, account, recentLinks, ... }
+ *
+ * { action: 'getDomainChoices' }
+ * // Response: { success: boolean, choices?: Array<{value, label}>, error?: string }
+ *
+ * { action: 'createCustomShortlink', url: string, keyword?: string, title?: string, tags?: string[] }
+ * // Response: { success: boolean, shortUrl?: string, error?: string, errorCode?: string, errorType?: string }
+ *
+ * { action: 'shortenUrl', url: string, title?: string }   // from bulk.js
+ * // Response: { success: boolean, shortUrl?: string, longUrl?: string, error?: string, errorType?: string }
+ *
+ * { action: 'copyText', text: string }                    // from bulk.js
+ * // Response: { success: boolean, error?: string }
+ *
+ * { action: 'copyImage', dataUrl: string }                // from popup.js (QR code)
+ * // Response: { success: boolean, error?: string }
+ *
+ * { action: 'expandShortlink', url: string }              // from popup.js
+ * // Response: { success: boolean, hops?, finalUrl?, status?, needsPermission?, origins?, error?: string }
  * ```
  *
  * @author PocketLink Contributors
@@ -52,10 +91,75 @@
  * @see {@link https://developer.chrome.com/docs/extensions/mv3/service_workers/}
  */
 
+import { getProvider, getStoredConnectionStatus, KEYWORD_TAKEN_ERROR } from './providers.js';
+import { resolveProfileSettings } from './profiles.js';
+import {
+  BITLY_TOKEN_REFRESH_ALARM,
+  BITLY_TOKEN_REFRESH_MARGIN_MS,
+  getBitlyOAuthSession,
+  refreshBitlyToken,
+} from './bitly-oauth.js';
+import { getHistory, getSessionLinks } from './shortlink-history.js';
+import { cacheShortlink } from './shortlink-cache.js';
+import { applyUtmTemplate, UTM_MENU_PREFIX } from './utm-templates.js';
+import { COPY_FORMAT_MENU_PREFIX, COPY_FORMATS, formatShortlinks } from './copy-formats.js';
+import {
+  assertShortenableUrl,
+  classifyShortlinkError,
+  createShortlinkError,
+  getShortlinkErrorDetails,
+  logShortlinkError,
+  SHORTLINK_ERROR_TYPES,
+} from './shortlink-errors.js';
+import {
+  deferQueuedShortlink,
+  enqueueShortlink,
+  getShortlinkQueue,
+  isQueueableError,
+  removeQueuedShortlink,
+  SHORTLINK_QUEUE_ALARM,
+  SHORTLINK_QUEUE_MAX_ATTEMPTS,
+} from './shortlink-queue.js';
+import { EXPAND_MAX_LINKS, EXPAND_ORIGINS, expandShortlink } from './link-expander.js';
+import {
+  describeOmniboxLink,
+  escapeOmniboxText,
+  findOmniboxLinks,
+  findOwnedLink,
+  OMNIBOX_SEARCH_DELAY_MS,
+  parseOmniboxUrl,
+} from './omnibox.js';
+import { addTextFragment, createTextFragment, readSelectionForFragment } from './text-fragments.js';
+import { getSettings, migrateSettings } from './settings-schema.js';
+import {
+  getCredentialsError,
+  getOrCreateShortlink,
+  getShortenSettings,
+  prepareLongUrl,
+  recordShortlink,
+  shortenPreparedUrls,
+} from './shortener.js';
+import {
+  copyViaOffscreen,
+  copyWithoutTab,
+  handleShortlink,
+  sendToOffscreen,
+  showNotification,
+} from './clipboard.js';
+
 /**
+ * Settings as returned by `getSettings()` (see settings-schema.js, which
+ * holds the defaults and applies any enterprise policy).
+ *
  * @typedef {Object} PocketLinkSettings
+ * @property {string} provider - Id of the shortening service to use (see
+ *   `SHORTENER_PROVIDERS` in providers.js). Defaults to `'bitly'`.
  * @property {string} bitlyToken - Bitly API access token for authentication.
- *   Obtain from https://app.bitly.com/settings/api/
+ *   Obtain from https://app.bitly.com/settings/api/. Other providers store
+ *   their credentials under the keys listed in their `fields`. Credentials
+ *   are kept in sync, local or encrypted storage (see credential-store.js).
+ * @property {boolean} [credentialsLocked] - Set by `getStoredSettings()` when
+ *   encrypted credentials have not been unlocked in this browser session
  * @property {('offscreen'|'injection'|'popup')} interactionMode - Clipboard copy method:
  *   - `'offscreen'` - Use offscreen document (Chrome 109+, most reliable)
  *   - `'injection'` - Inject script into active tab (may fail on restricted pages)
@@ -64,12 +168,33 @@
  *   for success/error states
  * @property {boolean} fallbackMode - If true, automatically falls back to popup
  *   mode when the primary mode fails (except when already using popup mode)
- */
-
-/**
- * @typedef {Object} ClipboardResult
- * @property {boolean} success - Whether the clipboard operation succeeded
- * @property {string} [message] - Error message if operation failed
+ * @property {boolean} cacheEnabled - If true, reuse a previously created shortlink
+ *   for the same long URL instead of calling the provider again
+ * @property {number} cacheTtlDays - How many days a cached shortlink is reused for
+ * @property {Array<UtmTemplate>} utmTemplates - Named UTM parameter sets offered
+ *   in the context menu (see utm-templates.js)
+ * @property {string} shortcutUtmTemplateId - Id of the template the
+ *   `shorten-with-utm` keyboard shortcut applies; empty means the first template
+ * @property {boolean} cleanUrls - If true, strip tracking parameters before
+ *   shortening (see url-cleaner.js)
+ * @property {string} cleanUrlRules - Extra parameter names or `*` patterns to
+ *   strip, one per line
+ * @property {boolean} preferCanonical - If true, shorten the page's
+ *   `<link rel="canonical">` URL instead of the address bar URL when available
+ * @property {string} copyFormat - How shortlinks are written to the clipboard
+ *   (one of the `COPY_FORMATS` ids in copy-formats.js). Defaults to `'plain'`.
+ * @property {string} copyTemplate - Template for the `custom` copy format, with
+ *   `{title}`, `{url}`, `{long_url}` and `{date}` placeholders
+ * @property {Array<Profile>} profiles - Named accounts with their own provider,
+ *   credentials, UTM template and copy format (see profiles.js)
+ * @property {Array<ProfileRule>} profileRules - Hostnames that always use a
+ *   given profile
+ * @property {string} activeProfileId - Profile used when no site rule
+ *   matches; empty uses the settings above
+ * @property {string} [profileId] - Set by `resolveProfileSettings()` when a
+ *   profile was applied
+ * @property {Array<string>} lockedSettings - Settings locked by enterprise
+ *   policy, which always have the policy's value
  */
 
 /**
@@ -80,611 +205,1281 @@
  */
 
 /**
- * Tracks whether an offscreen document has been created in this session.
- * Used as fallback for Chrome versions < 116 that don't support getContexts().
+ * Creates the right-click context menu items for the extension.
  *
- * @type {boolean}
- * @private
- */
-let offscreenDocumentCreated = false;
-
-/**
- * Ensures an offscreen document exists for clipboard operations.
+ * Registers the context menu items that appear when right-clicking on any page:
  *
- * This function manages the lifecycle of offscreen documents, which are required
- * in Manifest V3 to access APIs like the Clipboard that need a DOM context.
+ * - `pocketlink` triggers the one-click shortlink creation flow
+ * - `pocketlink-customize` opens the popup's "edit before shortening" form
+ * - `pocketlink-utm` is a submenu with one `pocketlink-utm:<id>` item per saved
+ *   UTM template (only created when at least one template exists)
  *
- * ## Chrome Version Compatibility
+ * - `pocketlink-bulk-tabs` opens the bulk page pre-filled with the window's
+ *   tabs; it is also added to the toolbar icon's right-click menu (`action`)
  *
- * The function handles multiple Chrome API versions:
+ * and the items that shorten something other than the page itself:
  *
- * - **Chrome 116+**: Uses `chrome.runtime.getContexts()` to check for existing
- *   offscreen documents. This is the preferred method as it's reliable across
- *   service worker restarts.
+ * - `pocketlink-link` shortens a right-clicked hyperlink (`info.linkUrl`)
+ * - `pocketlink-format:<format id>` items shorten the page and copy it in a
+ *   specific format, overriding the default for that one copy
+ * - `pocketlink-media` shortens a right-clicked image, video or audio file (`info.srcUrl`)
+ * - `pocketlink-selection` shortens every URL found in the selected text
+ * - `pocketlink-text-fragment` shortens a link to the selected text itself
+ *   (a `#:~:text=` URL, see text-fragments.js)
  *
- * - **Chrome 109-115**: Falls back to tracking document creation via the
- *   `offscreenDocumentCreated` flag. Less reliable as the flag resets on
- *   service worker restart.
+ * With more than one item, Chrome groups them under a "PocketLink" submenu.
+ * Existing items are removed first so the menu can be rebuilt whenever the
+ * templates change, and re-running this on update never fails with duplicate ids.
  *
- * - **Chrome < 109**: Throws an error as offscreen documents are not supported.
+ * ## Context Types
  *
- * ## Why This Matters
+ * The `contexts: ['page']` setting means the menu item appears when:
+ * - Right-clicking on the page background
+ * - Right-clicking on elements without their own context menu
  *
- * Service workers in Manifest V3 can be terminated at any time. When restarted,
- * the `offscreenDocumentCreated` flag resets to false, but the offscreen document
- * may still exist. Attempting to create a duplicate throws an error. The
- * `getContexts()` API (Chrome 116+) solves this by querying actual document state.
+ * Right-clicking a link, image, video, audio element or selected text shows
+ * the matching `link`, `image`/`video`/`audio` or `selection` item instead.
  *
  * @async
- * @returns {Promise<boolean>} `true` if a new document was created,
- *   `false` if one already existed
- * @throws {Error} If offscreen documents are not supported (Chrome < 109)
- *
- * @example
- * try {
- *   const created = await ensureOffscreenDocument();
- *   console.log(created ? 'New document created' : 'Using existing document');
- * } catch (error) {
- *   console.error('Offscreen not supported:', error);
- * }
+ * @returns {Promise<void>}
  *
- * @see {@link https://developer.chrome.com/docs/extensions/reference/offscreen/}
- * @see {@link https://developer.chrome.com/docs/extensions/reference/runtime/#method-getContexts}
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/contextMenus/}
  */
-const ensureOffscreenDocument = async () => {
-  // Check if offscreen API is available (Chrome 109+)
-  if (!chrome.offscreen?.createDocument) {
-    throw new Error('Offscreen documents are not supported in this browser.');
-  }
+const setupContextMenu = async () => {
+  const { utmTemplates } = await getSettings();
 
-  // Chrome 116+ provides getContexts() to reliably check for existing documents
-  if (chrome.runtime.getContexts) {
-    try {
-      const contexts = await chrome.runtime.getContexts({
-        contextTypes: ['OFFSCREEN_DOCUMENT'],
-        documentUrls: [chrome.runtime.getURL('offscreen.html')],
-      });
+  await chrome.contextMenus.removeAll();
 
-      if (contexts.length > 0) {
-        return false; // Document already exists, no need to create
-      }
-    } catch (error) {
-      console.warn('Failed to query offscreen contexts, creating a new one:', error);
-    }
-  } else if (offscreenDocumentCreated) {
-    // Fallback for Chrome 109-115: use module-level flag (less reliable)
-    return false;
-  }
+  chrome.contextMenus.create({
+    id: 'pocketlink',
+    title: 'Create shortlink with PocketLink',
+    contexts: ['page'],
+  });
+
+  chrome.contextMenus.create({
+    id: 'pocketlink-customize',
+    title: 'Customize shortlink before creating...',
+    contexts: ['page'],
+  });
+
+  if (utmTemplates.length) {
+    chrome.contextMenus.create({
+      id: 'pocketlink-utm',
+      title: 'Create shortlink with UTM template',
+      contexts: ['page'],
+    });
 
-  // Handle API version differences for the CLIPBOARD reason enum
-  // Chrome 109-113 may not have Reason enum, requiring string fallback
-  const clipboardReason = chrome.offscreen.Reason?.CLIPBOARD ?? 'CLIPBOARD';
+    utmTemplates.forEach((template) => {
+      chrome.contextMenus.create({
+        id: `${UTM_MENU_PREFIX}${template.id}`,
+        parentId: 'pocketlink-utm',
+        title: template.name,
+        contexts: ['page'],
+      });
+    });
+  }
 
-  await chrome.offscreen.createDocument({
-    url: 'offscreen.html',
-    reasons: [clipboardReason],
-    justification: 'Write shortlink to clipboard',
+  chrome.contextMenus.create({
+    id: 'pocketlink-format',
+    title: 'Copy shortlink as',
+    contexts: ['page'],
   });
-  offscreenDocumentCreated = true;
-  return true;
-};
 
-/**
- * Copies text to clipboard by injecting a script into the active tab.
- *
- * This is the "injection mode" clipboard method. It works by executing a script
- * in the context of the target tab, which gives access to the page's Clipboard API.
- *
- * ## How It Works
- *
- * 1. Uses `chrome.scripting.executeScript` to inject code into the target tab
- * 2. The injected code runs `navigator.clipboard.writeText()` in the page context
- * 3. The result is returned through the Chrome scripting API's result mechanism
- *
- * ## Result Structure
- *
- * The `executeScript` API returns an array of InjectionResults. Each result has:
- * - `result`: The return value of the injected function
- * - `frameId`: The frame where the script ran
- *
- * We destructure `[result]` to get the first (main frame) result, then access
- * `result.result` to get our `{ success, message }` object.
- *
- * ## Limitations
- *
- * This method fails on:
- * - `chrome://` pages (browser internal pages)
- * - `chrome-extension://` pages (other extensions)
- * - `file://` URLs (unless extension has file access)
- * - `about:` pages
- * - Pages with restrictive Content Security Policy
- *
- * @async
- * @param {string} text - The text to copy to the clipboard
- * @param {number} tabId - The Chrome tab ID to inject the script into
- * @returns {Promise<void>} Resolves when copy succeeds
- * @throws {Error} If clipboard write fails or script injection is blocked
- *
- * @example
- * try {
- *   await copyToClipboard('https://bit.ly/example', 12345);
- *   console.log('Copied successfully');
- * } catch (error) {
- *   console.error('Copy failed:', error.message);
- * }
- *
- * @see {@link https://developer.chrome.com/docs/extensions/reference/scripting/#method-executeScript}
- */
-const copyToClipboard = async (text, tabId) => {
-  try {
-    // Execute script in target tab's context to access its Clipboard API
-    // Returns array of InjectionResults; we only need the main frame result
-    const [result] = await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: async (textToCopy) => {
-        try {
-          await navigator.clipboard.writeText(textToCopy);
-          return { success: true };
-        } catch (error) {
-          return { success: false, message: error.message };
-        }
-      },
-      args: [text],
+  COPY_FORMATS.forEach((format) => {
+    chrome.contextMenus.create({
+      id: `${COPY_FORMAT_MENU_PREFIX}${format.id}`,
+      parentId: 'pocketlink-format',
+      title: format.label,
+      contexts: ['page'],
     });
+  });
 
-    // result.result contains our { success, message } object from the injected function
-    if (!result?.result?.success) {
-      throw new Error(result?.result?.message || 'Clipboard write failed');
-    }
+  chrome.contextMenus.create({
+    id: 'pocketlink-bulk-tabs',
+    title: 'Create shortlinks for all tabs in this window',
+    contexts: ['page', 'action'],
+  });
 
-    console.log('Successfully copied to clipboard:', text);
-  } catch (err) {
-    console.error('Failed to copy text: ', err);
-    throw err;
-  }
+  chrome.contextMenus.create({
+    id: 'pocketlink-link',
+    title: 'Create shortlink for this link',
+    contexts: ['link'],
+  });
+
+  chrome.contextMenus.create({
+    id: 'pocketlink-media',
+    title: 'Create shortlink for this media file',
+    contexts: ['image', 'video', 'audio'],
+  });
+
+  chrome.contextMenus.create({
+    id: 'pocketlink-selection',
+    title: 'Create shortlinks for links in "%s"',
+    contexts: ['selection'],
+  });
+
+  chrome.contextMenus.create({
+    id: 'pocketlink-text-fragment',
+    title: 'Create shortlink to this quote',
+    contexts: ['selection'],
+  });
+
+  chrome.contextMenus.create({
+    id: 'pocketlink-expand-link',
+    title: 'Expand shortlink',
+    contexts: ['link'],
+  });
+
+  chrome.contextMenus.create({
+    id: 'pocketlink-expand-selection',
+    title: 'Expand shortlinks in "%s"',
+    contexts: ['selection'],
+  });
 };
 
 /**
- * Displays a desktop notification to the user.
- *
- * Uses the Chrome notifications API to show a basic notification with the
- * extension's icon. Notifications are non-blocking and auto-dismiss.
- *
- * @param {string} message - The notification body text
- * @param {string} [title="PocketLink"] - The notification title
- * @returns {void}
- *
- * @example
- * showNotification('Shortlink copied to clipboard!');
- * showNotification('API Error', 'PocketLink Error');
+ * The latest context menu rebuild (see `rebuildContextMenu()`).
  *
- * @see {@link https://developer.chrome.com/docs/extensions/reference/notifications/}
+ * @type {Promise<void>}
  */
-const showNotification = (message, title = "PocketLink") => {
-  chrome.notifications.create({
-    type: 'basic',
-    iconUrl: 'icons/icon128.png',
-    title: title,
-    message: message,
-  });
-};
+let contextMenuRebuild = Promise.resolve();
 
 /**
- * Creates the right-click context menu item for the extension.
- *
- * Registers a context menu item that appears when right-clicking on any page.
- * The menu item triggers the shortlink creation flow when clicked.
- *
- * ## Context Types
- *
- * The `contexts: ['page']` setting means the menu item appears when:
- * - Right-clicking on the page background
- * - Right-clicking on elements without their own context menu
- *
- * Other possible contexts (not used): 'selection', 'link', 'image', 'video', etc.
+ * Rebuilds the context menu once any rebuild in progress has finished.
+ * Running two at once would interleave their `removeAll()` and `create()`
+ * calls and fail with duplicate ids. Failures are logged, as the listeners
+ * that ask for a rebuild don't wait for it.
  *
- * @returns {void}
- *
- * @see {@link https://developer.chrome.com/docs/extensions/reference/contextMenus/}
+ * @returns {Promise<void>}
  */
-const setupContextMenu = () => {
-  chrome.contextMenus.create({
-    id: 'pocketlink',
-    title: 'Create shortlink with PocketLink',
-    contexts: ['page'],
-  });
+const rebuildContextMenu = () => {
+  contextMenuRebuild = contextMenuRebuild
+    .then(setupContextMenu)
+    .catch((error) => console.error('Failed to set up the context menu:', error));
+  return contextMenuRebuild;
 };
 
 /**
  * Extension Installation Handler
  *
  * Runs once when the extension is first installed or updated.
- * Sets up the context menu for right-click functionality.
+ * Brings stored settings up to the current version (see
+ * `migrateSettings()`), then sets up the context menu for right-click
+ * functionality.
  *
  * @listens chrome.runtime.onInstalled
  */
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
   console.log('PocketLink extension installed. Setting up context menu.');
-  setupContextMenu();
+  try {
+    await migrateSettings();
+  } catch (error) {
+    console.error('Failed to migrate settings:', error);
+  }
+  rebuildContextMenu();
 });
 
 /**
- * Context Menu Click Handler
+ * Settings Change Handler
  *
- * Main entry point for shortlink creation. Triggered when user right-clicks
- * and selects "Create shortlink with PocketLink".
- *
- * ## Flow
- *
- * 1. Load user settings from chrome.storage.sync
- * 2. Validate Bitly API token exists
- * 3. Create shortlink via Bitly API
- * 4. Copy/display shortlink based on interaction mode preference
- * 5. Show notification if enabled
+ * Rebuilds the context menu when UTM templates are added, renamed or removed
+ * on the options page, or by an enterprise policy, so the template submenu
+ * always matches the saved list.
  *
- * ## Error Handling
+ * @listens chrome.storage.onChanged
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if ((areaName === 'sync' || areaName === 'managed') && (changes.utmTemplates || changes.lockedSettings)) {
+    rebuildContextMenu();
+  }
+});
+
+/**
+ * Context Menu Click Handler
  *
- * - Missing token: Opens options page with notification
- * - API errors: Shows error notification
- * - Clipboard errors: Falls back to popup mode (if fallbackMode enabled)
+ * Main entry point for shortlink creation. Triggered when user right-clicks
+ * and selects "Create shortlink with PocketLink", one of the UTM template
+ * items, or the link, media or selection items; all of them run
+ * `shortenAndCopy()` with the URL(s) the item targets. The "Customize
+ * shortlink" item instead opens the popup's edit form (see `showCustomizePopup()`),
+ * and the "Expand shortlink" items show where links lead (see `showExpandPopup()`).
+ * "Create shortlink to this quote" shortens the page with a text fragment
+ * for the selection (see `getSelectionFragment()`).
  *
  * @listens chrome.contextMenus.onClicked
- * @param {chrome.contextMenus.OnClickData} info - Click event data containing pageUrl
+ * @param {chrome.contextMenus.OnClickData} info - Click event data containing
+ *   pageUrl, and linkUrl, srcUrl or selectionText (with frameId and frameUrl)
+ *   depending on the context
  * @param {chrome.tabs.Tab} tab - The tab where the context menu was invoked
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === 'pocketlink-customize') {
+    const settings = await getSettings();
+    await showCustomizePopup(await prepareLongUrl(info.pageUrl, tab, settings), tab?.title);
+    return;
+  }
+
   if (info.menuItemId === 'pocketlink') {
-    console.log('Context menu clicked. Starting process...');
+    await shortenAndCopy(info.pageUrl, tab);
+    return;
+  }
 
-    try {
-      // Load settings with defaults from synced storage
-      const settings = await chrome.storage.sync.get({
-        bitlyToken: '',
-        interactionMode: 'injection',
-        showNotifications: true,
-        fallbackMode: true
-      });
+  if (info.menuItemId === 'pocketlink-bulk-tabs') {
+    await showBulkPage(tab?.windowId);
+    return;
+  }
 
-      // Token validation - prompt user to configure if missing
-      if (!settings.bitlyToken) {
-        if (settings.showNotifications) {
-          showNotification('Please set your Bitly API key in the options.');
-        }
-        chrome.runtime.openOptionsPage();
-        return;
-      }
+  if (String(info.menuItemId).startsWith(COPY_FORMAT_MENU_PREFIX)) {
+    const copyFormat = String(info.menuItemId).slice(COPY_FORMAT_MENU_PREFIX.length);
+    await shortenAndCopy(info.pageUrl, tab, { copyFormat });
+    return;
+  }
+
+  if (String(info.menuItemId).startsWith(UTM_MENU_PREFIX)) {
+    const utmTemplateId = String(info.menuItemId).slice(UTM_MENU_PREFIX.length);
+    await shortenAndCopy(info.pageUrl, tab, { utmTemplateId });
+    return;
+  }
 
-      // Create shortlink via Bitly API
-      const shortUrl = await createShortlink(info.pageUrl, settings.bitlyToken);
+  // The page title does not describe a link target or media file, so these
+  // are recorded in history without one
+  if (info.menuItemId === 'pocketlink-link') {
+    await shortenAndCopy(info.linkUrl, tab, { title: '' });
+    return;
+  }
 
-      // Handle clipboard/display based on user's interaction mode preference
-      await handleShortlink(shortUrl, settings, tab);
+  if (info.menuItemId === 'pocketlink-media') {
+    await shortenAndCopy(info.srcUrl, tab, { title: '' });
+    return;
+  }
 
-    } catch (error) {
-      console.error('PocketLink error:', error);
-      const settings = await chrome.storage.sync.get({ showNotifications: true });
-      if (settings.showNotifications) {
-        showNotification('Error creating shortlink. Please try again.');
-      }
+  if (info.menuItemId === 'pocketlink-selection') {
+    const urls = extractUrls(info.selectionText);
+    if (!urls.length) {
+      await notifyIfEnabled('No links found in the selected text.');
+      return;
+    }
+    await shortenAndCopy(urls, tab, { title: '' });
+    return;
+  }
+
+  if (info.menuItemId === 'pocketlink-text-fragment') {
+    const textFragment = await getSelectionFragment(tab, info);
+    if (!textFragment) {
+      await notifyIfEnabled('Select some text to link to first.');
+      return;
     }
+    // A quote inside a frame belongs to the frame's page
+    await shortenAndCopy(info.frameUrl || info.pageUrl, tab, { textFragment });
+    return;
+  }
+
+  if (info.menuItemId === 'pocketlink-expand-link') {
+    await showExpandPopup([info.linkUrl]);
+    return;
+  }
+
+  if (info.menuItemId === 'pocketlink-expand-selection') {
+    const urls = extractUrls(info.selectionText);
+    if (!urls.length) {
+      await notifyIfEnabled('No links found in the selected text.');
+      return;
+    }
+    await showExpandPopup(urls.slice(0, EXPAND_MAX_LINKS));
   }
 });
 
 /**
- * Creates a shortened URL using the Bitly API.
- *
- * Makes a POST request to Bitly's v4 shorten endpoint to create a new short link.
- *
- * ## API Request
- *
- * ```http
- * POST https://api-ssl.bitly.com/v4/shorten
- * Content-Type: application/json
- * Authorization: Bearer <token>
+ * Keyboard Shortcut Handler
  *
- * { "long_url": "https://example.com/very/long/url" }
- * ```
- *
- * ## API Response (Success)
- *
- * ```json
- * {
- *   "link": "https://bit.ly/abc123",
- *   "id": "bit.ly/abc123",
- *   "long_url": "https://example.com/very/long/url",
- *   "created_at": "2024-01-01T00:00:00+0000"
- * }
- * ```
+ * Handles the `commands` declared in manifest.json. Users can change or
+ * assign the key combinations at chrome://extensions/shortcuts.
  *
- * ## Common Error Codes
+ * - `shorten-page` shortens the current page and copies it, exactly like
+ *   the "Create shortlink with PocketLink" menu item
+ * - `shorten-with-utm` does the same with the UTM template chosen on the
+ *   options page (the first template if none was chosen)
+ * - `open-last-shortlink` opens the most recent history entry in a new tab
  *
- * | Status | Meaning |
- * |--------|---------|
- * | 400 | Invalid URL format or already a Bitly link |
- * | 401 | Invalid or expired API token |
- * | 403 | Rate limit exceeded or account suspended |
- * | 500 | Bitly server error |
- *
- * @async
- * @param {string} url - The long URL to shorten
- * @param {string} token - Bitly API access token (obtain from https://app.bitly.com/settings/api/)
- * @returns {Promise<string>} The shortened URL (e.g., "https://bit.ly/abc123")
- * @throws {Error} If API request fails or response is invalid
- *
- * @example
- * const shortUrl = await createShortlink(
- *   'https://example.com/very/long/url',
- *   'your_bitly_token'
- * );
- * console.log(shortUrl); // "https://bit.ly/abc123"
- *
- * @see {@link https://dev.bitly.com/api-reference/#createBitlink}
- */
-async function createShortlink(url, token) {
-  const response = await fetch('https://api-ssl.bitly.com/v4/shorten', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`,
-    },
-    body: JSON.stringify({ long_url: url }),
-  });
+ * @listens chrome.commands.onCommand
+ * @param {string} command - The command name from manifest.json
+ * @param {chrome.tabs.Tab} [tab] - The active tab when the shortcut was pressed
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
 
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+  if (command === 'open-last-shortlink') {
+    const [latest] = await getHistory();
+    if (!latest) {
+      await notifyIfEnabled('You have not created any shortlinks yet.');
+      return;
+    }
+    await chrome.tabs.create({ url: latest.shortUrl, index: tab ? tab.index + 1 : undefined });
+    return;
   }
 
-  const data = await response.json();
+  // Unlike the page context menu, shortcuts also fire on chrome:// pages,
+  // the new tab page and the Web Store, which cannot be shortened
+  if (!/^https?:/i.test(tab?.url || '')) {
+    await notifyIfEnabled('PocketLink can only shorten web pages.');
+    return;
+  }
 
-  if (!data || !data.link) {
-    throw new Error('Invalid response from Bit.ly API');
+  if (command === 'shorten-page') {
+    await shortenAndCopy(tab.url, tab);
+    return;
   }
 
-  return data.link;
-}
+  if (command === 'shorten-with-utm') {
+    const { utmTemplates, shortcutUtmTemplateId } = await getSettings();
+    const template = utmTemplates.find((item) => item.id === shortcutUtmTemplateId) || utmTemplates[0];
+    if (!template) {
+      await notifyIfEnabled('Add a UTM template in the PocketLink options first.');
+      return;
+    }
+    await shortenAndCopy(tab.url, tab, { utmTemplateId: template.id });
+  }
+});
 
 /**
- * Routes the shortlink to the appropriate clipboard/display method based on user settings.
- *
- * Acts as a controller that dispatches to one of three handlers:
- * - `copyViaOffscreen()` for offscreen mode
- * - `copyToClipboard()` for injection mode
- * - `showInPopup()` for popup mode
+ * Links offered by the latest address bar suggestions, by shortlink, so
+ * entering one copies it with its title. Lost when the service worker
+ * stops; `findOwnedLink()` still recognizes the shortlink then.
  *
- * ## Interaction Modes
- *
- * | Mode | Method | Pros | Cons |
- * |------|--------|------|------|
- * | `offscreen` | Offscreen document | Most reliable | Requires Chrome 109+ |
- * | `injection` | Script injection | Fast, no extra window | Fails on restricted pages |
- * | `popup` | Popup window | Always works | Requires manual copy |
+ * @type {Map<string, CopyLink>}
+ */
+let omniboxSuggestions = new Map();
+
+/**
+ * Pending account search for the address bar keyword (see
+ * `OMNIBOX_SEARCH_DELAY_MS`).
  *
- * ## Fallback Behavior
+ * @type {number|undefined}
+ */
+let omniboxSearchTimer;
+
+/**
+ * Omnibox Input Handler
  *
- * When `settings.fallbackMode` is true and the primary mode fails:
- * - `offscreen` → falls back to `popup`
- * - `injection` → falls back to `popup`
- * - `popup` → no fallback (throws error)
+ * Updates the suggestions while the user types after the `pl` keyword. A
+ * URL gets only the default "Shorten and copy" suggestion; words are
+ * searched in the history and the provider's account once typing pauses.
  *
- * The popup mode never has a fallback because it's the most permissive
- * (always works) and is itself the fallback target.
+ * @listens chrome.omnibox.onInputChanged
+ * @param {string} text - Text typed after the keyword
+ * @param {function(Array<chrome.omnibox.SuggestResult>): void} suggest - Shows suggestions
+ */
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  const url = parseOmniboxUrl(text);
+  const query = text.trim();
+  clearTimeout(omniboxSearchTimer);
+
+  if (url) {
+    chrome.omnibox.setDefaultSuggestion({ description: `Shorten and copy <url>${escapeOmniboxText(url)}</url>` });
+  } else if (query) {
+    chrome.omnibox.setDefaultSuggestion({ description: `Copy your best matching shortlink for <match>${escapeOmniboxText(query)}</match>` });
+  } else {
+    chrome.omnibox.setDefaultSuggestion({ description: 'Type a URL to shorten it, or words to find one of your shortlinks' });
+  }
+
+  if (url || !query) {
+    suggest([]);
+    return;
+  }
+
+  omniboxSearchTimer = setTimeout(async () => {
+    try {
+      const links = await findOmniboxLinks(query, await getShortenSettings());
+      omniboxSuggestions = new Map(links.map((link) => [link.shortUrl, link]));
+      suggest(links.map((link) => ({ content: link.shortUrl, description: describeOmniboxLink(link) })));
+    } catch (error) {
+      console.error('Omnibox search failed:', error);
+      suggest([]);
+    }
+  }, OMNIBOX_SEARCH_DELAY_MS);
+});
+
+/**
+ * Omnibox Entry Handler
  *
- * @async
- * @param {string} shortUrl - The shortened URL to copy/display
- * @param {PocketLinkSettings} settings - User settings object
- * @param {chrome.tabs.Tab} tab - The current tab (needed for injection mode)
- * @returns {Promise<void>}
- * @throws {Error} If primary mode fails and fallback is disabled or unavailable
+ * Copies the chosen suggestion (or another of the user's shortlinks),
+ * shortens any other entered URL, or copies the best match for entered
+ * words. No page is involved, so links are copied through
+ * the offscreen document (see `copyWithoutTab()`).
  *
- * @example
- * await handleShortlink('https://bit.ly/abc', settings, tab);
+ * @listens chrome.omnibox.onInputEntered
+ * @param {string} text - The chosen suggestion's content, or the typed text
  */
-async function handleShortlink(shortUrl, settings, tab) {
-  console.log(`Using interaction mode: ${settings.interactionMode}`);
+chrome.omnibox.onInputEntered.addListener(async (text) => {
+  const query = text.trim();
+  const url = parseOmniboxUrl(query);
+  const settings = await getShortenSettings();
+  const ownedLink = url && (omniboxSuggestions.get(query) || (await findOwnedLink(url, settings)));
+
+  if (url && !ownedLink) {
+    await shortenAndCopy(url);
+    return;
+  }
 
   try {
-    switch (settings.interactionMode) {
-      case 'offscreen':
-        await copyViaOffscreen(shortUrl, settings);
-        break;
-
-      case 'injection':
-        await copyToClipboard(shortUrl, tab.id);
-        if (settings.showNotifications) {
-          showNotification('Shortlink created and copied to clipboard!');
-        }
-        break;
-
-      case 'popup':
-        await showInPopup(shortUrl);
-        break;
-
-      default:
-        // Unknown mode - fallback to injection as it's the default
-        await copyToClipboard(shortUrl, tab.id);
-        if (settings.showNotifications) {
-          showNotification('Shortlink created and copied to clipboard!');
-        }
+    const link = ownedLink || (await findOmniboxLinks(query, settings))[0];
+    if (!link) {
+      await notifyIfEnabled(`None of your shortlinks match "${query}".`);
+      return;
     }
+    await copyWithoutTab(formatShortlinks([link], settings.copyFormat, settings.copyTemplate), settings);
   } catch (error) {
-    console.error(`${settings.interactionMode} mode failed:`, error);
+    console.error('Omnibox copy failed:', error);
+    await notifyIfEnabled(`Could not copy the shortlink: ${error.message}`);
+  }
+});
 
-    // Attempt fallback to popup mode if enabled and not already using popup
-    if (settings.fallbackMode && settings.interactionMode !== 'popup') {
-      console.log('Falling back to popup mode');
-      await showInPopup(shortUrl);
-    } else {
-      throw error;
-    }
+/**
+ * Shows a notification unless the user turned notifications off.
+ *
+ * @async
+ * @param {string} message - Notification body
+ * @returns {Promise<void>}
+ */
+async function notifyIfEnabled(message) {
+  const settings = await getSettings();
+  if (settings.showNotifications) {
+    showNotification(message);
   }
 }
 
 /**
- * Copies text to clipboard using an offscreen document.
- *
- * This is the "offscreen mode" clipboard method. It creates a hidden document
- * that has access to the Clipboard API, uses it to copy the text, then cleans up.
- *
- * ## Why Offscreen Documents?
- *
- * In Manifest V3, service workers don't have access to DOM APIs like `navigator.clipboard`.
- * Offscreen documents provide a way to create a hidden page that has full DOM access,
- * allowing clipboard operations without user interaction.
- *
- * ## Lifecycle Management
- *
- * 1. Check if an offscreen document already exists
- * 2. Create one if needed (track in `createdContext`)
- * 3. Send copy message to the offscreen document
- * 4. Clean up: close document if we created it (in `finally` block)
+ * Finds the web addresses in a block of text, such as a context menu selection.
  *
- * The `finally` block ensures cleanup happens even if the copy operation fails.
- * We only close documents we created to avoid closing documents that might
- * be reused by subsequent calls.
- *
- * ## Message Protocol
- *
- * Sends to offscreen.js:
- * ```javascript
- * { action: 'copyToClipboard', text: 'https://bit.ly/abc' }
- * ```
- *
- * Expected response:
- * ```javascript
- * { success: true } // or { success: false, error: 'reason' }
- * ```
+ * Matches `http(s)://` URLs and bare `www.` hostnames (which get `https://`
+ * prepended). Trailing punctuation that usually ends a sentence rather than
+ * the URL is dropped, and duplicates are removed while keeping order.
  *
- * @async
- * @param {string} shortUrl - The URL to copy to clipboard
- * @param {PocketLinkSettings} settings - User settings (for notification preference)
- * @returns {Promise<void>}
- * @throws {Error} If offscreen API unavailable or clipboard write fails
- * @requires Chrome 109+ for chrome.offscreen API
+ * @param {string} text - Text to search
+ * @returns {Array<string>} The URLs found, in order of appearance
  *
  * @example
- * await copyViaOffscreen('https://bit.ly/abc', { showNotifications: true });
- *
- * @see {@link https://developer.chrome.com/docs/extensions/reference/offscreen/}
+ * extractUrls('See https://example.com/a, and www.example.org.');
+ * // ['https://example.com/a', 'https://www.example.org']
  */
-async function copyViaOffscreen(shortUrl, settings) {
-  let createdContext = false;
-  try {
-    // Ensure offscreen document exists; track if we created it for cleanup
-    createdContext = await ensureOffscreenDocument();
-  } catch (error) {
-    console.error('Offscreen clipboard copy is unavailable:', error);
-    throw error;
-  }
+function extractUrls(text) {
+  const matches = (text || '').match(/\b(?:https?:\/\/|www\.)[^\s<>"']+/gi) || [];
+  const urls = matches
+    .map((match) => match.replace(/[.,;:!?)\]}]+$/, ''))
+    .map((match) => (/^www\./i.test(match) ? `https://${match}` : match));
+  return [...new Set(urls)];
+}
 
-  // Send copy request to offscreen document via chrome.runtime messaging
+/**
+ * Works out the text fragment for the selection a context menu click was
+ * made on, by running `readSelectionForFragment()` in the frame holding it.
+ * Where scripts can't run (e.g. a cross-origin frame or a restricted page),
+ * the fragment is built from the selected text alone, without the prefix
+ * and suffix that tell repeated quotes apart.
+ *
+ * @async
+ * @param {chrome.tabs.Tab} tab - The tab the menu was used in
+ * @param {chrome.contextMenus.OnClickData} info - Click data with `selectionText` and `frameId`
+ * @returns {Promise<TextFragment|null>} Null if nothing usable is selected
+ */
+async function getSelectionFragment(tab, info) {
   try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'copyToClipboard',
-      text: shortUrl
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+      func: readSelectionForFragment,
     });
-
-    if (!response?.success) {
-      throw new Error(response?.error || 'Clipboard write failed');
+    if (result?.result) {
+      return result.result;
     }
+  } catch (error) {
+    console.warn('Could not read the selection from the page:', error);
+  }
+  return createTextFragment(info.selectionText);
+}
 
-    if (settings.showNotifications) {
-      showNotification('Shortlink created and copied to clipboard!');
-    }
-  } finally {
-    // Clean up: only close the document if we created it in this call
-    // This prevents closing a document that another operation might need
-    if (createdContext) {
-      try {
-        await chrome.offscreen.closeDocument();
-      } catch (error) {
-        console.warn('Failed to close offscreen document:', error);
-      } finally {
-        offscreenDocumentCreated = false;
-      }
+/**
+ * Looks up the UTM template for a request: the one chosen for it, otherwise
+ * the template of the profile used for the page.
+ *
+ * @param {PocketLinkSettings} settings - Settings with the profile applied
+ * @param {string} [utmTemplateId] - Id of the template chosen for the request
+ * @returns {UtmTemplate|null} The template, or null to add no parameters
+ * @throws {Error} If the chosen template no longer exists
+ */
+function findUtmTemplate(settings, utmTemplateId) {
+  if (utmTemplateId) {
+    const template = settings.utmTemplates.find((item) => item.id === utmTemplateId);
+    if (!template) {
+      throw new Error(`UTM template ${utmTemplateId} no longer exists`);
     }
+    return template;
   }
+
+  // The profile's template is a default, so a deleted one is skipped quietly
+  return settings.utmTemplates.find((item) => item.id === settings.profileUtmTemplateId) || null;
 }
 
 /**
- * Displays the shortlink in a popup window for manual copying.
- *
- * This is the "popup mode" clipboard method and fallback for when other modes fail.
- * It creates a small popup window showing the shortlink with a copy button.
+ * Shortens one or more URLs and copies or displays the result.
  *
- * ## Storage Strategy
+ * This is the shared pipeline behind every one-click entry point. When
+ * several URLs are given (e.g. from a text selection) they are shortened one
+ * after another and the shortlinks are copied together, one per line.
  *
- * Uses `chrome.storage.local` (not `sync`) to store the shortlink temporarily:
- * - **local**: Fast, doesn't sync to other devices, suitable for ephemeral data
- * - **sync**: Slower, syncs across devices, better for persistent settings
- *
- * The popup reads this value on load and displays it. The value persists until
- * overwritten by the next shortlink creation.
- *
- * ## Popup Window Configuration
+ * ## Flow
  *
- * - **type: 'popup'**: Creates a minimal window without address bar or tabs
- * - **width: 360**: Compact width suitable for displaying short URLs
- * - **height: 200**: Minimal height for URL display and copy button
+ * 1. Load user settings from chrome.storage.sync
+ * 2. Validate the selected provider's credentials exist
+ * 3. Clean the URL (canonical link, tracking parameters) if enabled, and add
+ *    the text fragment for a quote, if any
+ * 4. Apply the chosen UTM template to the URL, if any
+ * 5. Create shortlink via the selected provider (or reuse a cached one)
+ * 6. Record the shortlink in the local history
+ * 7. Format the shortlink(s) with the chosen copy format
+ * 8. Copy/display the result based on interaction mode preference
+ * 9. Show notification if enabled
  *
- * ## Data Flow
+ * ## Error Handling
  *
- * ```
- * background.js                     popup.js
- *     │                                │
- *     ├─► storage.local.set() ────────►│
- *     │   { currentShortlink: url }    │
- *     │                                │
- *     ├─► windows.create() ───────────►│
- *     │   (opens popup.html)           │
- *     │                                ├─► storage.local.get()
- *     │                                │   reads currentShortlink
- *     │                                ├─► displays URL
- * ```
+ * - Missing credentials: Opens options page with notification
+ * - API errors: Logged, then shown as a notification specific to the error
+ *   type, with a button for the fix (see `showErrorNotification()`)
+ * - Offline, rate limited or service down (after `createShortlink()`'s own
+ *   retries): Queued to try again later (see `processShortlinkQueue()`)
+ * - Clipboard errors: Falls back to popup mode (if fallbackMode enabled)
  *
  * @async
- * @param {string} shortUrl - The shortened URL to display
+ * @param {string|Array<string>} longUrls - The URL or URLs to shorten
+ * @param {chrome.tabs.Tab} [tab] - The tab the request came from; without
+ *   one the link is copied through the offscreen document
+ * @param {Object} [options] - Per-request options
+ * @param {string} [options.utmTemplateId] - Id of the UTM template to apply;
+ *   defaults to the template of the profile used for the page, if any
+ * @param {string} [options.title] - Title to record in history; defaults to
+ *   the tab's title
+ * @param {string} [options.copyFormat] - Copy format for this request;
+ *   defaults to the saved `copyFormat` setting
+ * @param {TextFragment} [options.textFragment] - Quote to link to, added to
+ *   the URL after cleaning (see text-fragments.js)
  * @returns {Promise<void>}
+ */
+async function shortenAndCopy(longUrls, tab, { utmTemplateId, title = tab?.title, copyFormat, textFragment } = {}) {
+  console.log('Starting shortlink process for:', longUrls);
+
+  // Loaded once so a failure is reported with the settings the request used
+  const settings = await getShortenSettings(tab?.url || [].concat(longUrls)[0]);
+  let preparedUrls = null;
+  try {
+    // Credential validation - prompt user to configure if missing
+    const credentialsError = getCredentialsError(settings);
+    if (credentialsError) {
+      if (settings.showNotifications) {
+        showNotification(credentialsError);
+      }
+      chrome.runtime.openOptionsPage();
+      return;
+    }
+
+    const template = findUtmTemplate(settings, utmTemplateId);
+
+    preparedUrls = [];
+    for (let longUrl of [].concat(longUrls)) {
+      // Clean first so UTM parameters added below are never stripped
+      longUrl = await prepareLongUrl(longUrl, tab, settings);
+
+      // Added after cleaning so the canonical URL still replaces the page's
+      if (textFragment) {
+        longUrl = addTextFragment(longUrl, textFragment);
+      }
+
+      // Merge the template's UTM parameters into the URL before shortening
+      if (template) {
+        longUrl = applyUtmTemplate(longUrl, template);
+      }
+      preparedUrls.push(longUrl);
+    }
+
+    const links = await shortenPreparedUrls(preparedUrls, title, settings);
+    const content = formatShortlinks(links, copyFormat || settings.copyFormat, settings.copyTemplate);
+
+    // Handle clipboard/display based on user's interaction mode preference
+    if (tab) {
+      await handleShortlink(content, settings, tab);
+    } else {
+      await copyWithoutTab(content, settings);
+    }
+
+  } catch (error) {
+    console.error('PocketLink error:', error);
+    const details = await reportShortlinkError(error, settings, { url: [].concat(longUrls).join(' '), source: 'menu' });
+
+    // Offline or the service is struggling: keep the request for later
+    if (preparedUrls && isQueueableError(error)) {
+      await enqueueShortlink({ longUrls: preparedUrls, pageUrl: tab?.url, title, copyFormat }, error);
+      if (settings.showNotifications) {
+        showNotification(
+          "PocketLink will create the shortlink automatically once it can, and let you know when it's ready to copy.",
+          details.title
+        );
+      }
+      return;
+    }
+
+    if (settings.showNotifications) {
+      await showErrorNotification(details, {
+        longUrls,
+        tabId: tab?.id,
+        options: { utmTemplateId, title, copyFormat, textFragment },
+      });
+    }
+  }
+}
+
+/**
+ * The pass over the queue in progress, if any (see `processShortlinkQueue()`).
  *
- * @example
- * await showInPopup('https://bit.ly/abc123');
- * // Opens a 360x200 popup window showing the URL
+ * @type {Promise<void>|null}
+ */
+let shortlinkQueueRun = null;
+
+/**
+ * Tries the queued requests that are due (see shortlink-queue.js).
+ *
+ * Nothing is attempted while the browser reports being offline. Otherwise
+ * each due request is shortened; success shows a notification with a
+ * "Copy link" button, since the page that asked for the link may be long
+ * gone. This notification is shown even when notifications are turned off,
+ * as it is the only sign that the link exists. Requests that fail again are
+ * pushed back, and dropped with an error notification once they fail for a
+ * reason retrying cannot fix or run out of attempts.
+ *
+ * The alarm, the `online` event and browser startup can all ask for a pass
+ * at once; they share the one in progress, so no request is shortened twice.
+ * A pass that fails is logged rather than rejected, as none of them waits.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+function processShortlinkQueue() {
+  if (!shortlinkQueueRun) {
+    shortlinkQueueRun = runShortlinkQueue()
+      .catch((error) => console.error('Failed to process the shortlink queue:', error))
+      .finally(() => {
+        shortlinkQueueRun = null;
+      });
+  }
+  return shortlinkQueueRun;
+}
+
+/**
+ * Makes one pass over the queue for `processShortlinkQueue()`.
+ *
+ * @async
+ * @returns {Promise<void>}
+ * @private
+ */
+async function runShortlinkQueue() {
+  const queue = await getShortlinkQueue();
+  if (!queue.length) {
+    return;
+  }
+
+  if (navigator.onLine === false) {
+    console.log('Still offline; queued shortlinks wait for the connection');
+    await chrome.alarms.create(SHORTLINK_QUEUE_ALARM, { delayInMinutes: 1 });
+    return;
+  }
+
+  const due = queue.filter((entry) => entry.nextAttemptAt <= Date.now());
+
+  for (const entry of due) {
+    let settings = {};
+    try {
+      settings = await getShortenSettings(entry.pageUrl);
+      const credentialsError = getCredentialsError(settings);
+      if (credentialsError) {
+        throw createShortlinkError(SHORTLINK_ERROR_TYPES.AUTH, credentialsError);
+      }
+
+      const links = await shortenPreparedUrls(entry.longUrls, entry.title, settings);
+      const content = formatShortlinks(links, entry.copyFormat || settings.copyFormat, settings.copyTemplate);
+      await removeQueuedShortlink(entry.id);
+      await showReadyNotification(links, content);
+    } catch (error) {
+      console.error('Queued shortlink failed:', error);
+      classifyShortlinkError(error);
+
+      if (isQueueableError(error) && entry.attempts + 1 < SHORTLINK_QUEUE_MAX_ATTEMPTS) {
+        await deferQueuedShortlink(entry.id, error);
+        continue;
+      }
+
+      await removeQueuedShortlink(entry.id);
+      const details = await reportShortlinkError(error, settings, { url: entry.longUrls.join(' '), source: 'queue' });
+      if (settings.showNotifications) {
+        await showErrorNotification(details, {
+          longUrls: entry.longUrls,
+          options: { title: entry.title, copyFormat: entry.copyFormat },
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Tells the user a queued shortlink has been created, with a button that
+ * copies it.
+ *
+ * @async
+ * @param {Array<CopyLink>} links - The created links
+ * @param {ClipboardContent} content - The links in the chosen copy format
+ * @returns {Promise<void>}
+ */
+async function showReadyNotification(links, content) {
+  const [first] = links;
+  const notificationId = await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: links.length > 1 ? `${links.length} shortlinks are ready` : 'Your shortlink is ready',
+    message: first.title ? `${first.title}\n${first.shortUrl}` : first.shortUrl,
+    buttons: [{ title: NOTIFICATION_BUTTON_TITLES.copy }],
+    requireInteraction: true,
+  });
+  await rememberNotificationActions(notificationId, { actions: ['copy'], content });
+}
+
+/**
+ * Classifies a shortening failure, adds it to the error log and describes it.
+ *
+ * @async
+ * @param {Error} error - The failure
+ * @param {PocketLinkSettings} settings - Settings holding the provider id
+ * @param {Object} context - Where the failure happened
+ * @param {string} [context.url] - The long URL being shortened
+ * @param {string} context.source - e.g. "menu", "popup", "bulk"
+ * @returns {Promise<ErrorDetails>}
+ */
+async function reportShortlinkError(error, settings, { url, source }) {
+  const provider = getProvider(settings.provider);
+  classifyShortlinkError(error);
+
+  try {
+    await logShortlinkError(error, { provider: provider.id, url, source });
+  } catch (logError) {
+    console.warn('Failed to write the error log:', logError);
+  }
+
+  return getShortlinkErrorDetails(error, provider.label);
+}
+
+/**
+ * chrome.storage.session key mapping notification ids to their button actions.
+ * Stored (rather than kept in memory) because the worker may be stopped
+ * before the user clicks a button.
+ *
+ * @type {string}
+ */
+const NOTIFICATION_ACTIONS_KEY = 'notificationActions';
+
+/**
+ * Button labels for the actions a notification can offer: the fixes for an
+ * error, and copying a link created from the queue.
+ *
+ * @type {Object<string, string>}
+ */
+const NOTIFICATION_BUTTON_TITLES = {
+  options: 'Open settings',
+  retry: 'Try again',
+  log: 'View error log',
+  copy: 'Copy link',
+};
+
+/**
+ * Stores what a notification's buttons do until one is clicked or the
+ * notification is closed.
+ *
+ * @async
+ * @param {string} notificationId - The notification
+ * @param {Object} entry - `{ actions, retry }` for errors or `{ actions, content }`
+ *   for a ready link
+ * @returns {Promise<void>}
+ */
+async function rememberNotificationActions(notificationId, entry) {
+  const { [NOTIFICATION_ACTIONS_KEY]: pending = {} } = await chrome.storage.session.get(NOTIFICATION_ACTIONS_KEY);
+  pending[notificationId] = entry;
+  await chrome.storage.session.set({ [NOTIFICATION_ACTIONS_KEY]: pending });
+}
+
+/**
+ * Shows a notification for a failed shortening with up to two buttons for
+ * the fix (open the options, retry, view the error log).
+ *
+ * @async
+ * @param {ErrorDetails} details - From `getShortlinkErrorDetails()`
+ * @param {Object} retry - What "Try again" should repeat
+ * @param {string|Array<string>} retry.longUrls - The URL(s) that failed
+ * @param {number} [retry.tabId] - The tab the request came from
+ * @param {Object} retry.options - `shortenAndCopy()` options to reuse
+ * @returns {Promise<void>}
+ */
+async function showErrorNotification(details, retry) {
+  const actions = details.actions.slice(0, 2); // Chrome allows two buttons
+
+  const notificationId = await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: details.title,
+    message: details.message,
+    buttons: actions.map((action) => ({ title: NOTIFICATION_BUTTON_TITLES[action] })),
+    requireInteraction: actions.length > 0,
+  });
+
+  if (actions.length) {
+    await rememberNotificationActions(notificationId, { actions, retry });
+  }
+}
+
+/**
+ * Notification Button Handler
+ *
+ * Runs the action behind a notification's button: opens the options page,
+ * opens the error log on the options page, repeats the failed request with
+ * the same URL(s) and options, or copies a link created from the queue.
+ *
+ * @listens chrome.notifications.onButtonClicked
+ * @param {string} notificationId - The clicked notification
+ * @param {number} buttonIndex - Index into the notification's buttons
+ */
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const { [NOTIFICATION_ACTIONS_KEY]: pending = {} } = await chrome.storage.session.get(NOTIFICATION_ACTIONS_KEY);
+  const entry = pending[notificationId];
+  if (!entry) {
+    return;
+  }
+
+  chrome.notifications.clear(notificationId);
+  delete pending[notificationId];
+  await chrome.storage.session.set({ [NOTIFICATION_ACTIONS_KEY]: pending });
+
+  const action = entry.actions[buttonIndex];
+  if (action === 'options') {
+    chrome.runtime.openOptionsPage();
+  } else if (action === 'log') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html#errorLog') });
+  } else if (action === 'retry') {
+    // The tab may have been closed since; the link is then copied without it
+    const tab = entry.retry.tabId ? await chrome.tabs.get(entry.retry.tabId).catch(() => undefined) : undefined;
+    await shortenAndCopy(entry.retry.longUrls, tab, entry.retry.options);
+  } else if (action === 'copy') {
+    await copyWithoutTab(entry.content, await getShortenSettings());
+  }
+});
+
+/**
+ * Alarm Handler
+ *
+ * Wakes the service worker to try queued shortlinks (see
+ * `processShortlinkQueue()`) or to refresh an expiring Bit.ly token.
+ *
+ * @listens chrome.alarms.onAlarm
+ * @param {chrome.alarms.Alarm} alarm - The alarm that fired
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SHORTLINK_QUEUE_ALARM) {
+    processShortlinkQueue();
+  } else if (alarm.name === BITLY_TOKEN_REFRESH_ALARM) {
+    refreshSignedInToken();
+  }
+});
+
+/**
+ * Refreshes the Bit.ly access token from a sign-in (see bitly-oauth.js).
+ * If that fails, e.g. while encrypted credentials are locked, it is tried
+ * again in five minutes; a refused refresh token needs a new sign-in, which
+ * the next failed shortlink points the user to.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function refreshSignedInToken() {
+  try {
+    await refreshBitlyToken();
+  } catch (error) {
+    console.warn('Bit.ly token refresh failed:', error);
+    if (!error.status || error.status >= 500) {
+      await chrome.alarms.create(BITLY_TOKEN_REFRESH_ALARM, { delayInMinutes: 5 });
+    }
+  }
+}
+
+/**
+ * Connectivity Handler
+ *
+ * Tries queued shortlinks as soon as the browser is back online, instead of
+ * waiting for the next alarm. Only fires while the service worker is running;
+ * the alarm covers the rest.
+ *
+ * @listens online
+ */
+self.addEventListener('online', () => {
+  processShortlinkQueue();
+});
+
+/**
+ * Browser Startup Handler
+ *
+ * Picks up requests queued in an earlier browser session, and refreshes a
+ * Bit.ly token that expired while the browser was closed.
+ *
+ * @listens chrome.runtime.onStartup
+ */
+chrome.runtime.onStartup.addListener(async () => {
+  processShortlinkQueue();
+
+  const session = await getBitlyOAuthSession();
+  if (session?.expiresAt && session.expiresAt - BITLY_TOKEN_REFRESH_MARGIN_MS <= Date.now()) {
+    refreshSignedInToken();
+  }
+});
+
+/**
+ * Forgets the button actions of notifications the user dismissed.
+ *
+ * @listens chrome.notifications.onClosed
+ * @param {string} notificationId - The closed notification
+ */
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+  const { [NOTIFICATION_ACTIONS_KEY]: pending = {} } = await chrome.storage.session.get(NOTIFICATION_ACTIONS_KEY);
+  if (pending[notificationId]) {
+    delete pending[notificationId];
+    await chrome.storage.session.set({ [NOTIFICATION_ACTIONS_KEY]: pending });
+  }
+});
+
+/**
+ * Opens the popup window in "edit before shortening" mode.
+ *
+ * The long URL and page title are passed as query parameters so popup.js can
+ * pre-fill the form. Nothing is created until the user submits the form,
+ * which sends a `createCustomShortlink` message back to this worker.
+ *
+ * @async
+ * @param {string} longUrl - The URL to shorten
+ * @param {string} [title] - Page title, used as the default link title
+ * @returns {Promise<void>}
+ */
+async function showCustomizePopup(longUrl, title = '') {
+  const params = new URLSearchParams({ customize: longUrl, title });
+
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`popup.html?${params}`),
+    type: 'popup',
+    width: 360,
+    height: 440
+  });
+}
+
+/**
+ * Opens the popup in a small window to show where shortlinks lead (see
+ * link-expander.js). The popup asks for each expansion with the
+ * `expandShortlink` message, so it can ask for permissions and retry.
  *
- * @see {@link https://developer.chrome.com/docs/extensions/reference/windows/#method-create}
+ * @async
+ * @param {Array<string>} urls - Shortlinks to expand
+ * @returns {Promise<void>}
  */
-async function showInPopup(shortUrl) {
-  // Store shortlink in local storage for popup.js to read
-  // Using 'local' (not 'sync') as this is ephemeral data that doesn't need to sync
-  await chrome.storage.local.set({ currentShortlink: shortUrl });
+async function showExpandPopup(urls) {
+  const params = new URLSearchParams(urls.map((url) => ['expand', url]));
 
-  // Create a minimal popup window to display the shortlink
   await chrome.windows.create({
-    url: chrome.runtime.getURL('popup.html'),
+    url: chrome.runtime.getURL(`popup.html?${params}`),
     type: 'popup',
     width: 360,
-    height: 200
+    height: 520
+  });
+}
+
+/**
+ * Opens the bulk shortening page in a new tab, pre-filled with a window's tabs.
+ *
+ * If the user highlighted several tabs (shift/ctrl-click), only those are
+ * used; otherwise every tab in the window is. Tabs are collected here rather
+ * than in bulk.js because opening the new tab resets the highlight. The list
+ * is handed over through `chrome.storage.session`, which bulk.js reads once.
+ *
+ * @async
+ * @param {number} windowId - Window whose tabs to shorten
+ * @returns {Promise<void>}
+ */
+async function showBulkPage(windowId) {
+  const tabs = await chrome.tabs.query({ windowId });
+  const highlighted = tabs.filter((tab) => tab.highlighted);
+  const selected = highlighted.length > 1 ? highlighted : tabs;
+
+  await chrome.storage.session.set({
+    bulkTabs: selected
+      .filter((tab) => /^https?:/i.test(tab.url || ''))
+      .map((tab) => ({ url: tab.url, title: tab.title || '' })),
   });
+
+  await chrome.tabs.create({ url: chrome.runtime.getURL('bulk.html'), windowId });
+}
+
+/**
+ * Shortens a single URL for an extension page (the bulk page) without
+ * copying it. Runs the same cleaning, cache and history steps as the context
+ * menu so bulk links behave like one-click ones.
+ *
+ * @async
+ * @param {Object} request - The URL to shorten
+ * @param {string} request.url - The long URL
+ * @param {string} [request.title] - Page title to record in history
+ * @returns {Promise<ShortlinkResponse>} Also includes the cleaned `longUrl`
+ */
+async function shortenForPage({ url, title = '' }) {
+  try {
+    const settings = resolveProfileSettings(await getSettings(), url);
+
+    const credentialsError = getCredentialsError(settings);
+    if (credentialsError) {
+      return { success: false, error: credentialsError };
+    }
+
+    const longUrl = await prepareLongUrl(url, null, settings);
+    const shortUrl = await getOrCreateShortlink(longUrl, settings);
+    await recordShortlink(longUrl, shortUrl, title, settings);
+    return { success: true, shortUrl, longUrl };
+  } catch (error) {
+    console.error('Bulk shortlink creation failed:', error);
+    const settings = await getSettings();
+    const details = await reportShortlinkError(error, settings, { url, source: 'bulk' });
+    return { success: false, error: details.message, errorType: error.errorType };
+  }
+}
+
+/**
+ * Creates a shortlink with a custom back-half, title and tags.
+ *
+ * Only providers that implement `createCustomLink()` (currently Bit.ly)
+ * support this. The result is recorded in history and cached like any other
+ * shortlink so later one-click shares of the page reuse the custom link.
+ *
+ * @async
+ * @param {Object} request - Values from the popup form
+ * @param {string} request.url - The long URL to shorten
+ * @param {string} [request.keyword] - Custom back-half
+ * @param {string} [request.title] - Link title
+ * @param {Array<string>} [request.tags] - Link tags
+ * @returns {Promise<ShortlinkResponse>} Includes `errorCode` of
+ *   `KEYWORD_TAKEN_ERROR` when the back-half is already in use
+ */
+async function createCustomShortlink({ url, keyword = '', title = '', tags = [] }) {
+  try {
+    const settings = resolveProfileSettings(await getSettings(), url);
+
+    const credentialsError = getCredentialsError(settings);
+    if (credentialsError) {
+      return { success: false, error: credentialsError };
+    }
+
+    const provider = getProvider(settings.provider);
+    if (!provider.createCustomLink) {
+      return { success: false, error: `Custom back-halves are not supported for ${provider.label}. Switch to Bit.ly in the options.` };
+    }
+
+    if (keyword && !/^[A-Za-z0-9_-]+$/.test(keyword)) {
+      return { success: false, error: 'Back-halves may only contain letters, numbers, dashes and underscores.' };
+    }
+
+    assertShortenableUrl(url);
+    const shortUrl = await provider.createCustomLink(url, { keyword, title, tags }, settings);
+
+    await recordShortlink(url, shortUrl, title, settings);
+    if (settings.cacheEnabled) {
+      await cacheShortlink(url, settings, shortUrl).catch((error) => {
+        console.warn('Failed to write shortlink cache:', error);
+      });
+    }
+
+    return { success: true, shortUrl };
+  } catch (error) {
+    console.error('Custom shortlink creation failed:', error);
+
+    // A taken back-half is an expected answer the form handles itself
+    if (error.code === KEYWORD_TAKEN_ERROR) {
+      return { success: false, error: error.message, errorCode: error.code };
+    }
+
+    const settings = await getSettings();
+    const details = await reportShortlinkError(error, settings, { url, source: 'customize' });
+    return { success: false, error: details.message, errorCode: error.code, errorType: error.errorType };
+  }
+}
+
+/**
+ * Loads the active tab of the current window and the settings for it, with
+ * the page's profile applied.
+ *
+ * @async
+ * @returns {Promise<{tab: chrome.tabs.Tab|undefined, settings: PocketLinkSettings}>}
+ */
+async function getActiveTabSettings() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return { tab, settings: resolveProfileSettings(await getSettings(), tab?.url) };
+}
+
+/**
+ * Shortens the active tab for the toolbar popup, with the options picked
+ * there. The link is not copied here: the popup copies it itself.
+ *
+ * @async
+ * @param {Object} [options] - Options picked in the popup; omitted ones use
+ *   the settings
+ * @param {string} [options.utmTemplateId] - UTM template id, or `''` for none
+ * @param {string} [options.copyFormat] - Copy format id for `content`
+ * @param {string} [options.domain] - Short domain for this link (see the
+ *   provider field marked `domain`)
+ * @returns {Promise<ShortlinkResponse>} Also includes the `longUrl` and the
+ *   formatted clipboard `content`
+ */
+async function shortenActiveTab({ utmTemplateId, copyFormat, domain } = {}) {
+  let tab;
+  try {
+    let settings;
+    ({ tab, settings } = await getActiveTabSettings());
+
+    if (!tab || !tab.url) {
+      return { success: false, error: 'No active tab is available to shorten.' };
+    }
+
+    const credentialsError = getCredentialsError(settings);
+    if (credentialsError) {
+      return { success: false, error: credentialsError };
+    }
+
+    const domainField = getProvider(settings.provider).fields.find((field) => field.domain);
+    if (domainField && domain !== undefined) {
+      settings = { ...settings, [domainField.key]: domain };
+    }
+
+    // An empty id means "no template" was picked, overriding the profile's
+    const template = utmTemplateId === '' ? null : findUtmTemplate(settings, utmTemplateId);
+
+    let longUrl = await prepareLongUrl(tab.url, tab, settings);
+    if (template) {
+      longUrl = applyUtmTemplate(longUrl, template);
+    }
+
+    const shortUrl = await getOrCreateShortlink(longUrl, settings);
+    await recordShortlink(longUrl, shortUrl, tab.title, settings);
+
+    const links = [{ shortUrl, longUrl, title: tab.title || '' }];
+    const content = formatShortlinks(links, copyFormat || settings.copyFormat, settings.copyTemplate);
+    return { success: true, shortUrl, longUrl, content };
+  } catch (error) {
+    console.error('Popup shortlink creation failed:', error);
+    const settings = await getSettings();
+    const details = await reportShortlinkError(error, settings, { url: tab?.url, source: 'popup' });
+    return { success: false, error: details.message, errorType: error.errorType };
+  }
+}
+
+/**
+ * Describes the account the toolbar popup would shorten with: the Bit.ly
+ * sign-in, otherwise the last connection test of these credentials.
+ *
+ * @async
+ * @param {ShortenerProvider} provider - The provider in use
+ * @param {PocketLinkSettings} settings - Settings with the profile applied
+ * @returns {Promise<Object|null>} `{ signedIn: true, account }` for a sign-in,
+ *   the stored connection test result, or null if there is neither
+ */
+async function getAccountStatus(provider, settings) {
+  // Signing in fills the main credentials, so it says nothing about profiles
+  if (provider.id === 'bitly' && !settings.profileId) {
+    const session = await getBitlyOAuthSession();
+    if (session) {
+      return { signedIn: true, account: session.account };
+    }
+  }
+  return getStoredConnectionStatus(provider, settings);
+}
+
+/**
+ * Gathers what the toolbar popup shows before anything is shortened.
+ *
+ * @async
+ * @returns {Promise<Object>} The active tab, provider, profile, account
+ *   status, credentials problem, number of queued requests, the UTM template
+ *   and copy format choices with their defaults, the domain field and the
+ *   links created this session
+ */
+async function getPopupState() {
+  const { tab, settings } = await getActiveTabSettings();
+  const provider = getProvider(settings.provider);
+  const profile = settings.profiles.find((item) => item.id === settings.profileId);
+  const domainField = provider.fields.find((field) => field.domain);
+
+  return {
+    success: true,
+    tab: tab?.url ? { url: tab.url, title: tab.title || '' } : null,
+    provider: { id: provider.id, label: provider.label },
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    account: await getAccountStatus(provider, settings),
+    credentialsError: getCredentialsError(settings),
+    queued: (await getShortlinkQueue()).length,
+    utmTemplates: settings.utmTemplates.map(({ id, name }) => ({ id, name })),
+    utmTemplateId: findUtmTemplate(settings)?.id || '',
+    copyFormats: COPY_FORMATS.map(({ id, label }) => ({ id, label })),
+    copyFormat: settings.copyFormat,
+    domain: domainField ? { key: domainField.key, value: settings[domainField.key] || '' } : null,
+    recentLinks: await getSessionLinks(),
+  };
+}
+
+/**
+ * Loads the short domains the toolbar popup can offer, from the provider's
+ * `loadFieldOptions()`. This calls the service, so the popup asks for it
+ * after it has opened.
+ *
+ * @async
+ * @returns {Promise<Array<FieldOption>>} Empty when the provider has no
+ *   domain choices or is not set up
+ */
+async function getDomainChoices() {
+  const { settings } = await getActiveTabSettings();
+  const provider = getProvider(settings.provider);
+  const domainField = provider.fields.find((field) => field.domain);
+  if (!domainField || !provider.loadFieldOptions || getCredentialsError(settings)) {
+    return [];
+  }
+
+  const choices = await provider.loadFieldOptions(settings);
+  return choices[domainField.key] || [];
 }
 
 /**
  * Message Handler for Inter-Component Communication
  *
- * Handles incoming messages from other extension components (popup, options page).
- * Currently supports creating shortlinks from the popup UI.
+ * Handles incoming messages from other extension components (popup, bulk page).
  *
  * ## Supported Actions
  *
  * ### `createShortlinkFromPopup`
  *
- * Creates a shortlink for the current active tab's URL.
+ * Creates a shortlink for the current active tab's URL, with the options
+ * picked in the toolbar popup. Each option may be left out.
  *
  * **Request:**
  * ```javascript
- * { action: 'createShortlinkFromPopup' }
+ * { action: 'createShortlinkFromPopup', utmTemplateId?: string, copyFormat?: string, domain?: string }
  * ```
  *
  * **Response (success):**
  * ```javascript
- * { success: true, shortUrl: 'https://bit.ly/abc123' }
+ * { success: true, shortUrl: 'https://bit.ly/abc123', longUrl: string, content: { shortUrl, text, html? } }
  * ```
  *
  * **Response (failure):**
@@ -692,6 +1487,76 @@ async function showInPopup(shortUrl) {
  * { success: false, error: 'Error message here' }
  * ```
  *
+ * ### `getPopupState`
+ *
+ * Returns what the toolbar popup shows: the active tab, provider, profile,
+ * account status, UTM template and copy format choices, and the links
+ * created this session (see `getPopupState()`).
+ *
+ * ### `getDomainChoices`
+ *
+ * Loads the short domains the popup can offer.
+ *
+ * **Response:** `{ success: true, choices: Array<FieldOption> }`
+ *
+ * ### `createCustomShortlink`
+ *
+ * Creates a shortlink from the popup's "edit before shortening" form.
+ *
+ * **Request:**
+ * ```javascript
+ * { action: 'createCustomShortlink', url: string, keyword?: string, title?: string, tags?: string[] }
+ * ```
+ *
+ * **Response:** same as above, plus `errorCode: 'KEYWORD_TAKEN'` when the
+ * back-half is already in use.
+ *
+ * ### `shortenUrl`
+ *
+ * Shortens one URL for the bulk page without copying it.
+ *
+ * **Request:**
+ * ```javascript
+ * { action: 'shortenUrl', url: string, title?: string }
+ * ```
+ *
+ * **Response:** same as above, plus the cleaned `longUrl` on success.
+ *
+ * ### `copyText`
+ *
+ * Copies arbitrary text through the offscreen document.
+ *
+ * **Request:**
+ * ```javascript
+ * { action: 'copyText', text: string }
+ * ```
+ *
+ * **Response:** `{ success: boolean, error?: string }`
+ *
+ * ### `copyImage`
+ *
+ * Copies a PNG image (the popup's QR code) through the offscreen document.
+ *
+ * **Request:**
+ * ```javascript
+ * { action: 'copyImage', dataUrl: string }
+ * ```
+ *
+ * **Response:** `{ success: boolean, error?: string }`
+ *
+ * ### `expandShortlink`
+ *
+ * Finds where a shortlink leads, for the popup's expand view (see
+ * link-expander.js).
+ *
+ * **Request:**
+ * ```javascript
+ * { action: 'expandShortlink', url: string }
+ * ```
+ *
+ * **Response:** An `ExpandResult` with `success: true` and the `origins` to
+ * request when `needsPermission` is set, or `{ success: false, error: string }`
+ *
  * ## Async Message Handling Pattern
  *
  * Chrome's message listener requires special handling for async responses:
@@ -712,40 +1577,78 @@ async function showInPopup(shortUrl) {
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'createShortlinkFromPopup') {
-    // Use IIFE pattern for async message handling
-    // Must return true below to keep message channel open
-    (async () => {
-      try {
-        // Query for the active tab in the current window
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-
-        if (!tab || !tab.url) {
-          sendResponse({ success: false, error: 'No active tab is available to shorten.' });
-          return;
-        }
-
-        // Load settings to get API token
-        const settings = await chrome.storage.sync.get({
-          bitlyToken: '',
-          showNotifications: true
-        });
+    shortenActiveTab(message)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('Failed to shorten the active tab:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-        if (!settings.bitlyToken) {
-          sendResponse({ success: false, error: 'Please set your Bitly API key in the options.' });
-          return;
-        }
+  if (message.action === 'getPopupState') {
+    getPopupState()
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('Failed to load the popup state:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 
-        // Create the shortlink via Bitly API
-        const shortUrl = await createShortlink(tab.url, settings.bitlyToken);
-        sendResponse({ success: true, shortUrl });
-      } catch (error) {
-        console.error('Popup shortlink creation failed:', error);
+  if (message.action === 'getDomainChoices') {
+    getDomainChoices()
+      .then((choices) => sendResponse({ success: true, choices }))
+      .catch((error) => {
+        console.error('Failed to load domain choices:', error);
         sendResponse({ success: false, error: error.message });
-      }
-    })();
+      });
+    return true;
+  }
+
+  if (message.action === 'createCustomShortlink') {
+    createCustomShortlink(message)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('Failed to create the custom shortlink:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'shortenUrl') {
+    shortenForPage(message)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('Failed to shorten the URL for the page:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'expandShortlink') {
+    getSettings()
+      .then((settings) => expandShortlink(message.url, settings))
+      .then((result) => sendResponse({ success: true, ...result, origins: EXPAND_ORIGINS }))
+      .catch((error) => {
+        console.error('Shortlink expansion failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'copyText') {
+    // Reuse the offscreen clipboard path; the calling page reports the result
+    copyViaOffscreen(message.text, { showNotifications: false })
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
 
-    // Return true to indicate we'll call sendResponse asynchronously
-    // This keeps the message channel open until sendResponse is called
+  if (message.action === 'copyImage') {
+    sendToOffscreen({ action: 'copyImageToClipboard', dataUrl: message.dataUrl })
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ success: false, error: error.message }));
     return true;
   }
 });
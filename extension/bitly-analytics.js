@@ -0,0 +1,218 @@
+/**
+ * @fileoverview PocketLink Bit.ly Analytics
+ *
+ * Reads click metrics for the links in the user's Bit.ly account from the
+ * v4 metrics endpoints: per-link click totals, clicks over time, referrers
+ * and countries. Responses are cached in chrome.storage.local for an hour
+ * so browsing the dashboard does not spend the account's API quota. Cache
+ * entries are keyed by a fingerprint of the token, so after a sign-out or a
+ * token change another account never sees them.
+ *
+ * Requests reuse `bitlyFetch()` from providers.js, so errors carry the HTTP
+ * `status` and Bitly's `code` just like the shortening calls.
+ *
+ * This module is imported by analytics.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { bitlyFetch, credentialFingerprint, SHORTENER_PROVIDERS } from './providers.js';
+
+/**
+ * @typedef {Object} AnalyticsLink
+ * @property {string} id - Bitlink id, e.g. "bit.ly/abc123"
+ * @property {string} link - Full short URL
+ * @property {string} longUrl - Destination URL
+ * @property {string} title - Link title in Bit.ly
+ * @property {string} createdAt - ISO 8601 creation time
+ * @property {number|null} clicks - Clicks in the selected period, or null if unavailable
+ */
+
+/**
+ * @typedef {Object} MetricRow
+ * @property {string} value - Referrer domain or country code
+ * @property {number} clicks - Clicks from that source
+ */
+
+/**
+ * @typedef {Object} LinkMetrics
+ * @property {Array<{date: string, clicks: number}>} clicks - Clicks per day, oldest first
+ * @property {Array<MetricRow>|null} referrers - Referring domains, or null if the plan lacks them
+ * @property {Array<MetricRow>|null} countries - Countries, or null if the plan lacks them
+ */
+
+/**
+ * chrome.storage.local key holding cached analytics responses.
+ *
+ * @type {string}
+ */
+const ANALYTICS_STORAGE_KEY = 'bitlyAnalytics';
+
+/**
+ * How long cached analytics stay fresh, in minutes.
+ *
+ * @type {number}
+ */
+const ANALYTICS_CACHE_MINUTES = 60;
+
+/**
+ * Number of most recent links listed on the dashboard (Bitly's page size limit).
+ *
+ * @type {number}
+ */
+const ANALYTICS_LINK_LIMIT = 50;
+
+/**
+ * Runs `loader` unless a fresh cached result exists for `request` with
+ * the same token.
+ *
+ * The whole cache is rewritten on each store and entries older than the
+ * freshness window are dropped at the same time, so it never grows beyond
+ * what the dashboard recently showed.
+ *
+ * @async
+ * @param {string} request - Identifies the request and period
+ * @param {PocketLinkSettings} settings - Settings holding `bitlyToken`
+ * @param {function(): Promise<*>} loader - Fetches fresh data
+ * @param {boolean} [refresh=false] - Ignore any cached value
+ * @returns {Promise<{data: *, fetchedAt: number}>}
+ * @private
+ */
+const withAnalyticsCache = async (request, settings, loader, refresh = false) => {
+  const maxAge = ANALYTICS_CACHE_MINUTES * 60 * 1000;
+  const key = `${await credentialFingerprint(SHORTENER_PROVIDERS.bitly, settings)} ${request}`;
+  const { [ANALYTICS_STORAGE_KEY]: cache = {} } = await chrome.storage.local.get(ANALYTICS_STORAGE_KEY);
+
+  const cached = cache[key];
+  if (!refresh && cached && Date.now() - cached.fetchedAt < maxAge) {
+    return cached;
+  }
+
+  const entry = { data: await loader(), fetchedAt: Date.now() };
+
+  // Re-read so concurrent loads do not overwrite each other's entries
+  const { [ANALYTICS_STORAGE_KEY]: latest = {} } = await chrome.storage.local.get(ANALYTICS_STORAGE_KEY);
+  const pruned = Object.fromEntries(
+    Object.entries(latest).filter(([, value]) => Date.now() - value.fetchedAt < maxAge)
+  );
+  pruned[key] = entry;
+  await chrome.storage.local.set({ [ANALYTICS_STORAGE_KEY]: pruned });
+
+  return entry;
+};
+
+/**
+ * Calls a metrics endpoint that some Bitly plans do not include. A 402/403
+ * answer means "not on your plan", which the dashboard shows as unavailable
+ * rather than as an error.
+ *
+ * @async
+ * @param {string} path - Path below /v4
+ * @param {PocketLinkSettings} settings - Settings holding `bitlyToken`
+ * @returns {Promise<Object|null>} The response body, or null if not available
+ * @private
+ */
+const fetchOptionalMetric = async (path, settings) => {
+  try {
+    return await bitlyFetch(path, settings);
+  } catch (error) {
+    if (error.status === 402 || error.status === 403) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lists the account's most recent links with their click totals for the period.
+ *
+ * Links come from the saved default group, or the user's default group if
+ * none was chosen on the options page. Click totals need one request per
+ * link, so they are fetched a few at a time.
+ *
+ * @async
+ * @param {PocketLinkSettings} settings - Settings holding `bitlyToken` and `bitlyGroupGuid`
+ * @param {number} days - Length of the period, in days
+ * @param {boolean} [refresh=false] - Bypass the local cache
+ * @returns {Promise<{data: Array<AnalyticsLink>, fetchedAt: number}>}
+ * @throws {Error} If the link list cannot be loaded
+ *
+ * @see {@link https://dev.bitly.com/api-reference/#getBitlinksByGroup}
+ * @see {@link https://dev.bitly.com/api-reference/#getClicksSummaryForBitlink}
+ */
+export const loadAnalyticsLinks = (settings, days, refresh = false) => {
+  const groupKey = settings.bitlyGroupGuid || 'default';
+
+  return withAnalyticsCache(`links ${groupKey} ${days}`, settings, async () => {
+    let groupGuid = settings.bitlyGroupGuid;
+    if (!groupGuid) {
+      ({ default_group_guid: groupGuid } = await bitlyFetch('/user', settings));
+    }
+
+    const { links = [] } = await bitlyFetch(
+      `/groups/${groupGuid}/bitlinks?size=${ANALYTICS_LINK_LIMIT}`,
+      settings
+    );
+
+    const result = links.map((bitlink) => ({
+      id: bitlink.id,
+      link: bitlink.link,
+      longUrl: bitlink.long_url,
+      title: bitlink.title || '',
+      createdAt: bitlink.created_at,
+      clicks: null,
+    }));
+
+    // Four requests in flight keeps well clear of Bitly's per-minute limits
+    let next = 0;
+    const worker = async () => {
+      while (next < result.length) {
+        const entry = result[next++];
+        const summary = await fetchOptionalMetric(
+          `/bitlinks/${entry.id}/clicks/summary?unit=day&units=${days}`,
+          settings
+        );
+        entry.clicks = summary ? summary.total_clicks : null;
+      }
+    };
+    await Promise.all(Array.from({ length: 4 }, worker));
+
+    return result;
+  }, refresh);
+};
+
+/**
+ * Loads clicks over time, referrers and countries for one link.
+ *
+ * @async
+ * @param {string} bitlinkId - e.g. "bit.ly/abc123"
+ * @param {PocketLinkSettings} settings - Settings holding `bitlyToken`
+ * @param {number} days - Length of the period, in days
+ * @param {boolean} [refresh=false] - Bypass the local cache
+ * @returns {Promise<{data: LinkMetrics, fetchedAt: number}>}
+ * @throws {Error} If the click series cannot be loaded
+ *
+ * @see {@link https://dev.bitly.com/api-reference/#getClicksForBitlink}
+ * @see {@link https://dev.bitly.com/api-reference/#getMetricsForBitlinkByReferrers}
+ * @see {@link https://dev.bitly.com/api-reference/#getMetricsForBitlinkByCountries}
+ */
+export const loadLinkMetrics = (bitlinkId, settings, days, refresh = false) => {
+  return withAnalyticsCache(`metrics ${bitlinkId} ${days}`, settings, async () => {
+    const query = `unit=day&units=${days}`;
+    const [clicks, referrers, countries] = await Promise.all([
+      bitlyFetch(`/bitlinks/${bitlinkId}/clicks?${query}`, settings),
+      fetchOptionalMetric(`/bitlinks/${bitlinkId}/referrers?${query}`, settings),
+      fetchOptionalMetric(`/bitlinks/${bitlinkId}/countries?${query}`, settings),
+    ]);
+
+    return {
+      // Bitly lists days newest first
+      clicks: (clicks.link_clicks || [])
+        .map((point) => ({ date: point.date, clicks: point.clicks }))
+        .reverse(),
+      referrers: referrers ? referrers.metrics || [] : null,
+      countries: countries ? countries.metrics || [] : null,
+    };
+  }, refresh);
+};
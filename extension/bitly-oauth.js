@@ -0,0 +1,450 @@
+/**
+ * @fileoverview PocketLink Bit.ly Sign-in
+ *
+ * Signs in to Bit.ly with the OAuth 2.0 authorization-code flow instead of
+ * asking the user to paste a generic access token:
+ *
+ * 1. `chrome.identity.launchWebAuthFlow()` opens the authorization page and
+ *    returns to `https://<extension-id>.chromiumapp.org/bitly` with a code
+ * 2. The code is exchanged for an access token at the token endpoint, with
+ *    PKCE (S256) so an intercepted code is useless on its own
+ * 3. The access token is saved as `bitlyToken` through credential-store.js,
+ *    so it follows the user's credential storage choice (synced, local or
+ *    encrypted) exactly like a pasted token
+ *
+ * Bit.ly's own tokens do not expire, but when a server returns `expires_in`
+ * and a `refresh_token` (as the mock server in scripts/ does), a
+ * `chrome.alarms` alarm refreshes the token shortly before it expires.
+ * Signing out revokes the token (RFC 7009) when a revocation endpoint is
+ * configured, then forgets it.
+ *
+ * The client id, secret and endpoints belong to an OAuth app registered at
+ * https://app.bitly.com/settings/api/oauth/ and can be pointed at a local
+ * mock server for testing. The client secret and the refresh token are
+ * saved through credential-store.js like the access token; the rest, and
+ * the sign-in details (account, expiry), are kept in chrome.storage.local:
+ * a sign-in belongs to this device.
+ *
+ * This module is imported by background.js and options.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import {
+  BITLY_OAUTH_CREDENTIALS_KEY,
+  getCredentialStorageMode,
+  readCredentials,
+  writeCredentials,
+} from './credential-store.js';
+
+/**
+ * @typedef {Object} BitlyOAuthConfig
+ * @property {string} clientId - OAuth app client id
+ * @property {string} clientSecret - OAuth app client secret; Bit.ly requires
+ *   it for the code exchange
+ * @property {string} authorizeUrl - Authorization page
+ * @property {string} tokenUrl - Token endpoint
+ * @property {string} revokeUrl - RFC 7009 revocation endpoint; empty if the
+ *   server has none
+ */
+
+/**
+ * @typedef {Object} BitlyOAuthSession
+ * @property {string} account - Login of the signed-in account
+ * @property {number} [expiresAt] - When the access token expires (ms since epoch)
+ * @property {number} signedInAt - When the user signed in (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} BitlyOAuthCredentials
+ * @property {string} [clientSecret] - The OAuth app's client secret
+ * @property {string} [refreshToken] - For getting a new access token
+ */
+
+/**
+ * Settings for Bit.ly's production OAuth endpoints. Bit.ly does not publish a
+ * revocation endpoint; its users remove apps under "Connected apps" instead.
+ *
+ * @type {BitlyOAuthConfig}
+ */
+const BITLY_OAUTH_DEFAULTS = {
+  clientId: '',
+  clientSecret: '',
+  authorizeUrl: 'https://bitly.com/oauth/authorize',
+  tokenUrl: 'https://api-ssl.bitly.com/oauth/access_token',
+  revokeUrl: '',
+};
+
+/**
+ * chrome.storage.local key holding the `BitlyOAuthConfig`, without the
+ * client secret.
+ *
+ * @type {string}
+ */
+const BITLY_OAUTH_CONFIG_STORAGE_KEY = 'bitlyOAuthConfig';
+
+/**
+ * chrome.storage.local key holding the `BitlyOAuthSession`.
+ *
+ * @type {string}
+ */
+const BITLY_OAUTH_SESSION_STORAGE_KEY = 'bitlyOAuth';
+
+/**
+ * Name of the alarm that refreshes an expiring access token.
+ *
+ * @type {string}
+ */
+export const BITLY_TOKEN_REFRESH_ALARM = 'pocketlink-bitly-refresh';
+
+/**
+ * How long before expiry the access token is refreshed, in milliseconds.
+ *
+ * @type {number}
+ */
+export const BITLY_TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Returns the OAuth app settings, with Bit.ly's endpoints as defaults. The
+ * client secret is empty while encrypted credentials are locked.
+ *
+ * @async
+ * @returns {Promise<BitlyOAuthConfig>}
+ */
+export const getBitlyOAuthConfig = async () => {
+  const { [BITLY_OAUTH_CONFIG_STORAGE_KEY]: config = {} } = await chrome.storage.local.get(BITLY_OAUTH_CONFIG_STORAGE_KEY);
+  const { values } = await readCredentials();
+  return { ...BITLY_OAUTH_DEFAULTS, ...config, clientSecret: values[BITLY_OAUTH_CREDENTIALS_KEY]?.clientSecret || '' };
+};
+
+/**
+ * Saves the OAuth app settings. Blank endpoints fall back to the defaults.
+ *
+ * @async
+ * @param {BitlyOAuthConfig} config - The settings
+ * @returns {Promise<void>}
+ * @throws {Error} If encrypted credentials are locked
+ */
+export const saveBitlyOAuthConfig = async (config) => {
+  const { clientSecret, ...saved } = Object.fromEntries(
+    Object.keys(BITLY_OAUTH_DEFAULTS).map((key) => [key, (config[key] || '').trim()])
+  );
+  await chrome.storage.local.set({ [BITLY_OAUTH_CONFIG_STORAGE_KEY]: saved });
+  await storeBitlyCredentials({ clientSecret });
+};
+
+/**
+ * Returns the current sign-in, if any.
+ *
+ * @async
+ * @returns {Promise<BitlyOAuthSession|null>}
+ */
+export const getBitlyOAuthSession = async () => {
+  const { [BITLY_OAUTH_SESSION_STORAGE_KEY]: session = null } = await chrome.storage.local.get(BITLY_OAUTH_SESSION_STORAGE_KEY);
+  return session;
+};
+
+/**
+ * Lists the origins the token and revocation requests go to, for
+ * `chrome.permissions.request()`. Bit.ly's API origin is already granted.
+ *
+ * @param {BitlyOAuthConfig} config - The settings
+ * @returns {Array<string>} Origin match patterns, e.g. `['http://localhost:8787/*']`
+ */
+export const getBitlyOAuthOrigins = (config) => {
+  const origins = [config.tokenUrl, config.revokeUrl]
+    .filter(Boolean)
+    .map((url) => {
+      try {
+        return `${new URL(url).origin}/*`;
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((origin) => origin && origin !== 'https://api-ssl.bitly.com/*');
+  return [...new Set(origins)];
+};
+
+/**
+ * Encodes bytes as unpadded base64url, as PKCE and `state` require.
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - Binary data
+ * @returns {string}
+ * @private
+ */
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * Creates a PKCE code verifier and its S256 challenge.
+ *
+ * @async
+ * @returns {Promise<{verifier: string, challenge: string}>}
+ * @private
+ */
+const createPkcePair = async () => {
+  const verifier = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: toBase64Url(digest) };
+};
+
+/**
+ * Calls a token or revocation endpoint with a form-encoded body.
+ *
+ * Bit.ly answers the token endpoint with form-encoded data unless JSON is
+ * asked for, and some servers ignore the request, so both are understood.
+ *
+ * @async
+ * @param {string} url - Endpoint URL
+ * @param {Object<string, string>} params - Form fields; empty values are left out
+ * @returns {Promise<Object>} The parsed response body
+ * @throws {Error} With a `status` property if the server refuses
+ * @private
+ */
+const postOAuthForm = async (url, params) => {
+  const body = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+  });
+
+  const text = await response.text();
+  let data = {};
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = Object.fromEntries(new URLSearchParams(text));
+  }
+
+  if (!response.ok || data.error) {
+    const error = new Error(data.error_description || data.error || `HTTP error! status: ${response.status}`);
+    error.status = response.ok ? 400 : response.status;
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Reads the stored credentials, which new tokens are saved alongside.
+ *
+ * @async
+ * @returns {Promise<Object<string, string>>} The credentials
+ * @throws {Error} If encrypted credentials are locked
+ * @private
+ */
+const readUnlockedCredentials = async () => {
+  const { values, locked } = await readCredentials();
+  if (locked) {
+    throw new Error('Your credentials are locked. Unlock them with your passphrase first.');
+  }
+  return values;
+};
+
+/**
+ * Saves the access token (as `bitlyToken`) and the sign-in secrets wherever
+ * credentials are stored, keeping every other credential as it is.
+ *
+ * @async
+ * @param {Object} changes - Values to replace; empty strings remove them
+ * @param {string} [changes.bitlyToken] - Access token
+ * @param {string} [changes.clientSecret] - OAuth app client secret
+ * @param {string} [changes.refreshToken] - Refresh token
+ * @returns {Promise<void>}
+ * @throws {Error} If encrypted credentials are locked
+ * @private
+ */
+const storeBitlyCredentials = async ({ bitlyToken, ...secrets }) => {
+  const values = await readUnlockedCredentials();
+  await writeCredentials({
+    ...values,
+    bitlyToken: bitlyToken ?? values.bitlyToken,
+    [BITLY_OAUTH_CREDENTIALS_KEY]: { ...values[BITLY_OAUTH_CREDENTIALS_KEY], ...secrets },
+  }, await getCredentialStorageMode());
+};
+
+/**
+ * Stores the token endpoint's answer and schedules the next refresh.
+ *
+ * @async
+ * @param {Object} data - Token response (`access_token`, `refresh_token`,
+ *   `expires_in`, and Bit.ly's `login`)
+ * @param {BitlyOAuthSession} [previous] - Session being refreshed
+ * @param {string} [previousRefreshToken] - Its refresh token, kept if the
+ *   server does not issue a new one
+ * @returns {Promise<BitlyOAuthSession>}
+ * @private
+ */
+const saveTokenResponse = async (data, previous = {}, previousRefreshToken = '') => {
+  if (!data.access_token) {
+    throw new Error('The sign-in server did not return an access token.');
+  }
+
+  const refreshToken = data.refresh_token || previousRefreshToken;
+  await storeBitlyCredentials({ bitlyToken: data.access_token, refreshToken });
+
+  const session = {
+    account: data.login || previous.account || '',
+    expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : undefined,
+    signedInAt: previous.signedInAt || Date.now(),
+  };
+  await chrome.storage.local.set({ [BITLY_OAUTH_SESSION_STORAGE_KEY]: session });
+  // Without a refresh token, an expiring access token just lapses
+  await scheduleBitlyTokenRefresh(refreshToken ? session : null);
+  return session;
+};
+
+/**
+ * Sets the refresh alarm for a session whose token expires, or clears it.
+ *
+ * @async
+ * @param {BitlyOAuthSession|null} session - The current sign-in, if it can
+ *   be refreshed
+ * @returns {Promise<void>}
+ */
+const scheduleBitlyTokenRefresh = async (session) => {
+  if (!session?.expiresAt) {
+    await chrome.alarms.clear(BITLY_TOKEN_REFRESH_ALARM);
+    return;
+  }
+
+  const when = Math.max(Date.now() + 1000, session.expiresAt - BITLY_TOKEN_REFRESH_MARGIN_MS);
+  await chrome.alarms.create(BITLY_TOKEN_REFRESH_ALARM, { when });
+};
+
+/**
+ * Signs in with the authorization-code flow and saves the access token.
+ *
+ * Must be called from an extension page: the authorization window needs
+ * one, and its origins must already be granted (see `getBitlyOAuthOrigins()`).
+ *
+ * @async
+ * @returns {Promise<BitlyOAuthSession>} The new sign-in
+ * @throws {Error} If no client id is configured, the user cancels or denies
+ *   access, the response fails the `state` check or the code exchange fails
+ *
+ * @see {@link https://dev.bitly.com/docs/getting-started/authentication/}
+ */
+export const signInWithBitly = async () => {
+  const config = await getBitlyOAuthConfig();
+  if (!config.clientId) {
+    throw new Error('Enter the client ID of your Bit.ly OAuth app first.');
+  }
+
+  const redirectUri = chrome.identity.getRedirectURL('bitly');
+  const state = toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const { verifier, challenge } = await createPkcePair();
+
+  const authorizeUrl = new URL(config.authorizeUrl);
+  authorizeUrl.search = new URLSearchParams({
+    client_id: config.clientId,
+    redirect_uri: redirectUri,
+    response_type: 'code',
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  });
+
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({ url: authorizeUrl.href, interactive: true });
+  } catch (error) {
+    throw new Error(`Sign-in was cancelled or could not start: ${error.message}`);
+  }
+
+  const params = new URL(responseUrl).searchParams;
+  if (params.get('state') !== state) {
+    throw new Error('The sign-in response did not match this request. Please try again.');
+  }
+  if (params.get('error')) {
+    throw new Error(params.get('error') === 'access_denied'
+      ? 'Access to your Bit.ly account was not granted.'
+      : `Sign-in failed: ${params.get('error_description') || params.get('error')}`);
+  }
+
+  const data = await postOAuthForm(config.tokenUrl, {
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: redirectUri,
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+    code_verifier: verifier,
+  });
+
+  return saveTokenResponse(data);
+};
+
+/**
+ * Gets a new access token with the refresh token, if the sign-in has one.
+ *
+ * The refresh token is read from the credentials, so nothing is sent while
+ * they are locked: the server may replace it, and the new one could not be
+ * saved.
+ *
+ * @async
+ * @returns {Promise<BitlyOAuthSession|null>} The updated sign-in, or null if
+ *   there was nothing to refresh
+ * @throws {Error} If the refresh is refused or credentials are locked
+ */
+export const refreshBitlyToken = async () => {
+  const session = await getBitlyOAuthSession();
+  if (!session) {
+    return null;
+  }
+  const { [BITLY_OAUTH_CREDENTIALS_KEY]: secrets = {} } = await readUnlockedCredentials();
+  if (!secrets.refreshToken) {
+    return null;
+  }
+
+  const config = await getBitlyOAuthConfig();
+  const data = await postOAuthForm(config.tokenUrl, {
+    grant_type: 'refresh_token',
+    refresh_token: secrets.refreshToken,
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+  });
+
+  return saveTokenResponse(data, session, secrets.refreshToken);
+};
+
+/**
+ * Signs out: revokes the token if the server supports it, then removes the
+ * token and the sign-in details.
+ *
+ * The local sign-out happens even if revoking fails, so the user is never
+ * left signed in; the returned flag says whether the server confirmed.
+ *
+ * @async
+ * @returns {Promise<{revoked: boolean, error?: string}>}
+ * @throws {Error} If encrypted credentials are locked
+ */
+export const signOutOfBitly = async () => {
+  const config = await getBitlyOAuthConfig();
+  const values = await readUnlockedCredentials();
+  const { refreshToken } = values[BITLY_OAUTH_CREDENTIALS_KEY] || {};
+
+  let result = { revoked: false };
+  if (config.revokeUrl) {
+    try {
+      // Revoking the refresh token also ends the access tokens issued from it
+      await postOAuthForm(config.revokeUrl, {
+        token: refreshToken || values.bitlyToken,
+        token_type_hint: refreshToken ? 'refresh_token' : 'access_token',
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+      });
+      result = { revoked: true };
+    } catch (error) {
+      console.warn('Token revocation failed:', error);
+      result = { revoked: false, error: error.message };
+    }
+  }
+
+  await storeBitlyCredentials({ bitlyToken: '', refreshToken: '' });
+  await chrome.storage.local.remove(BITLY_OAUTH_SESSION_STORAGE_KEY);
+  await scheduleBitlyTokenRefresh(null);
+  return result;
+};
@@ -0,0 +1,277 @@
+// bulk.js
+// This script provides the functionality for the bulk.html page.
+// It shortens a list of URLs (pasted, or taken from the browser's tabs) a few
+// at a time through the background worker, shows each row's progress, and
+// copies the combined result through the offscreen clipboard.
+
+/**
+ * @typedef {Object} BulkRow
+ * @property {string} longUrl - The URL as entered
+ * @property {string} title - Page title, if known (tab-sourced rows only)
+ * @property {('pending'|'working'|'done'|'error')} status - Progress state
+ * @property {string} [shortUrl] - The shortlink once created
+ * @property {string} [error] - Failure reason
+ * @property {HTMLTableRowElement} element - The row's table row
+ */
+
+/**
+ * Rows for the current run, in the order the URLs were entered.
+ *
+ * @type {Array<BulkRow>}
+ */
+let rows = [];
+
+/**
+ * Page titles for URLs loaded from tabs, so the Markdown and HTML output can
+ * use them as link text. Pasted URLs have no title.
+ *
+ * @type {Map<string, string>}
+ */
+const knownTitles = new Map();
+
+/**
+ * Status labels shown in the table.
+ *
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  working: 'Shortening',
+  done: 'Done',
+  error: 'Failed',
+};
+
+/**
+ * Displays a message below the output controls.
+ *
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+const showStatus = (message, isError = false) => {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+  status.classList.toggle('success', !isError);
+};
+
+/**
+ * Replaces the textarea contents with a list of tabs and remembers their titles.
+ *
+ * @param {Array<{url: string, title: string}>} tabs - Tabs to load
+ */
+const fillFromTabs = (tabs) => {
+  tabs.forEach((tab) => knownTitles.set(tab.url, tab.title));
+  document.getElementById('urls').value = tabs.map((tab) => tab.url).join('\n');
+  showStatus(`Loaded ${tabs.length} tabs.`);
+};
+
+/**
+ * Loads the web pages open in this window. The bulk page itself and other
+ * non-http(s) tabs (chrome://, extensions) are skipped.
+ */
+const loadWindowTabs = async () => {
+  const tabs = await chrome.tabs.query({ currentWindow: true });
+  fillFromTabs(tabs.filter((tab) => /^https?:/i.test(tab.url || '')));
+};
+
+/**
+ * Updates a row's status cell and shortlink cell.
+ *
+ * @param {BulkRow} row - Row to update
+ * @param {BulkRow['status']} status - New status
+ */
+const setRowStatus = (row, status) => {
+  row.status = status;
+  const [statusCell, , shortCell] = row.element.children;
+  statusCell.className = `row-status ${status}`;
+  statusCell.textContent = STATUS_LABELS[status];
+  statusCell.title = row.error || '';
+  shortCell.textContent = row.shortUrl || row.error || '';
+};
+
+/**
+ * Builds rows from the textarea (one URL per line, duplicates removed) and
+ * renders them as pending.
+ *
+ * @returns {Array<BulkRow>}
+ */
+const buildRows = () => {
+  const urls = document.getElementById('urls').value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const tbody = document.getElementById('rows');
+  tbody.textContent = '';
+
+  return [...new Set(urls)].map((longUrl) => {
+    const element = document.createElement('tr');
+    ['', longUrl, ''].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      element.appendChild(cell);
+    });
+    element.children[1].title = longUrl;
+    tbody.appendChild(element);
+
+    const row = { longUrl, title: knownTitles.get(longUrl) || '', element };
+    setRowStatus(row, 'pending');
+    return row;
+  });
+};
+
+/**
+ * Runs an async worker over every item with at most `limit` in flight, so a
+ * long list does not trip the provider's rate limits.
+ *
+ * @param {Array<T>} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {function(T): Promise<void>} worker - Called once per item
+ * @returns {Promise<void>} Resolves when every item has been processed
+ * @template T
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+};
+
+/**
+ * Shortens one row through the background worker's `shortenUrl` message.
+ *
+ * @param {BulkRow} row - Row to shorten
+ */
+const shortenRow = async (row) => {
+  setRowStatus(row, 'working');
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'shortenUrl',
+      url: row.longUrl,
+      title: row.title,
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unable to create shortlink.');
+    }
+    row.shortUrl = response.shortUrl;
+    setRowStatus(row, 'done');
+  } catch (error) {
+    row.error = error.message;
+    setRowStatus(row, 'error');
+  }
+};
+
+/**
+ * Shortens every URL in the textarea.
+ */
+const startBulk = async () => {
+  rows = buildRows();
+  if (!rows.length) {
+    showStatus('Add at least one URL first.', true);
+    return;
+  }
+
+  const startButton = document.getElementById('start');
+  const copyButton = document.getElementById('copyAll');
+  startButton.disabled = true;
+  copyButton.disabled = true;
+  showStatus('Shortening...');
+
+  const limit = Math.min(10, Math.max(1, parseInt(document.getElementById('concurrency').value, 10) || 3));
+  await runWithConcurrency(rows, limit, shortenRow);
+
+  const done = rows.filter((row) => row.status === 'done').length;
+  startButton.disabled = false;
+  copyButton.disabled = done === 0;
+  showStatus(`Shortened ${done} of ${rows.length} URLs.`, done < rows.length);
+};
+
+/**
+ * Escapes text for inclusion in HTML markup.
+ *
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Formats the finished rows as a single block of text.
+ *
+ * @param {Array<BulkRow>} finished - Rows that have a shortlink
+ * @param {('markdown'|'text'|'html')} format - Output format
+ * @returns {string}
+ *
+ * @example
+ * formatRows([{ title: 'Story', shortUrl: 'https://bit.ly/a' }], 'markdown');
+ * // "- [Story](https://bit.ly/a)"
+ */
+const formatRows = (finished, format) => {
+  switch (format) {
+    case 'html': {
+      const items = finished.map((row) => {
+        const href = escapeHtml(row.shortUrl);
+        return `  <li><a href="${href}">${row.title ? escapeHtml(row.title) : href}</a></li>`;
+      });
+      return ['<ul>', ...items, '</ul>'].join('\n');
+    }
+
+    case 'text':
+      return finished
+        .map((row) => (row.title ? `${row.title} - ${row.shortUrl}` : row.shortUrl))
+        .join('\n');
+
+    default:
+      // Escape brackets in titles so they cannot break the link syntax
+      return finished
+        .map((row) => (row.title
+          ? `- [${row.title.replace(/([[\]])/g, '\\$1')}](${row.shortUrl})`
+          : `- <${row.shortUrl}>`))
+        .join('\n');
+  }
+};
+
+/**
+ * Copies the combined output via the background worker's offscreen clipboard.
+ */
+const copyAll = async () => {
+  const finished = rows.filter((row) => row.status === 'done');
+  const text = formatRows(finished, document.getElementById('format').value);
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'copyText', text });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Clipboard write failed');
+    }
+    showStatus(`Copied ${finished.length} shortlinks.`);
+  } catch (error) {
+    showStatus(`Copy failed: ${error.message}`, true);
+  }
+};
+
+/**
+ * Pre-fills the list when the page was opened from the "all tabs" menu item.
+ * The tab list is read once and removed so reloading starts empty.
+ */
+const restoreHandoff = async () => {
+  const { bulkTabs } = await chrome.storage.session.get('bulkTabs');
+  if (bulkTabs) {
+    await chrome.storage.session.remove('bulkTabs');
+    fillFromTabs(bulkTabs);
+  }
+};
+
+// --- Event Listeners ---
+
+document.addEventListener('DOMContentLoaded', restoreHandoff);
+document.getElementById('loadTabs').addEventListener('click', loadWindowTabs);
+document.getElementById('start').addEventListener('click', startBulk);
+document.getElementById('copyAll').addEventListener('click', copyAll);
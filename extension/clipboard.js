@@ -0,0 +1,489 @@
+/**
+ * @fileoverview PocketLink Clipboard
+ *
+ * Delivers a finished shortlink to the user in one of three interaction
+ * modes (see `handleShortlink()`):
+ *
+ * 1. **Offscreen Mode**: the hidden offscreen.html document writes to the
+ *    clipboard (`copyViaOffscreen()`)
+ * 2. **Injection Mode**: a script injected into the tab writes to the page's
+ *    clipboard (`copyToClipboard()`)
+ * 3. **Popup Mode**: a popup window shows the link with a copy button
+ *    (`showInPopup()`), also used as the fallback when the others fail
+ *
+ * The offscreen document is only kept open while a copy is in progress:
+ * `sendToOffscreen()` closes it again if it had to create it.
+ *
+ * Nothing here registers listeners, so the module can be imported by tests
+ * as well as by background.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/offscreen/}
+ */
+
+/**
+ * @typedef {Object} ClipboardResult
+ * @property {boolean} success - Whether the clipboard operation succeeded
+ * @property {string} [message] - Error message if operation failed
+ */
+
+/**
+ * Tracks whether an offscreen document has been created in this session.
+ * Used as fallback for Chrome versions < 116 that don't support getContexts().
+ *
+ * @type {boolean}
+ * @private
+ */
+let offscreenDocumentCreated = false;
+
+/**
+ * Ensures an offscreen document exists for clipboard operations.
+ *
+ * This function manages the lifecycle of offscreen documents, which are required
+ * in Manifest V3 to access APIs like the Clipboard that need a DOM context.
+ *
+ * ## Chrome Version Compatibility
+ *
+ * The function handles multiple Chrome API versions:
+ *
+ * - **Chrome 116+**: Uses `chrome.runtime.getContexts()` to check for existing
+ *   offscreen documents. This is the preferred method as it's reliable across
+ *   service worker restarts.
+ *
+ * - **Chrome 109-115**: Falls back to tracking document creation via the
+ *   `offscreenDocumentCreated` flag. Less reliable as the flag resets on
+ *   service worker restart.
+ *
+ * - **Chrome < 109**: Throws an error as offscreen documents are not supported.
+ *
+ * ## Why This Matters
+ *
+ * Service workers in Manifest V3 can be terminated at any time. When restarted,
+ * the `offscreenDocumentCreated` flag resets to false, but the offscreen document
+ * may still exist. Attempting to create a duplicate throws an error. The
+ * `getContexts()` API (Chrome 116+) solves this by querying actual document state.
+ *
+ * @async
+ * @returns {Promise<boolean>} `true` if a new document was created,
+ *   `false` if one already existed
+ * @throws {Error} If offscreen documents are not supported (Chrome < 109)
+ *
+ * @example
+ * try {
+ *   const created = await ensureOffscreenDocument();
+ *   console.log(created ? 'New document created' : 'Using existing document');
+ * } catch (error) {
+ *   console.error('Offscreen not supported:', error);
+ * }
+ *
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/offscreen/}
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/runtime/#method-getContexts}
+ */
+export const ensureOffscreenDocument = async () => {
+  // Check if offscreen API is available (Chrome 109+)
+  if (!chrome.offscreen?.createDocument) {
+    throw new Error('Offscreen documents are not supported in this browser.');
+  }
+
+  // Chrome 116+ provides getContexts() to reliably check for existing documents
+  if (chrome.runtime.getContexts) {
+    try {
+      const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL('offscreen.html')],
+      });
+
+      if (contexts.length > 0) {
+        return false; // Document already exists, no need to create
+      }
+    } catch (error) {
+      console.warn('Failed to query offscreen contexts, creating a new one:', error);
+    }
+  } else if (offscreenDocumentCreated) {
+    // Fallback for Chrome 109-115: use module-level flag (less reliable)
+    return false;
+  }
+
+  // Handle API version differences for the CLIPBOARD reason enum
+  // Chrome 109-113 may not have Reason enum, requiring string fallback
+  const clipboardReason = chrome.offscreen.Reason?.CLIPBOARD ?? 'CLIPBOARD';
+
+  await chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: [clipboardReason],
+    justification: 'Write shortlink to clipboard',
+  });
+  offscreenDocumentCreated = true;
+  return true;
+};
+
+/**
+ * Copies text to clipboard by injecting a script into the active tab.
+ *
+ * This is the "injection mode" clipboard method. It works by executing a script
+ * in the context of the target tab, which gives access to the page's Clipboard API.
+ *
+ * ## How It Works
+ *
+ * 1. Uses `chrome.scripting.executeScript` to inject code into the target tab
+ * 2. The injected code runs `navigator.clipboard.writeText()` in the page context
+ * 3. The result is returned through the Chrome scripting API's result mechanism
+ *
+ * ## Result Structure
+ *
+ * The `executeScript` API returns an array of InjectionResults. Each result has:
+ * - `result`: The return value of the injected function
+ * - `frameId`: The frame where the script ran
+ *
+ * We destructure `[result]` to get the first (main frame) result, then access
+ * `result.result` to get our `{ success, message }` object.
+ *
+ * ## Limitations
+ *
+ * This method fails on:
+ * - `chrome://` pages (browser internal pages)
+ * - `chrome-extension://` pages (other extensions)
+ * - `file://` URLs (unless extension has file access)
+ * - `about:` pages
+ * - Pages with restrictive Content Security Policy
+ *
+ * @async
+ * @param {string} text - The text to copy to the clipboard
+ * @param {number} tabId - The Chrome tab ID to inject the script into
+ * @param {string} [html] - Rich `text/html` version to copy alongside the text
+ * @returns {Promise<void>} Resolves when copy succeeds
+ * @throws {Error} If clipboard write fails or script injection is blocked
+ *
+ * @example
+ * try {
+ *   await copyToClipboard('https://bit.ly/example', 12345);
+ *   console.log('Copied successfully');
+ * } catch (error) {
+ *   console.error('Copy failed:', error.message);
+ * }
+ *
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/scripting/#method-executeScript}
+ */
+const copyToClipboard = async (text, tabId, html) => {
+  try {
+    // Execute script in target tab's context to access its Clipboard API
+    // Returns array of InjectionResults; we only need the main frame result
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      func: async (textToCopy, htmlToCopy) => {
+        try {
+          if (htmlToCopy) {
+            await navigator.clipboard.write([new ClipboardItem({
+              'text/plain': new Blob([textToCopy], { type: 'text/plain' }),
+              'text/html': new Blob([htmlToCopy], { type: 'text/html' }),
+            })]);
+          } else {
+            await navigator.clipboard.writeText(textToCopy);
+          }
+          return { success: true };
+        } catch (error) {
+          return { success: false, message: error.message };
+        }
+      },
+      // executeScript arguments must be JSON-serializable, so no undefined
+      args: [text, html || ''],
+    });
+
+    // result.result contains our { success, message } object from the injected function
+    if (!result?.result?.success) {
+      throw new Error(result?.result?.message || 'Clipboard write failed');
+    }
+
+    console.log('Successfully copied to clipboard:', text);
+  } catch (err) {
+    console.error('Failed to copy text: ', err);
+    throw err;
+  }
+};
+
+/**
+ * Displays a desktop notification to the user.
+ *
+ * Uses the Chrome notifications API to show a basic notification with the
+ * extension's icon. Notifications are non-blocking and auto-dismiss.
+ *
+ * @param {string} message - The notification body text
+ * @param {string} [title="PocketLink"] - The notification title
+ * @returns {void}
+ *
+ * @example
+ * showNotification('Shortlink copied to clipboard!');
+ * showNotification('API Error', 'PocketLink Error');
+ *
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/notifications/}
+ */
+export const showNotification = (message, title = "PocketLink") => {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: title,
+    message: message,
+  });
+};
+
+/**
+ * Routes the shortlink to the appropriate clipboard/display method based on user settings.
+ *
+ * Acts as a controller that dispatches to one of three handlers:
+ * - `copyViaOffscreen()` for offscreen mode
+ * - `copyToClipboard()` for injection mode
+ * - `showInPopup()` for popup mode
+ *
+ * ## Interaction Modes
+ *
+ * | Mode | Method | Pros | Cons |
+ * |------|--------|------|------|
+ * | `offscreen` | Offscreen document | Most reliable | Requires Chrome 109+ |
+ * | `injection` | Script injection | Fast, no extra window | Fails on restricted pages |
+ * | `popup` | Popup window | Always works | Requires manual copy |
+ *
+ * ## Fallback Behavior
+ *
+ * When `settings.fallbackMode` is true and the primary mode fails:
+ * - `offscreen` → falls back to `popup`
+ * - `injection` → falls back to `popup`
+ * - `popup` → no fallback (throws error)
+ *
+ * The popup mode never has a fallback because it's the most permissive
+ * (always works) and is itself the fallback target.
+ *
+ * Popup mode shows the bare shortlink (and its QR code) and copies the
+ * formatted text, with the rich `html` version where the browser allows.
+ *
+ * @async
+ * @param {ClipboardContent} content - The formatted shortlink(s) from `formatShortlinks()`
+ * @param {PocketLinkSettings} settings - User settings object
+ * @param {chrome.tabs.Tab} tab - The current tab (needed for injection mode)
+ * @returns {Promise<void>}
+ * @throws {Error} If primary mode fails and fallback is disabled or unavailable
+ *
+ * @example
+ * await handleShortlink({ text: 'https://bit.ly/abc' }, settings, tab);
+ */
+export async function handleShortlink(content, settings, tab) {
+  const { text, html } = content;
+  console.log(`Using interaction mode: ${settings.interactionMode}`);
+
+  try {
+    switch (settings.interactionMode) {
+      case 'offscreen':
+        await copyViaOffscreen(text, settings, html);
+        break;
+
+      case 'injection':
+        await copyToClipboard(text, tab.id, html);
+        if (settings.showNotifications) {
+          showNotification('Shortlink created and copied to clipboard!');
+        }
+        break;
+
+      case 'popup':
+        await showInPopup(content);
+        break;
+
+      default:
+        // Unknown mode - fallback to injection as it's the default
+        await copyToClipboard(text, tab.id, html);
+        if (settings.showNotifications) {
+          showNotification('Shortlink created and copied to clipboard!');
+        }
+    }
+  } catch (error) {
+    console.error(`${settings.interactionMode} mode failed:`, error);
+
+    // Attempt fallback to popup mode if enabled and not already using popup
+    if (settings.fallbackMode && settings.interactionMode !== 'popup') {
+      console.log('Falling back to popup mode');
+      await showInPopup(content);
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Copies content when no page is involved (a notification button or the
+ * address bar keyword), so injection is not possible: through the offscreen
+ * document, or in the popup window for users who chose popup mode.
+ *
+ * @async
+ * @param {ClipboardContent} content - Text (and optional HTML) to copy
+ * @param {PocketLinkSettings} settings - User settings
+ * @returns {Promise<void>}
+ */
+export async function copyWithoutTab(content, settings) {
+  const interactionMode = settings.interactionMode === 'popup' ? 'popup' : 'offscreen';
+  await handleShortlink(content, { ...settings, interactionMode }, undefined);
+}
+
+/**
+ * Sends a message to the offscreen document, creating it first if needed.
+ *
+ * ## Why Offscreen Documents?
+ *
+ * In Manifest V3, service workers don't have access to DOM APIs like `navigator.clipboard`.
+ * Offscreen documents provide a way to create a hidden page that has full DOM access,
+ * allowing clipboard operations without user interaction.
+ *
+ * ## Lifecycle Management
+ *
+ * 1. Check if an offscreen document already exists
+ * 2. Create one if needed (track in `createdContext`)
+ * 3. Send the message to the offscreen document
+ * 4. Clean up: close document if we created it (in `finally` block)
+ *
+ * The `finally` block ensures cleanup happens even if the operation fails.
+ * We only close documents we created to avoid closing documents that might
+ * be reused by subsequent calls.
+ *
+ * @async
+ * @param {Object} message - Message for offscreen.js, e.g. `{ action: 'copyToClipboard', text }`
+ * @returns {Promise<void>}
+ * @throws {Error} If offscreen API unavailable or the offscreen document reports a failure
+ * @requires Chrome 109+ for chrome.offscreen API
+ *
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/offscreen/}
+ */
+export async function sendToOffscreen(message) {
+  let createdContext = false;
+  try {
+    // Ensure offscreen document exists; track if we created it for cleanup
+    createdContext = await ensureOffscreenDocument();
+  } catch (error) {
+    console.error('Offscreen clipboard copy is unavailable:', error);
+    throw error;
+  }
+
+  // Send the request to the offscreen document via chrome.runtime messaging
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Clipboard write failed');
+    }
+  } finally {
+    // Clean up: only close the document if we created it in this call
+    // This prevents closing a document that another operation might need
+    if (createdContext) {
+      try {
+        await chrome.offscreen.closeDocument();
+      } catch (error) {
+        console.warn('Failed to close offscreen document:', error);
+      } finally {
+        offscreenDocumentCreated = false;
+      }
+    }
+  }
+}
+
+/**
+ * Copies text to clipboard using an offscreen document.
+ *
+ * This is the "offscreen mode" clipboard method. It creates a hidden document
+ * that has access to the Clipboard API, uses it to copy the text, then cleans
+ * up (see `sendToOffscreen()`).
+ *
+ * ## Message Protocol
+ *
+ * Sends to offscreen.js:
+ * ```javascript
+ * { action: 'copyToClipboard', text: 'https://bit.ly/abc' }
+ * // The HTML format adds: html: '<a href="https://bit.ly/abc">Title</a>'
+ * ```
+ *
+ * Expected response:
+ * ```javascript
+ * { success: true } // or { success: false, error: 'reason' }
+ * ```
+ *
+ * @async
+ * @param {string} shortUrl - The text to copy to clipboard
+ * @param {PocketLinkSettings} settings - User settings (for notification preference)
+ * @param {string} [html] - Rich `text/html` version to copy alongside the text
+ * @returns {Promise<void>}
+ * @throws {Error} If offscreen API unavailable or clipboard write fails
+ * @requires Chrome 109+ for chrome.offscreen API
+ *
+ * @example
+ * await copyViaOffscreen('https://bit.ly/abc', { showNotifications: true });
+ *
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/offscreen/}
+ */
+export async function copyViaOffscreen(shortUrl, settings, html) {
+  await sendToOffscreen({
+    action: 'copyToClipboard',
+    text: shortUrl,
+    html
+  });
+
+  if (settings.showNotifications) {
+    showNotification('Shortlink created and copied to clipboard!');
+  }
+}
+
+/**
+ * Displays the shortlink in a popup window for manual copying.
+ *
+ * This is the "popup mode" clipboard method and fallback for when other modes fail.
+ * It creates a small popup window showing the shortlink with a copy button.
+ *
+ * ## Storage Strategy
+ *
+ * Uses `chrome.storage.local` (not `sync`) to store the shortlink temporarily:
+ * - **local**: Fast, doesn't sync to other devices, suitable for ephemeral data
+ * - **sync**: Slower, syncs across devices, better for persistent settings
+ *
+ * The popup reads this value on load, shows the shortlink and its QR code,
+ * and copies the formatted text (and HTML). It removes the value once read.
+ *
+ * ## Popup Window Configuration
+ *
+ * - **type: 'popup'**: Creates a minimal window without address bar or tabs
+ * - **width: 360**: Compact width suitable for displaying short URLs
+ * - **height: 260**: Room for the URL, copy button and the collapsed QR code section
+ *
+ * ## Data Flow
+ *
+ * ```
+ * background.js                     popup.js
+ *     │                                │
+ *     ├─► storage.local.set() ────────►│
+ *     │   { currentShortlink }         │
+ *     │                                │
+ *     ├─► windows.create() ───────────►│
+ *     │   (opens popup.html)           │
+ *     │                                ├─► storage.local.get()
+ *     │                                │   reads currentShortlink
+ *     │                                ├─► displays shortUrl
+ * ```
+ *
+ * @async
+ * @param {ClipboardContent} content - The shortlink(s) to display and the
+ *   formatted version to copy
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await showInPopup({ shortUrl: 'https://bit.ly/abc123', text: '[Story](https://bit.ly/abc123)' });
+ * // Opens a 360x260 popup window showing the URL
+ *
+ * @see {@link https://developer.chrome.com/docs/extensions/reference/windows/#method-create}
+ */
+async function showInPopup({ shortUrl, text, html }) {
+  // Store shortlink in local storage for popup.js to read
+  // Using 'local' (not 'sync') as this is ephemeral data that doesn't need to sync
+  await chrome.storage.local.set({ currentShortlink: { shortUrl, text, html } });
+
+  // Create a minimal popup window to display the shortlink
+  await chrome.windows.create({
+    url: chrome.runtime.getURL('popup.html'),
+    type: 'popup',
+    width: 360,
+    height: 260
+  });
+}
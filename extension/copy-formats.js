@@ -0,0 +1,165 @@
+/**
+ * @fileoverview PocketLink Copy Formats
+ *
+ * Turns a created shortlink into the text that goes on the clipboard: the
+ * bare URL, a Markdown or HTML link, "Title — URL", or a user-defined
+ * template. The default format is chosen on the options page and saved in
+ * chrome.storage.sync as `copyFormat`; the "Copy shortlink as" context
+ * submenu overrides it for a single copy.
+ *
+ * The HTML format also produces a `text/html` version so rich editors (Google
+ * Docs, Slack, WordPress) paste a clickable link while plain-text fields get
+ * the markup itself.
+ *
+ * This module is imported by background.js and by options.js, which
+ * previews the formats.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} CopyFormat
+ * @property {string} id - Saved as the `copyFormat` setting and used in menu ids
+ * @property {string} label - Shown in the options dropdown and context submenu
+ */
+
+/**
+ * @typedef {Object} CopyLink
+ * @property {string} shortUrl - The shortlink
+ * @property {string} longUrl - The URL that was shortened
+ * @property {string} [title] - Page or link title; may be empty
+ */
+
+/**
+ * @typedef {Object} ClipboardContent
+ * @property {string} shortUrl - The shortlink(s) alone, one per line, for
+ *   showing in the popup window
+ * @property {string} text - Plain text for the clipboard
+ * @property {string} [html] - Rich `text/html` version, when the format has one
+ */
+
+/**
+ * Available copy formats, in menu order.
+ *
+ * @type {Array<CopyFormat>}
+ */
+export const COPY_FORMATS = [
+  { id: 'plain', label: 'Plain URL' },
+  { id: 'markdown', label: 'Markdown link' },
+  { id: 'html', label: 'HTML link (rich text for Docs, Slack, etc.)' },
+  { id: 'titled', label: 'Title — URL' },
+  { id: 'custom', label: 'Custom template' },
+];
+
+/**
+ * Format used when none has been saved, matching the behaviour before copy
+ * formats existed.
+ *
+ * @type {string}
+ */
+export const DEFAULT_COPY_FORMAT = 'plain';
+
+/**
+ * Template offered until the user writes their own.
+ *
+ * @type {string}
+ */
+export const DEFAULT_COPY_TEMPLATE = '{title}: {url}';
+
+/**
+ * Prefix for the context menu ids of format items, e.g. "pocketlink-format:markdown".
+ *
+ * @type {string}
+ */
+export const COPY_FORMAT_MENU_PREFIX = 'pocketlink-format:';
+
+/**
+ * Escapes text for inclusion in HTML markup.
+ *
+ * @param {string} text - Raw text
+ * @returns {string}
+ * @private
+ */
+const escapeHtmlText = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Returns today's date as YYYY-MM-DD in the user's time zone.
+ *
+ * @param {Date} [date=new Date()] - Date to format
+ * @returns {string}
+ * @private
+ */
+const formatLocalDate = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Formats a single link. Formats that need a title fall back to the bare
+ * URL (or an autolink, for Markdown) when the link has none.
+ *
+ * @param {CopyLink} link - The link to format
+ * @param {string} formatId - One of the `COPY_FORMATS` ids
+ * @param {string} [template] - Template for the `custom` format
+ * @returns {{text: string, html?: string}}
+ * @private
+ */
+const formatLink = ({ shortUrl, longUrl, title = '' }, formatId, template) => {
+  switch (formatId) {
+    case 'markdown':
+      // Escape brackets in titles so they cannot break the link syntax
+      return {
+        text: title ? `[${title.replace(/([[\]])/g, '\\$1')}](${shortUrl})` : `<${shortUrl}>`,
+      };
+
+    case 'html': {
+      const anchor = `<a href="${escapeHtmlText(shortUrl)}">${escapeHtmlText(title || shortUrl)}</a>`;
+      return { text: anchor, html: anchor };
+    }
+
+    case 'titled':
+      return { text: title ? `${title} — ${shortUrl}` : shortUrl };
+
+    case 'custom': {
+      const values = { title, url: shortUrl, long_url: longUrl, date: formatLocalDate() };
+      // Unknown placeholders are left as typed so mistakes are visible
+      const text = (template || DEFAULT_COPY_TEMPLATE).replace(/\{(\w+)\}/g, (placeholder, name) => {
+        return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder;
+      });
+      return { text };
+    }
+
+    default:
+      return { text: shortUrl };
+  }
+};
+
+/**
+ * Formats one or more links for the clipboard, one per line.
+ *
+ * @param {Array<CopyLink>} links - Links in the order they were created
+ * @param {string} formatId - One of the `COPY_FORMATS` ids
+ * @param {string} [template] - Template for the `custom` format
+ * @returns {ClipboardContent}
+ *
+ * @example
+ * formatShortlinks([{ shortUrl: 'https://bit.ly/a', longUrl: 'https://example.com', title: 'Story' }], 'markdown');
+ * // { shortUrl: 'https://bit.ly/a', text: '[Story](https://bit.ly/a)' }
+ */
+export const formatShortlinks = (links, formatId, template) => {
+  const formatted = links.map((link) => formatLink(link, formatId, template));
+  const content = {
+    shortUrl: links.map((link) => link.shortUrl).join('\n'),
+    text: formatted.map((item) => item.text).join('\n'),
+  };
+
+  if (formatted.every((item) => item.html)) {
+    content.html = formatted.map((item) => item.html).join('<br>\n');
+  }
+  return content;
+};
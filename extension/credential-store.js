@@ -0,0 +1,401 @@
+/**
+ * @fileoverview PocketLink Credential Storage
+ *
+ * Decides where the shortening service credentials (every provider field
+ * from providers.js, the credentials of each profile from profiles.js and
+ * the Bit.ly sign-in secrets from bitly-oauth.js) are kept. The user picks one of three modes on the options page:
+ *
+ * | Mode | Where | Notes |
+ * |------|-------|-------|
+ * | `sync` | chrome.storage.sync | The default; follows the user's Google account, unencrypted, Bit.ly sign-in secrets included |
+ * | `local` | chrome.storage.local | Never leaves this device |
+ * | `encrypted` | chrome.storage.local | AES-GCM encrypted with a key derived from a passphrase |
+ *
+ * In encrypted mode the passphrase is never stored. Unlocking derives the key
+ * with PBKDF2 and keeps it in chrome.storage.session, which lives in memory
+ * and is cleared when the browser closes, so the passphrase is asked for once
+ * per browser session. Until then the credentials read as empty and
+ * `credentialsLocked` is set on the loaded settings.
+ *
+ * The chosen mode is itself stored in chrome.storage.local, as it describes
+ * this device only.
+ *
+ * This module is imported by settings-schema.js (which background.js uses
+ * to read settings), bitly-oauth.js, options.js and analytics.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getProviderDefaults } from './providers.js';
+
+/**
+ * @typedef {Object} EncryptedCredentials
+ * @property {string} salt - Base64 PBKDF2 salt
+ * @property {string} iv - Base64 AES-GCM initialization vector
+ * @property {string} data - Base64 ciphertext of the credentials as JSON
+ * @property {number} iterations - PBKDF2 iterations used for the key
+ */
+
+/**
+ * Where credentials can be stored.
+ *
+ * @type {Object<string, string>}
+ */
+export const CREDENTIAL_STORAGE_MODES = {
+  SYNC: 'sync',
+  LOCAL: 'local',
+  ENCRYPTED: 'encrypted',
+};
+
+/**
+ * chrome.storage.local key holding the chosen mode.
+ *
+ * @type {string}
+ */
+const CREDENTIAL_MODE_STORAGE_KEY = 'credentialStorage';
+
+/**
+ * chrome.storage.local key holding credentials in `local` mode.
+ *
+ * @type {string}
+ */
+const LOCAL_CREDENTIALS_STORAGE_KEY = 'credentials';
+
+/**
+ * chrome.storage.local key holding the `EncryptedCredentials` in `encrypted` mode.
+ *
+ * @type {string}
+ */
+const ENCRYPTED_CREDENTIALS_STORAGE_KEY = 'encryptedCredentials';
+
+/**
+ * chrome.storage.session key holding the unlocked AES key (raw, base64).
+ *
+ * @type {string}
+ */
+const CREDENTIAL_SESSION_KEY = 'credentialKey';
+
+/**
+ * Storage key of the per-profile credentials (see profiles.js), an object
+ * mapping profile ids to credential values keyed like the provider fields.
+ *
+ * @type {string}
+ */
+export const PROFILE_CREDENTIALS_KEY = 'profileCredentials';
+
+/**
+ * Storage key of the Bit.ly sign-in secrets (see bitly-oauth.js): the OAuth
+ * app's `clientSecret` and the sign-in's `refreshToken`. They are not
+ * settings, so they are never exported.
+ *
+ * @type {string}
+ */
+export const BITLY_OAUTH_CREDENTIALS_KEY = 'bitlyOAuthCredentials';
+
+/**
+ * PBKDF2-SHA-256 iterations for new passphrases, per the OWASP recommendation.
+ *
+ * @type {number}
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Returns every credential storage key with its empty value: each
+ * provider's credential fields, the profile credentials and the Bit.ly
+ * sign-in secrets.
+ *
+ * @returns {Object} e.g. `{ bitlyToken: '', ..., profileCredentials: {}, bitlyOAuthCredentials: {} }`
+ */
+const getCredentialDefaults = () => {
+  const { provider, ...fields } = getProviderDefaults();
+  return { ...fields, [PROFILE_CREDENTIALS_KEY]: {}, [BITLY_OAUTH_CREDENTIALS_KEY]: {} };
+};
+
+/**
+ * Returns the storage keys of every credential.
+ *
+ * @returns {Array<string>} e.g. `['bitlyToken', 'bitlyGroupGuid', ...]`
+ */
+export const getCredentialKeys = () => Object.keys(getCredentialDefaults());
+
+/**
+ * Returns where credentials are stored on this device.
+ *
+ * @async
+ * @returns {Promise<string>} One of `CREDENTIAL_STORAGE_MODES`
+ */
+export const getCredentialStorageMode = async () => {
+  const { [CREDENTIAL_MODE_STORAGE_KEY]: mode } = await chrome.storage.local.get(CREDENTIAL_MODE_STORAGE_KEY);
+  return Object.values(CREDENTIAL_STORAGE_MODES).includes(mode) ? mode : CREDENTIAL_STORAGE_MODES.SYNC;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} bytes - Binary data
+ * @returns {string} Base64 text
+ * @private
+ */
+const bytesToBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+/**
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Binary data
+ * @private
+ */
+const base64ToBytes = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * Derives the AES-GCM key for a passphrase. The key is extractable so it can
+ * be kept in chrome.storage.session between service worker restarts.
+ *
+ * @async
+ * @param {string} passphrase - The user's passphrase
+ * @param {Uint8Array} salt - Random salt stored with the ciphertext
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ * @private
+ */
+const deriveCredentialKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Keeps an unlocked key for the rest of the browser session.
+ *
+ * @async
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<void>}
+ * @private
+ */
+const rememberCredentialKey = async (key) => {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({ [CREDENTIAL_SESSION_KEY]: bytesToBase64(raw) });
+};
+
+/**
+ * Returns the key unlocked earlier in this browser session, if any.
+ *
+ * @async
+ * @returns {Promise<CryptoKey|null>}
+ * @private
+ */
+const getSessionCredentialKey = async () => {
+  const { [CREDENTIAL_SESSION_KEY]: raw } = await chrome.storage.session.get(CREDENTIAL_SESSION_KEY);
+  if (!raw) {
+    return null;
+  }
+  return crypto.subtle.importKey('raw', base64ToBytes(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+};
+
+/**
+ * Decrypts stored credentials.
+ *
+ * @async
+ * @param {EncryptedCredentials} stored - The encrypted credentials
+ * @param {CryptoKey} key - The AES-GCM key
+ * @returns {Promise<Object<string, string>>}
+ * @throws {Error} If the key is wrong or the data was tampered with
+ * @private
+ */
+const decryptCredentials = async (stored, key) => {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(stored.iv) },
+    key,
+    base64ToBytes(stored.data)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+/**
+ * Reads the credentials from wherever the current mode keeps them.
+ *
+ * @async
+ * @returns {Promise<{values: Object<string, string>, locked: boolean}>}
+ *   `locked` is true in encrypted mode until the passphrase has been entered
+ *   in this browser session; `values` is then empty
+ */
+export const readCredentials = async () => {
+  const mode = await getCredentialStorageMode();
+
+  if (mode === CREDENTIAL_STORAGE_MODES.SYNC) {
+    return { values: await chrome.storage.sync.get(getCredentialDefaults()), locked: false };
+  }
+
+  if (mode === CREDENTIAL_STORAGE_MODES.LOCAL) {
+    const { [LOCAL_CREDENTIALS_STORAGE_KEY]: values = {} } = await chrome.storage.local.get(LOCAL_CREDENTIALS_STORAGE_KEY);
+    return { values, locked: false };
+  }
+
+  const { [ENCRYPTED_CREDENTIALS_STORAGE_KEY]: stored } = await chrome.storage.local.get(ENCRYPTED_CREDENTIALS_STORAGE_KEY);
+  if (!stored) {
+    return { values: {}, locked: false };
+  }
+
+  const key = await getSessionCredentialKey();
+  if (!key) {
+    return { values: {}, locked: true };
+  }
+
+  try {
+    return { values: await decryptCredentials(stored, key), locked: false };
+  } catch (error) {
+    // The passphrase was changed on this device since the key was unlocked
+    await chrome.storage.session.remove(CREDENTIAL_SESSION_KEY);
+    return { values: {}, locked: true };
+  }
+};
+
+/**
+ * Unlocks encrypted credentials for the rest of the browser session.
+ *
+ * @async
+ * @param {string} passphrase - The passphrase the credentials were saved with
+ * @returns {Promise<Object<string, string>>} The decrypted credentials
+ * @throws {Error} If there is nothing to unlock or the passphrase is wrong
+ */
+export const unlockCredentials = async (passphrase) => {
+  const { [ENCRYPTED_CREDENTIALS_STORAGE_KEY]: stored } = await chrome.storage.local.get(ENCRYPTED_CREDENTIALS_STORAGE_KEY);
+  if (!stored) {
+    throw new Error('No encrypted credentials are saved on this device.');
+  }
+
+  const key = await deriveCredentialKey(passphrase, base64ToBytes(stored.salt), stored.iterations);
+  let values;
+  try {
+    values = await decryptCredentials(stored, key);
+  } catch (error) {
+    throw new Error('That passphrase is not correct.');
+  }
+
+  await rememberCredentialKey(key);
+  return values;
+};
+
+/**
+ * Forgets the unlocked key, so encrypted credentials need the passphrase again.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const lockCredentials = () => chrome.storage.session.remove(CREDENTIAL_SESSION_KEY);
+
+/**
+ * Saves credentials in the given mode and removes any copies kept by the
+ * other modes, so switching to local or encrypted storage also deletes the
+ * synced plaintext.
+ *
+ * In encrypted mode a new passphrase re-encrypts with a fresh salt. Without
+ * one, the key unlocked earlier in this session is reused.
+ *
+ * @async
+ * @param {Object<string, string>} values - Credentials keyed by storage key
+ * @param {string} mode - One of `CREDENTIAL_STORAGE_MODES`
+ * @param {string} [passphrase] - New passphrase, for encrypted mode
+ * @returns {Promise<void>}
+ * @throws {Error} In encrypted mode, if there is no passphrase and no unlocked key
+ */
+export const writeCredentials = async (values, mode, passphrase) => {
+  const defaults = getCredentialDefaults();
+  const keys = Object.keys(defaults);
+  const credentials = Object.fromEntries(keys.map((key) => [key, values[key] || defaults[key]]));
+
+  if (mode === CREDENTIAL_STORAGE_MODES.ENCRYPTED) {
+    let key;
+    let salt;
+    let iterations = PBKDF2_ITERATIONS;
+
+    if (passphrase) {
+      salt = crypto.getRandomValues(new Uint8Array(16));
+      key = await deriveCredentialKey(passphrase, salt, iterations);
+    } else {
+      const { [ENCRYPTED_CREDENTIALS_STORAGE_KEY]: stored } = await chrome.storage.local.get(ENCRYPTED_CREDENTIALS_STORAGE_KEY);
+      key = stored && (await getSessionCredentialKey());
+      if (!key) {
+        throw new Error('Enter a passphrase to encrypt your credentials.');
+      }
+      salt = base64ToBytes(stored.salt);
+      iterations = stored.iterations;
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(credentials))
+    );
+
+    await chrome.storage.local.set({
+      [ENCRYPTED_CREDENTIALS_STORAGE_KEY]: {
+        salt: bytesToBase64(salt),
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(data),
+        iterations,
+      },
+    });
+    await rememberCredentialKey(key);
+  } else if (mode === CREDENTIAL_STORAGE_MODES.LOCAL) {
+    await chrome.storage.local.set({ [LOCAL_CREDENTIALS_STORAGE_KEY]: credentials });
+  } else {
+    await chrome.storage.sync.set(credentials);
+  }
+
+  if (mode !== CREDENTIAL_STORAGE_MODES.SYNC) {
+    await chrome.storage.sync.remove(keys);
+  }
+  if (mode !== CREDENTIAL_STORAGE_MODES.LOCAL) {
+    await chrome.storage.local.remove(LOCAL_CREDENTIALS_STORAGE_KEY);
+  }
+  if (mode !== CREDENTIAL_STORAGE_MODES.ENCRYPTED) {
+    await chrome.storage.local.remove(ENCRYPTED_CREDENTIALS_STORAGE_KEY);
+    await lockCredentials();
+  }
+
+  await chrome.storage.local.set({ [CREDENTIAL_MODE_STORAGE_KEY]: mode });
+};
+
+/**
+ * Loads settings from chrome.storage.sync with defaults, like
+ * `chrome.storage.sync.get()`, but with any credential keys among the
+ * defaults read from wherever credentials are stored.
+ *
+ * @async
+ * @param {Object} defaults - Keys to load and their default values
+ * @returns {Promise<Object>} The settings, plus `credentialsLocked`
+ *
+ * @example
+ * const settings = await getStoredSettings({
+ *   ...getProviderDefaults(),
+ *   showNotifications: true
+ * });
+ * if (settings.credentialsLocked) {
+ *   // Ask for the passphrase on the options page
+ * }
+ */
+export const getStoredSettings = async (defaults) => {
+  const settings = await chrome.storage.sync.get(defaults);
+  if ((await getCredentialStorageMode()) === CREDENTIAL_STORAGE_MODES.SYNC) {
+    return { ...settings, credentialsLocked: false };
+  }
+
+  const { values, locked } = await readCredentials();
+  getCredentialKeys()
+    .filter((key) => key in defaults)
+    .forEach((key) => {
+      settings[key] = values[key] || defaults[key];
+    });
+
+  return { ...settings, credentialsLocked: locked };
+};
@@ -0,0 +1,229 @@
+// history.js
+// This script provides the functionality for the history.html page.
+// It lists the shortlinks recorded by shortlink-history.js, filters them as
+// the user types, and handles re-copying, deleting and exporting entries.
+
+import { getProvider } from './providers.js';
+import { deleteHistoryEntry, getHistory, HISTORY_STORAGE_KEY } from './shortlink-history.js';
+
+/**
+ * All history entries as last read from storage, newest first.
+ * The search box filters this list in memory.
+ *
+ * @type {Array<HistoryEntry>}
+ */
+let allEntries = [];
+
+/**
+ * Displays a message in the status area at the bottom of the page.
+ *
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+const showStatus = (message, isError = false) => {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+  status.classList.toggle('success', !isError);
+  status.style.opacity = 1;
+
+  setTimeout(() => {
+    status.style.opacity = 0;
+  }, 2000);
+};
+
+/**
+ * Returns the entries matching every word typed in the search box.
+ * Matching is case-insensitive across the title, both URLs and the provider name.
+ *
+ * @param {string} query - Raw search box value
+ * @returns {Array<HistoryEntry>}
+ */
+const filterEntries = (query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) {
+    return allEntries;
+  }
+
+  return allEntries.filter((entry) => {
+    const haystack = [
+      entry.title,
+      entry.shortUrl,
+      entry.longUrl,
+      getProvider(entry.provider).label,
+    ].join(' ').toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+  });
+};
+
+/**
+ * Builds the DOM row for a single history entry.
+ *
+ * @param {HistoryEntry} entry - The entry to render
+ * @returns {HTMLElement}
+ */
+const renderEntry = (entry) => {
+  const row = document.createElement('div');
+  row.className = 'entry';
+
+  const details = document.createElement('div');
+  details.className = 'entry-details';
+
+  const shortLink = document.createElement('a');
+  shortLink.className = 'entry-short';
+  shortLink.href = entry.shortUrl;
+  shortLink.target = '_blank';
+  shortLink.textContent = entry.shortUrl;
+  details.appendChild(shortLink);
+
+  if (entry.title) {
+    const title = document.createElement('div');
+    title.className = 'entry-title';
+    title.textContent = entry.title;
+    details.appendChild(title);
+  }
+
+  const longUrl = document.createElement('div');
+  longUrl.className = 'entry-long';
+  longUrl.textContent = entry.longUrl;
+  longUrl.title = entry.longUrl;
+  details.appendChild(longUrl);
+
+  const meta = document.createElement('div');
+  meta.className = 'entry-meta';
+  meta.textContent = `${new Date(entry.createdAt).toLocaleString()} · ${getProvider(entry.provider).label}`;
+  details.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+
+  const copyButton = document.createElement('button');
+  copyButton.textContent = 'Copy';
+  copyButton.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(entry.shortUrl);
+      showStatus(`Copied ${entry.shortUrl}`);
+    } catch (error) {
+      showStatus('Copy failed', true);
+    }
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'secondary';
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', async () => {
+    // The storage change listener re-renders the list once the delete lands
+    await deleteHistoryEntry(entry.id);
+  });
+
+  actions.appendChild(copyButton);
+  actions.appendChild(deleteButton);
+
+  row.appendChild(details);
+  row.appendChild(actions);
+  return row;
+};
+
+/**
+ * Re-renders the list for the current search query.
+ */
+const renderEntries = () => {
+  const entries = filterEntries(document.getElementById('search').value);
+  const container = document.getElementById('entries');
+  container.textContent = '';
+  entries.forEach((entry) => container.appendChild(renderEntry(entry)));
+
+  document.getElementById('empty').hidden = entries.length > 0;
+  document.getElementById('count').textContent =
+    `Showing ${entries.length} of ${allEntries.length} shortlinks.`;
+};
+
+/**
+ * Reloads entries from storage and re-renders the list.
+ */
+const loadEntries = async () => {
+  allEntries = await getHistory();
+  renderEntries();
+};
+
+/**
+ * Escapes a value for a CSV cell (RFC 4180): wraps it in quotes and doubles
+ * any quotes inside it. A value a spreadsheet would read as a formula, such
+ * as a page title starting with "=", gets a leading apostrophe (OWASP's
+ * advice against CSV injection).
+ *
+ * @param {*} value - The cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  const text = String(value ?? '');
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Serializes entries as CSV with a header row.
+ *
+ * @param {Array<HistoryEntry>} entries - Entries to export
+ * @returns {string}
+ */
+const toCsv = (entries) => {
+  const header = ['created_at', 'short_url', 'long_url', 'title', 'provider'];
+  const rows = entries.map((entry) => [
+    new Date(entry.createdAt).toISOString(),
+    entry.shortUrl,
+    entry.longUrl,
+    entry.title,
+    entry.provider,
+  ]);
+  return [header, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\r\n');
+};
+
+/**
+ * Triggers a file download of the given text content.
+ *
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Exports the entries matching the current search in the chosen format.
+ *
+ * @param {('csv'|'json')} format - Export format
+ */
+const exportEntries = (format) => {
+  const entries = filterEntries(document.getElementById('search').value);
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    downloadFile(toCsv(entries), `pocketlink-history-${date}.csv`, 'text/csv');
+  } else {
+    downloadFile(JSON.stringify(entries, null, 2), `pocketlink-history-${date}.json`, 'application/json');
+  }
+};
+
+// --- Event Listeners ---
+
+document.addEventListener('DOMContentLoaded', loadEntries);
+document.getElementById('search').addEventListener('input', renderEntries);
+document.getElementById('exportCsv').addEventListener('click', () => exportEntries('csv'));
+document.getElementById('exportJson').addEventListener('click', () => exportEntries('json'));
+
+/**
+ * Keeps the page current when links are created or deleted elsewhere
+ * (e.g. a shortlink made from the context menu while this tab is open).
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+    loadEntries();
+  }
+});
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview PocketLink Link Expander
+ *
+ * Finds out where a shortlink leads before the user visits it, for the
+ * "Expand shortlink" context menu items:
+ *
+ * 1. Links from a service whose API can look them up (Bit.ly, see
+ *    `expandLink()` in providers.js) are expanded through that API, which
+ *    does not count as a click. If the API lookup fails, the link is
+ *    followed like any other.
+ * 2. Everything else, and the long URL from step 1, is followed with `HEAD`
+ *    requests from the service worker. Each redirect is recorded from
+ *    `chrome.webRequest.onBeforeRedirect`, since `fetch()` hides the
+ *    `Location` header of redirects it is not allowed to follow itself.
+ *
+ * Requests are sent without cookies, so the destination can't tell who is
+ * asking, and nothing from the destination is loaded or run. Following links
+ * to any site needs the optional host permissions for all sites
+ * (`EXPAND_ORIGINS`), which the popup asks for the first time they are needed.
+ *
+ * This module is imported by background.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getMissingCredentials, SHORTENER_PROVIDERS } from './providers.js';
+
+/**
+ * @typedef {Object} RedirectHop
+ * @property {string} url - Address that redirected
+ * @property {string} location - Where it redirected to
+ * @property {number|null} status - HTTP status of the redirect; null when the
+ *   hop was looked up through a service's API
+ * @property {string} [via] - Name of the service whose API was used
+ */
+
+/**
+ * @typedef {Object} ExpandResult
+ * @property {string} url - The shortlink that was expanded
+ * @property {Array<RedirectHop>} hops - Redirects, in order
+ * @property {string|null} finalUrl - Where the link ends up; null if it could
+ *   not be followed
+ * @property {number|null} status - HTTP status of the final address; null if
+ *   it was not requested
+ * @property {boolean} [needsPermission] - The redirects could not be
+ *   followed without the `EXPAND_ORIGINS` host permissions
+ */
+
+/**
+ * Host permissions needed to follow redirects to any site.
+ *
+ * @type {Array<string>}
+ */
+export const EXPAND_ORIGINS = ['https://*/*', 'http://*/*'];
+
+/**
+ * How long following a link may take before giving up, in milliseconds.
+ *
+ * @type {number}
+ */
+const EXPAND_TIMEOUT_MS = 10000;
+
+/**
+ * Most links a single "Expand shortlinks in selection" click expands.
+ *
+ * @type {number}
+ */
+export const EXPAND_MAX_LINKS = 5;
+
+/**
+ * Requests a URL without following it into a page: `HEAD`, or `GET` for
+ * servers that refuse `HEAD`, in which case the body is dropped unread.
+ *
+ * @async
+ * @param {string} url - Address to request
+ * @returns {Promise<Response>} The response after any redirects
+ * @private
+ */
+const requestWithoutBody = async (url) => {
+  const init = {
+    credentials: 'omit',
+    cache: 'no-store',
+    redirect: 'follow',
+    signal: AbortSignal.timeout(EXPAND_TIMEOUT_MS),
+  };
+
+  const response = await fetch(url, { ...init, method: 'HEAD' });
+  if (response.status !== 405 && response.status !== 501) {
+    return response;
+  }
+
+  const controller = new AbortController();
+  const fallback = await fetch(url, {
+    ...init,
+    method: 'GET',
+    signal: AbortSignal.any([init.signal, controller.signal]),
+  });
+  controller.abort();
+  return fallback;
+};
+
+/**
+ * Follows a URL's redirects and records each one.
+ *
+ * @async
+ * @param {string} url - Address to follow
+ * @returns {Promise<{hops: Array<RedirectHop>, finalUrl: string, status: number}>}
+ * @throws {Error} If the address can't be reached or takes too long
+ */
+const followRedirects = async (url) => {
+  const hops = [];
+  let current = url;
+
+  // Only this extension's own requests (tabId -1) that continue the chain count
+  const recordRedirect = (details) => {
+    if (details.url === current) {
+      hops.push({ url: details.url, location: details.redirectUrl, status: details.statusCode });
+      current = details.redirectUrl;
+    }
+  };
+  chrome.webRequest.onBeforeRedirect.addListener(recordRedirect, { urls: ['<all_urls>'], tabId: -1 });
+
+  try {
+    const response = await requestWithoutBody(url);
+    return { hops, finalUrl: response.url, status: response.status };
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`${new URL(current).hostname} did not answer within ${EXPAND_TIMEOUT_MS / 1000} seconds.`);
+    }
+    throw new Error(`Could not reach ${new URL(current).hostname}: ${error.message}`);
+  } finally {
+    chrome.webRequest.onBeforeRedirect.removeListener(recordRedirect);
+  }
+};
+
+/**
+ * Expands a shortlink: through its service's API where possible, then by
+ * following redirects if the host permissions have been granted.
+ *
+ * @async
+ * @param {string} url - The shortlink
+ * @param {Object} settings - Settings holding the provider credentials
+ * @returns {Promise<ExpandResult>}
+ * @throws {Error} If the URL is not a web address, or following it fails
+ *
+ * @example
+ * const result = await expandShortlink('https://bit.ly/3xAmPlE', await getSettings());
+ * // { url: 'https://bit.ly/3xAmPlE', hops: [...], finalUrl: 'https://example.com/', status: 200 }
+ */
+export const expandShortlink = async (url, settings) => {
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error('Only web addresses (http or https) can be expanded.');
+  }
+
+  const result = { url, hops: [], finalUrl: null, status: null };
+  let start = url;
+
+  const provider = Object.values(SHORTENER_PROVIDERS).find((item) => item.expandLink
+    && item.ownsLink(url, settings)
+    && !getMissingCredentials(item, settings).length);
+  if (provider) {
+    try {
+      const longUrl = await provider.expandLink(url, settings);
+      result.hops.push({ url, location: longUrl, status: null, via: provider.label });
+      result.finalUrl = longUrl;
+      start = longUrl;
+    } catch (error) {
+      // E.g. a link from another account, or a rejected token
+      console.warn(`Could not expand the link through ${provider.label}, following it instead:`, error);
+    }
+  }
+
+  if (!(await chrome.permissions.contains({ origins: EXPAND_ORIGINS }))) {
+    return { ...result, needsPermission: true };
+  }
+
+  const walk = await followRedirects(start);
+  return {
+    ...result,
+    hops: [...result.hops, ...walk.hops],
+    finalUrl: walk.finalUrl,
+    status: walk.status,
+  };
+};
@@ -4,7 +4,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'copyToClipboard') {
     (async () => {
       try {
-        await navigator.clipboard.writeText(message.text);
+        if (message.html) {
+          // Rich editors paste the HTML; plain-text fields get the text
+          await navigator.clipboard.write([new ClipboardItem({
+            'text/plain': new Blob([message.text], { type: 'text/plain' }),
+            'text/html': new Blob([message.html], { type: 'text/html' }),
+          })]);
+        } else {
+          await navigator.clipboard.writeText(message.text);
+        }
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+
+    return true;
+  }
+
+  if (message.action === 'copyImageToClipboard') {
+    (async () => {
+      try {
+        // Only PNG is widely supported for images in the async Clipboard API
+        const blob = await (await fetch(message.dataUrl)).blob();
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
         sendResponse({ success: true });
       } catch (error) {
         sendResponse({ success: false, error: error.message });
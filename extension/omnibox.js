@@ -0,0 +1,144 @@
+/**
+ * @fileoverview PocketLink Omnibox Keyword
+ *
+ * Helpers for the `pl` keyword in the address bar (see `omnibox` in
+ * manifest.json):
+ *
+ * - `pl <url>` shortens the URL and copies the shortlink
+ * - `pl <words>` suggests matching links from the local history and, for
+ *   providers that can search the account (`searchLinks()` in providers.js),
+ *   from the service. Choosing a suggestion copies its shortlink.
+ * - `pl <shortlink>` (what choosing a suggestion enters) copies a link from
+ *   the history or one a provider recognizes (`ownsLink()`) instead of
+ *   shortening it again
+ *
+ * Suggestion descriptions are XML, so text from links is escaped before it
+ * is shown. The listeners live in background.js.
+ *
+ * This module is imported by background.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getMissingCredentials, getProvider, SHORTENER_PROVIDERS } from './providers.js';
+import { getHistory, searchHistory } from './shortlink-history.js';
+
+/**
+ * Most suggestions shown under the keyword. Chrome shows about this many.
+ *
+ * @type {number}
+ */
+const OMNIBOX_MAX_SUGGESTIONS = 5;
+
+/**
+ * How long typing must pause before the service is searched, in
+ * milliseconds, so each keystroke does not cost an API request.
+ *
+ * @type {number}
+ */
+export const OMNIBOX_SEARCH_DELAY_MS = 300;
+
+/**
+ * Reads what was typed after the keyword as a URL to shorten. Bare hostnames
+ * such as `example.com/story` get `https://` added.
+ *
+ * @param {string} text - Text typed after the keyword
+ * @returns {string|null} The URL, or null if the text is a search
+ *
+ * @example
+ * parseOmniboxUrl('example.com/story'); // 'https://example.com/story'
+ * parseOmniboxUrl('spring sale');       // null
+ */
+export const parseOmniboxUrl = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed || /\s/.test(trimmed)) {
+    return null;
+  }
+
+  let candidate = null;
+  if (/^https?:\/\//i.test(trimmed)) {
+    candidate = trimmed;
+  } else if (/^[\w-]+(\.[\w-]+)+(:\d+)?([/?#]|$)/.test(trimmed)) {
+    candidate = `https://${trimmed}`;
+  }
+
+  try {
+    return candidate && new URL(candidate).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Escapes text for an omnibox suggestion description.
+ *
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export const escapeOmniboxText = (text) => {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  return String(text).replace(/[&<>"']/g, (character) => entities[character]);
+};
+
+/**
+ * Builds the description of a suggested link: its shortlink, then its title
+ * (or long URL) dimmed.
+ *
+ * @param {CopyLink} link - The link
+ * @returns {string} Description XML
+ */
+export const describeOmniboxLink = (link) => {
+  return `<url>${escapeOmniboxText(link.shortUrl)}</url> <dim>${escapeOmniboxText(link.title || link.longUrl)}</dim>`;
+};
+
+/**
+ * Finds the links matching a search: local history first, then the
+ * provider's account, without duplicates. A failed account search is logged
+ * and leaves the local results.
+ *
+ * @async
+ * @param {string} query - Words typed after the keyword
+ * @param {Object} settings - Settings with the provider credentials
+ * @returns {Promise<Array<CopyLink>>} At most `OMNIBOX_MAX_SUGGESTIONS` links
+ */
+export const findOmniboxLinks = async (query, settings) => {
+  const local = (await searchHistory(query, OMNIBOX_MAX_SUGGESTIONS))
+    .map(({ shortUrl, longUrl, title }) => ({ shortUrl, longUrl, title }));
+
+  let remote = [];
+  const provider = getProvider(settings.provider);
+  if (provider.searchLinks && !settings.credentialsLocked && !getMissingCredentials(provider, settings).length) {
+    try {
+      remote = await provider.searchLinks(query, settings, OMNIBOX_MAX_SUGGESTIONS);
+    } catch (error) {
+      console.warn(`Could not search your ${provider.label} links:`, error);
+    }
+  }
+
+  const seen = new Set();
+  return [...local, ...remote]
+    .filter((link) => !seen.has(link.shortUrl) && seen.add(link.shortUrl))
+    .slice(0, OMNIBOX_MAX_SUGGESTIONS);
+};
+
+/**
+ * Recognizes an entered URL as one of the user's shortlinks: an entry in the
+ * history, or a link a provider says is its own. Chrome enters the chosen
+ * suggestion as typed text, and the service worker may have restarted since
+ * it was suggested, so this does not rely on the suggestions shown.
+ *
+ * @async
+ * @param {string} url - The entered URL
+ * @param {Object} settings - Settings with the provider credentials
+ * @returns {Promise<CopyLink|null>} The link to copy, or null to shorten the URL
+ */
+export const findOwnedLink = async (url, settings) => {
+  const entry = (await getHistory()).find((item) => item.shortUrl === url);
+  if (entry) {
+    return { shortUrl: entry.shortUrl, longUrl: entry.longUrl, title: entry.title };
+  }
+
+  const owned = Object.values(SHORTENER_PROVIDERS).some((provider) => provider.ownsLink?.(url, settings));
+  return owned ? { shortUrl: url, longUrl: '', title: '' } : null;
+};
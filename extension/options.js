@@ -1,62 +1,1119 @@
 // options.js
 // This script provides the functionality for the options.html page.
-// It handles saving the user's Bit.ly token to storage and loading it
-// when the page is opened.
+// It handles saving the user's shortening service and credentials to storage
+// and loading them when the page is opened. Provider definitions are
+// imported from providers.js.
 
+import {
+  CONNECTION_STORAGE_KEY,
+  credentialFingerprint,
+  DEFAULT_PROVIDER,
+  getMissingCredentials,
+  getProvider,
+  getProviderDefaults,
+  getProviderOrigin,
+  getStoredConnectionStatus,
+  SHORTENER_PROVIDERS,
+} from './providers.js';
+import {
+  BITLY_OAUTH_CREDENTIALS_KEY,
+  CREDENTIAL_STORAGE_MODES,
+  getCredentialKeys,
+  getCredentialStorageMode,
+  lockCredentials,
+  PROFILE_CREDENTIALS_KEY,
+  readCredentials,
+  unlockCredentials,
+  writeCredentials,
+} from './credential-store.js';
+import {
+  getBitlyOAuthConfig,
+  getBitlyOAuthOrigins,
+  getBitlyOAuthSession,
+  saveBitlyOAuthConfig,
+  signInWithBitly,
+  signOutOfBitly,
+} from './bitly-oauth.js';
+import { clearShortlinkCache, DEFAULT_CACHE_TTL_DAYS } from './shortlink-cache.js';
+import { UTM_PARAMETERS } from './utm-templates.js';
+import { TRACKING_PARAMETERS } from './url-cleaner.js';
+import { COPY_FORMATS, DEFAULT_COPY_TEMPLATE, formatShortlinks } from './copy-formats.js';
+import {
+  clearErrorLog,
+  ERROR_LOG_STORAGE_KEY,
+  getErrorLog,
+  SHORTLINK_ERROR_TYPES,
+} from './shortlink-errors.js';
+import { exportSettings, getSettings, importSettings } from './settings-schema.js';
+
+/**
+ * Whether encrypted credentials are waiting for the passphrase. While they
+ * are, the credential inputs stay empty and saving leaves the stored
+ * credentials untouched.
+ *
+ * @type {boolean}
+ */
+let credentialsLocked = false;
+
+/**
+ * Credential storage mode currently in effect (see credential-store.js), as
+ * opposed to the one selected in the form.
+ *
+ * @type {string}
+ */
+let savedCredentialMode = CREDENTIAL_STORAGE_MODES.SYNC;
+
+/**
+ * Settings locked by enterprise policy (see settings-schema.js). Their
+ * controls are disabled and they are never written.
+ *
+ * @type {Array<string>}
+ */
+let lockedSettings = [];
+
 /**
- * Saves the options from the input field into chrome.storage.sync.
- * chrome.storage.sync is used so the token will be available across
- * all devices the user is logged into with their Google account.
+ * Controls of the settings whose input id is not the setting name.
+ *
+ * @type {Object<string, string>}
  */
-const saveOptions = () => {
-  const token = document.getElementById('token').value;
+const SETTING_CONTROLS = {
+  interactionMode: 'input[name="interactionMode"]',
+  utmTemplates: '#utmTemplates input, #utmTemplates button, #addUtmTemplate',
+  shortcutUtmTemplateId: '#shortcutUtmTemplate',
+  profiles: '#profiles input, #profiles select, #profiles button, #addProfile',
+  profileRules: '#profileRules input, #profileRules select, #profileRules button, #addProfileRule',
+  activeProfileId: '#activeProfile',
+};
+
+/**
+ * Controls on the profile cards of the settings a profile can override. A
+ * locked setting keeps the policy's value in every profile (see
+ * `applyProfile()`), so these are disabled too. Credential inputs are found
+ * by their `data-key`.
+ *
+ * @type {Object<string, string>}
+ */
+const PROFILE_SETTING_CONTROLS = {
+  provider: '.profile-provider',
+  copyFormat: '.profile-copy-format',
+};
+
+/**
+ * Renders the provider dropdown and one block of credential inputs per
+ * provider. Every provider's inputs are rendered (and only the selected one is
+ * shown) so switching services never discards credentials already entered.
+ */
+const renderProviderFields = () => {
+  const select = document.getElementById('provider');
+  const container = document.getElementById('providerFields');
+
+  Object.values(SHORTENER_PROVIDERS).forEach((provider) => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    select.appendChild(option);
+
+    const section = document.createElement('div');
+    section.className = 'provider-fields';
+    section.dataset.provider = provider.id;
+
+    const description = document.createElement('p');
+    description.textContent = provider.description;
+    section.appendChild(description);
+
+    if (provider.helpUrl) {
+      const help = document.createElement('p');
+      const link = document.createElement('a');
+      link.href = provider.helpUrl;
+      link.target = '_blank';
+      link.textContent = provider.fields.length ? 'Get your credentials here.' : 'Read the API documentation.';
+      help.appendChild(link);
+      section.appendChild(help);
+    }
+
+    provider.fields.forEach((field) => {
+      const label = document.createElement('label');
+      label.htmlFor = field.key;
+      label.textContent = `Your ${provider.label} ${field.label}`;
+
+      let input;
+      if (field.type === 'select') {
+        // Choices are filled in by refreshFieldOptions() once credentials are known
+        input = document.createElement('select');
+      } else {
+        input = document.createElement('input');
+        input.type = field.type || 'text';
+        input.spellcheck = false;
+        input.placeholder = field.placeholder || '';
+
+        // Re-fetch account-specific choices whenever a credential changes
+        if (provider.loadFieldOptions) {
+          input.addEventListener('change', () => refreshFieldOptions(provider));
+        }
+      }
+      input.id = field.key;
+
+      section.appendChild(label);
+      section.appendChild(input);
+    });
+
+    if (provider.loadFieldOptions) {
+      const hint = document.createElement('small');
+      hint.className = 'field-hint';
+      hint.id = `${provider.id}-options-hint`;
+      section.appendChild(hint);
+    }
+
+    const row = document.createElement('div');
+    row.className = 'connection-row';
+
+    const badge = document.createElement('span');
+    badge.className = 'connection-badge';
+    badge.id = `${provider.id}-connection`;
+    row.appendChild(badge);
+
+    if (provider.testConnection) {
+      const testButton = document.createElement('button');
+      testButton.type = 'button';
+      testButton.className = 'secondary';
+      testButton.textContent = 'Test connection';
+      testButton.addEventListener('click', () => testProviderConnection(provider));
+      row.appendChild(testButton);
+
+      // A stored result only applies to the credentials it was made with
+      section.addEventListener('input', () => showStoredConnectionStatus(provider));
+    } else {
+      badge.textContent = `${provider.label} can't be checked without creating a link.`;
+    }
+
+    section.appendChild(row);
+
+    // The sign-in panel is written in options.html; it belongs under the token
+    if (provider.id === 'bitly') {
+      section.appendChild(document.getElementById('bitlyOAuth'));
+    }
+
+    container.appendChild(section);
+  });
+
+  select.addEventListener('change', showSelectedProvider);
+};
+
+/**
+ * Ids of the OAuth app setting inputs, keyed by `BitlyOAuthConfig` property.
+ *
+ * @type {Object<string, string>}
+ */
+const BITLY_OAUTH_INPUTS = {
+  clientId: 'bitlyOAuthClientId',
+  clientSecret: 'bitlyOAuthClientSecret',
+  authorizeUrl: 'bitlyOAuthAuthorizeUrl',
+  tokenUrl: 'bitlyOAuthTokenUrl',
+  revokeUrl: 'bitlyOAuthRevokeUrl',
+};
+
+/**
+ * Reads the OAuth app settings from the form.
+ *
+ * @returns {BitlyOAuthConfig}
+ */
+const readBitlyOAuthInputs = () => {
+  return Object.fromEntries(
+    Object.entries(BITLY_OAUTH_INPUTS).map(([key, id]) => [key, document.getElementById(id).value.trim()])
+  );
+};
+
+/**
+ * Shows who is signed in to Bit.ly, if anyone, and fills the OAuth app settings.
+ */
+const renderBitlyOAuth = async () => {
+  const [config, session] = await Promise.all([getBitlyOAuthConfig(), getBitlyOAuthSession()]);
+
+  Object.entries(BITLY_OAUTH_INPUTS).forEach(([key, id]) => {
+    document.getElementById(id).value = config[key];
+  });
+  document.getElementById('bitlyRedirectUri').textContent = chrome.identity.getRedirectURL('bitly');
+
+  const status = document.getElementById('bitlyOAuthStatus');
+  status.classList.toggle('ok', Boolean(session));
+  status.textContent = session
+    ? `Signed in as ${session.account || 'your Bit.ly account'}`
+    : 'Or skip the token and sign in with your Bit.ly account.';
+  document.getElementById('bitlySignIn').hidden = Boolean(session);
+  document.getElementById('bitlySignOut').hidden = !session;
+};
+
+/**
+ * Puts a token saved by signing in or out into the token field, so saving
+ * the page keeps it, and refreshes what depends on it.
+ */
+const showStoredBitlyToken = async () => {
+  const { values } = await readCredentials();
+  const provider = getProvider('bitly');
+  document.getElementById('bitlyToken').value = values.bitlyToken || '';
+  refreshFieldOptions(provider);
+  showStoredConnectionStatus(provider);
+};
+
+/**
+ * Replaces a dropdown's choices, keeping the current selection. A saved value
+ * missing from the new choices (e.g. a domain removed from the account) is
+ * kept as an extra entry so saving the page never silently changes it.
+ *
+ * @param {HTMLSelectElement} select - The dropdown to fill
+ * @param {Array<FieldOption>} choices - Choices to offer
+ * @param {string} selected - Value to keep selected
+ */
+const setSelectChoices = (select, choices, selected) => {
+  const all = choices.some((choice) => choice.value === selected)
+    ? choices
+    : [...choices, { value: selected, label: selected || 'Default' }];
+
+  select.textContent = '';
+  all.forEach((choice) => {
+    const option = document.createElement('option');
+    option.value = choice.value;
+    option.textContent = choice.label;
+    select.appendChild(option);
+  });
+  select.value = selected;
+};
+
+/**
+ * Reads a provider's credential fields from the form.
+ *
+ * @param {ShortenerProvider} provider - Provider whose fields to read
+ * @returns {Object<string, string>} Trimmed values keyed by storage key
+ */
+const readProviderValues = (provider) => {
+  const values = {};
+  provider.fields.forEach((field) => {
+    values[field.key] = document.getElementById(field.key).value.trim();
+  });
+  return values;
+};
+
+/**
+ * Fetches the account-specific choices for a provider's dropdown fields (for
+ * Bit.ly: groups and branded domains) using the credentials currently typed
+ * into the form. Does nothing until all required credentials are filled in.
+ *
+ * @param {ShortenerProvider} provider - Provider whose dropdowns to refresh
+ */
+const refreshFieldOptions = async (provider) => {
+  const values = readProviderValues(provider);
+
+  const hint = document.getElementById(`${provider.id}-options-hint`);
+  if (getMissingCredentials(provider, values).length) {
+    hint.textContent = '';
+    return;
+  }
+
+  hint.textContent = 'Loading your account settings...';
+  try {
+    const choices = await provider.loadFieldOptions(values);
+    Object.entries(choices).forEach(([key, fieldChoices]) => {
+      setSelectChoices(document.getElementById(key), fieldChoices, values[key]);
+    });
+    hint.textContent = '';
+  } catch (error) {
+    console.error(`Failed to load ${provider.label} account settings:`, error);
+    hint.textContent = `Could not load your ${provider.label} account settings (${error.message}). Check your credentials.`;
+  }
+};
+
+/**
+ * Shows the credential block for the provider currently chosen in the dropdown.
+ */
+const showSelectedProvider = () => {
+  const selected = document.getElementById('provider').value;
+  document.querySelectorAll('.provider-fields').forEach((section) => {
+    section.hidden = section.dataset.provider !== selected;
+  });
+};
+
+/**
+ * Adds an editable card for one UTM template to the templates list.
+ *
+ * @param {UtmTemplate} [template] - Existing template to edit; omitted for a new one
+ */
+const renderUtmTemplate = (template = { id: crypto.randomUUID(), name: '' }) => {
+  const card = document.createElement('div');
+  card.className = 'option-group utm-template';
+  card.dataset.templateId = template.id;
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'utm-name';
+  nameInput.dataset.param = 'name';
+  nameInput.placeholder = 'Template name, e.g. Newsletter';
+  nameInput.value = template.name;
+  card.appendChild(nameInput);
+
+  UTM_PARAMETERS.forEach((param) => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.param = param;
+    input.placeholder = param;
+    input.spellcheck = false;
+    input.value = template[param] || '';
+    card.appendChild(input);
+  });
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'secondary';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => {
+    card.remove();
+    refreshShortcutTemplateChoices();
+    refreshProfileTemplateChoices();
+  });
+  card.appendChild(removeButton);
+
+  document.getElementById('utmTemplates').appendChild(card);
+  return card;
+};
+
+/**
+ * Reads the template cards back into template objects. Cards without a name
+ * are skipped since they could not be told apart in the context menu.
+ *
+ * @returns {Array<UtmTemplate>}
+ */
+const collectUtmTemplates = () => {
+  return Array.from(document.querySelectorAll('.utm-template'))
+    .map((card) => {
+      const template = { id: card.dataset.templateId };
+      card.querySelectorAll('input').forEach((input) => {
+        template[input.dataset.param] = input.value.trim();
+      });
+      return template;
+    })
+    .filter((template) => template.name);
+};
+
+/**
+ * Replaces a profile-related dropdown's choices, falling back to the first
+ * choice when the selected value is gone (e.g. a removed profile).
+ *
+ * @param {HTMLSelectElement} select - The dropdown to fill
+ * @param {string} emptyLabel - Label of the empty first choice
+ * @param {Array<{id: string, name: string}>} items - Profiles or templates to offer
+ * @param {string} [selectedId] - Id to select; defaults to the current choice
+ */
+const fillProfileSelect = (select, emptyLabel, items, selectedId) => {
+  const current = selectedId ?? select.value;
+  select.textContent = '';
+  select.add(new Option(emptyLabel, ''));
+  items.forEach((item) => select.add(new Option(item.name, item.id)));
+  select.value = items.some((item) => item.id === current) ? current : '';
+};
+
+/**
+ * Adds an editable card for one profile to the profiles list. Like the main
+ * settings, it has inputs for every provider's credentials and shows only
+ * those of the selected provider.
+ *
+ * @param {Profile} [profile] - Existing profile to edit; omitted for a new one
+ * @param {Object<string, string>} [credentials] - The profile's saved credentials
+ * @returns {HTMLElement} The card
+ */
+const renderProfile = (profile = { id: crypto.randomUUID(), name: '', provider: DEFAULT_PROVIDER }, credentials = {}) => {
+  const card = document.createElement('div');
+  card.className = 'option-group profile-card';
+  card.dataset.profileId = profile.id;
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'profile-name';
+  nameInput.placeholder = 'Profile name, e.g. The Daily';
+  nameInput.value = profile.name;
+  card.appendChild(nameInput);
+
+  const providerSelect = document.createElement('select');
+  providerSelect.className = 'profile-provider';
+  Object.values(SHORTENER_PROVIDERS).forEach((provider) => {
+    providerSelect.add(new Option(provider.label, provider.id));
+  });
+  providerSelect.value = getProvider(profile.provider).id;
+  card.appendChild(providerSelect);
+
+  const utmSelect = document.createElement('select');
+  utmSelect.className = 'profile-utm';
+  fillProfileSelect(utmSelect, 'No UTM template', collectUtmTemplates(), profile.utmTemplateId || '');
+  card.appendChild(utmSelect);
+
+  const copyFormatSelect = document.createElement('select');
+  copyFormatSelect.className = 'profile-copy-format';
+  copyFormatSelect.add(new Option('Default copy format', ''));
+  COPY_FORMATS.forEach((format) => copyFormatSelect.add(new Option(format.label, format.id)));
+  copyFormatSelect.value = profile.copyFormat || '';
+  card.appendChild(copyFormatSelect);
+
+  Object.values(SHORTENER_PROVIDERS).forEach((provider) => {
+    const fields = document.createElement('div');
+    fields.className = 'profile-fields';
+    fields.dataset.provider = provider.id;
+
+    // Account-specific dropdowns need a live token, so they are typed in here
+    provider.fields.forEach((field) => {
+      const input = document.createElement('input');
+      input.type = field.type === 'select' ? 'text' : field.type || 'text';
+      input.spellcheck = false;
+      input.dataset.key = field.key;
+      input.placeholder = `${provider.label} ${field.label}${field.optional ? ' (optional)' : ''}`;
+      input.value = credentials[field.key] || '';
+      fields.appendChild(input);
+    });
+
+    card.appendChild(fields);
+  });
+
+  const showProviderFields = () => {
+    card.querySelectorAll('.profile-fields').forEach((fields) => {
+      fields.hidden = fields.dataset.provider !== providerSelect.value;
+    });
+  };
+  providerSelect.addEventListener('change', showProviderFields);
+  showProviderFields();
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'secondary';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => {
+    card.remove();
+    refreshProfileChoices();
+  });
+  card.appendChild(removeButton);
+
+  document.getElementById('profiles').appendChild(card);
+  applyLockedSettings();
+  return card;
+};
+
+/**
+ * Reads the profile cards back into profiles and their credentials. Cards
+ * without a name are skipped, like templates. Only the selected provider's
+ * credentials are kept.
+ *
+ * @returns {{profiles: Array<Profile>, profileCredentials: Object<string, Object>}}
+ */
+const collectProfiles = () => {
+  const profiles = [];
+  const profileCredentials = {};
+
+  document.querySelectorAll('.profile-card').forEach((card) => {
+    const name = card.querySelector('.profile-name').value.trim();
+    if (!name) {
+      return;
+    }
+
+    const profile = {
+      id: card.dataset.profileId,
+      name,
+      provider: card.querySelector('.profile-provider').value,
+      utmTemplateId: card.querySelector('.profile-utm').value,
+      copyFormat: card.querySelector('.profile-copy-format').value,
+    };
+    profiles.push(profile);
+
+    profileCredentials[profile.id] = {};
+    card.querySelectorAll(`.profile-fields[data-provider="${profile.provider}"] input`).forEach((input) => {
+      profileCredentials[profile.id][input.dataset.key] = input.value.trim();
+    });
+  });
+
+  return { profiles, profileCredentials };
+};
+
+/**
+ * Adds an editable row for one site rule.
+ *
+ * @param {ProfileRule} [rule] - Existing rule to edit; omitted for a new one
+ * @returns {HTMLElement} The row
+ */
+const renderProfileRule = (rule = { hostname: '', profileId: '' }) => {
+  const row = document.createElement('div');
+  row.className = 'option-group profile-rule';
+
+  const hostnameInput = document.createElement('input');
+  hostnameInput.type = 'text';
+  hostnameInput.className = 'rule-hostname';
+  hostnameInput.placeholder = 'Site, e.g. example.com';
+  hostnameInput.spellcheck = false;
+  hostnameInput.value = rule.hostname;
+  row.appendChild(hostnameInput);
+
+  const profileSelect = document.createElement('select');
+  profileSelect.className = 'rule-profile';
+  fillProfileSelect(profileSelect, 'Choose a profile', collectProfiles().profiles, rule.profileId);
+  row.appendChild(profileSelect);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'secondary';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => row.remove());
+  row.appendChild(removeButton);
+
+  document.getElementById('profileRules').appendChild(row);
+  return row;
+};
+
+/**
+ * Reads the site rule rows back into rules. A pasted address is reduced to
+ * its hostname; rows without a site or profile are skipped.
+ *
+ * @returns {Array<ProfileRule>}
+ */
+const collectProfileRules = () => {
+  return Array.from(document.querySelectorAll('.profile-rule'))
+    .map((row) => ({
+      hostname: row.querySelector('.rule-hostname').value.trim().toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .split(/[/:?#]/)[0],
+      profileId: row.querySelector('.rule-profile').value,
+    }))
+    .filter((rule) => rule.hostname && rule.profileId);
+};
+
+/**
+ * Fills the active profile and site rule dropdowns from the profile cards,
+ * keeping the current choices. Runs whenever a card is added, renamed or
+ * removed so unsaved profiles can be picked too.
+ *
+ * @param {string} [activeProfileId] - Profile to make active; defaults to the current choice
+ */
+const refreshProfileChoices = (activeProfileId) => {
+  const { profiles } = collectProfiles();
+  fillProfileSelect(document.getElementById('activeProfile'), 'None (use the settings above)', profiles, activeProfileId);
+  document.querySelectorAll('.rule-profile').forEach((select) => {
+    fillProfileSelect(select, 'Choose a profile', profiles);
+  });
+};
+
+/**
+ * Updates the UTM template dropdown of every profile card as templates are
+ * added, renamed or removed.
+ */
+const refreshProfileTemplateChoices = () => {
+  const templates = collectUtmTemplates();
+  document.querySelectorAll('.profile-utm').forEach((select) => {
+    fillProfileSelect(select, 'No UTM template', templates);
+  });
+};
+
+/**
+ * Displays a message in the status area below the save button.
+ * Success messages fade out after two seconds; errors stay visible.
+ *
+ * @param {string} message - Text to show
+ * @param {boolean} [isError=false] - Whether to style the message as an error
+ */
+const showStatus = (message, isError = false) => {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+  status.classList.toggle('success', !isError);
+  status.style.opacity = 1;
+
+  if (!isError) {
+    setTimeout(() => {
+      status.style.opacity = 0;
+    }, 2000);
+  }
+};
+
+/**
+ * Returns the credential storage mode selected in the form.
+ *
+ * @returns {string} One of `CREDENTIAL_STORAGE_MODES`
+ */
+const getSelectedCredentialMode = () => {
+  return document.querySelector('input[name="credentialStorage"]:checked')?.value || CREDENTIAL_STORAGE_MODES.SYNC;
+};
+
+/**
+ * Shows the passphrase fields for encrypted storage, or the unlock field
+ * while encrypted credentials are locked, and disables the credential inputs
+ * until they are unlocked.
+ */
+const updateCredentialStorageFields = () => {
+  const encrypted = getSelectedCredentialMode() === CREDENTIAL_STORAGE_MODES.ENCRYPTED;
+  const locked = credentialsLocked && encrypted;
+  const hasPassphrase = savedCredentialMode === CREDENTIAL_STORAGE_MODES.ENCRYPTED;
+
+  document.getElementById('unlockGroup').hidden = !locked;
+  document.getElementById('passphraseGroup').hidden = !encrypted || locked;
+  document.getElementById('passphraseHint').hidden = !hasPassphrase;
+  document.getElementById('lockCredentials').hidden = !hasPassphrase;
+
+  document.querySelectorAll('#providerFields input, #providerFields select, #providerFields button, .profile-fields input').forEach((element) => {
+    element.disabled = locked;
+  });
+  applyLockedSettings();
+};
+
+/**
+ * Disables the controls of settings locked by policy and says why.
+ */
+const applyLockedSettings = () => {
+  lockedSettings.forEach((key) => {
+    const selector = [
+      SETTING_CONTROLS[key] || `#${key}`,
+      PROFILE_SETTING_CONTROLS[key] || `.profile-fields input[data-key="${key}"]`,
+    ].join(', ');
+    document.querySelectorAll(selector).forEach((element) => {
+      element.disabled = true;
+      element.title = 'Managed by your organization';
+    });
+  });
+  document.getElementById('managedNotice').hidden = lockedSettings.length === 0;
+};
+
+/**
+ * Fills every provider's credential inputs and refreshes what depends on
+ * them (Bit.ly groups and domains, connection badges).
+ *
+ * @param {Object} values - Credentials keyed by storage key, with the
+ *   profile credentials under `profileCredentials`
+ */
+const fillCredentialFields = (values) => {
+  Object.values(SHORTENER_PROVIDERS).forEach((provider) => {
+    provider.fields.forEach((field) => {
+      const input = document.getElementById(field.key);
+      if (field.type === 'select') {
+        setSelectChoices(input, [], values[field.key]);
+      } else {
+        input.value = values[field.key];
+      }
+    });
+
+    if (provider.loadFieldOptions) {
+      refreshFieldOptions(provider);
+    }
+
+    if (provider.testConnection) {
+      showStoredConnectionStatus(provider);
+    }
+  });
+
+  document.querySelectorAll('.profile-card').forEach((card) => {
+    const credentials = values[PROFILE_CREDENTIALS_KEY]?.[card.dataset.profileId] || {};
+    card.querySelectorAll('.profile-fields input').forEach((input) => {
+      input.value = credentials[input.dataset.key] || '';
+    });
+  });
+};
+
+/**
+ * Writes the collected settings and reports the result. Credentials go
+ * wherever the selected storage mode keeps them (see credential-store.js);
+ * everything else, except settings locked by policy, goes to
+ * chrome.storage.sync.
+ *
+ * @async
+ * @param {Object} settings - Settings to save
+ */
+const writeSettings = async (settings) => {
+  const mode = getSelectedCredentialMode();
+  const credentialKeys = getCredentialKeys();
+  const otherSettings = Object.fromEntries(
+    Object.entries(settings).filter(([key]) => !credentialKeys.includes(key) && !lockedSettings.includes(key))
+  );
+
+  try {
+    await chrome.storage.sync.set(otherSettings);
+
+    if (!(credentialsLocked && mode === CREDENTIAL_STORAGE_MODES.ENCRYPTED)) {
+      // The Bit.ly sign-in secrets are saved by bitly-oauth.js, not the form
+      const { values } = await readCredentials();
+      await writeCredentials(
+        { ...settings, [BITLY_OAUTH_CREDENTIALS_KEY]: values[BITLY_OAUTH_CREDENTIALS_KEY] },
+        mode,
+        document.getElementById('passphrase').value
+      );
+      credentialsLocked = false;
+      savedCredentialMode = mode;
+    }
+  } catch (error) {
+    showStatus(`Failed to save settings: ${error.message}`, true);
+    return;
+  }
+
+  document.getElementById('passphrase').value = '';
+  document.getElementById('passphraseConfirm').value = '';
+  updateCredentialStorageFields();
+  showStatus('Settings saved successfully!');
+};
+
+/**
+ * Tells a rejected token apart from a failure that says nothing about it:
+ * network errors (fetch throws a TypeError), rate limits and server errors.
+ *
+ * @param {Error} error - Error thrown by `testConnection()`
+ * @returns {boolean}
+ */
+const isCredentialRejection = (error) => {
+  return !(error instanceof TypeError) && error.status !== 429 && !(error.status >= 500);
+};
+
+/**
+ * Renders a provider's connection badge.
+ *
+ * @param {ShortenerProvider} provider - The provider
+ * @param {Object|null} status - Stored test result, or null if untested
+ */
+const renderConnectionBadge = (provider, status) => {
+  const badge = document.getElementById(`${provider.id}-connection`);
+
+  if (!status) {
+    badge.className = 'connection-badge';
+    badge.textContent = 'Not tested';
+    return;
+  }
+
+  const checked = `checked ${new Date(status.checkedAt).toLocaleString()}`;
+  if (status.ok) {
+    const details = [`✓ Connected as ${status.account}`];
+    if (status.plan) {
+      details.push(`${status.plan} plan`);
+    }
+    if (status.quota) {
+      details.push(`${status.quota.used.toLocaleString()} of ${status.quota.limit.toLocaleString()} links used this month`);
+    }
+    badge.className = 'connection-badge ok';
+    badge.textContent = `${details.join(' · ')} (${checked})`;
+  } else if (status.rejected) {
+    badge.className = 'connection-badge error';
+    badge.textContent = `✗ ${provider.label} rejected these credentials: ${status.error} (${checked})`;
+  } else {
+    badge.className = 'connection-badge warning';
+    badge.textContent = `! Could not reach ${provider.label}: ${status.error} (${checked})`;
+  }
+};
+
+/**
+ * Shows the stored result for the credentials currently in the form.
+ *
+ * @param {ShortenerProvider} provider - The provider
+ */
+const showStoredConnectionStatus = async (provider) => {
+  renderConnectionBadge(provider, await getStoredConnectionStatus(provider, readProviderValues(provider)));
+};
+
+/**
+ * Runs a provider's connection test, stores the result and updates its badge.
+ *
+ * @param {ShortenerProvider} provider - The provider
+ * @param {Object} values - Credential values keyed by storage key
+ * @returns {Promise<Object>} The stored result
+ */
+const runConnectionTest = async (provider, values) => {
+  const badge = document.getElementById(`${provider.id}-connection`);
+  badge.className = 'connection-badge';
+  badge.textContent = 'Testing...';
+
+  let status;
+  try {
+    status = { ok: true, ...(await provider.testConnection(values)) };
+  } catch (error) {
+    console.error(`${provider.label} connection test failed:`, error);
+    status = { ok: false, rejected: isCredentialRejection(error), error: error.message };
+  }
+  status.fingerprint = await credentialFingerprint(provider, values);
+  status.checkedAt = Date.now();
+
+  const { [CONNECTION_STORAGE_KEY]: statuses = {} } = await chrome.storage.local.get(CONNECTION_STORAGE_KEY);
+  await chrome.storage.local.set({ [CONNECTION_STORAGE_KEY]: { ...statuses, [provider.id]: status } });
+
+  renderConnectionBadge(provider, status);
+  return status;
+};
+
+/**
+ * Handles a "Test connection" click. Self-hosted providers need access to
+ * their origin first, which must be requested before anything is awaited so
+ * the click still counts as a user gesture.
+ *
+ * @param {ShortenerProvider} provider - The provider to test
+ */
+const testProviderConnection = (provider) => {
+  const values = readProviderValues(provider);
+  const missing = getMissingCredentials(provider, values);
+  if (missing.length) {
+    const badge = document.getElementById(`${provider.id}-connection`);
+    badge.className = 'connection-badge error';
+    badge.textContent = `Enter your ${missing.map((field) => field.label).join(' and ')} first.`;
+    return;
+  }
+
+  const origin = getProviderOrigin(provider, values);
+  if (!origin) {
+    runConnectionTest(provider, values);
+    return;
+  }
+
+  chrome.permissions.request({ origins: [origin] }, (granted) => {
+    if (granted) {
+      runConnectionTest(provider, values);
+    } else {
+      renderConnectionBadge(provider, null);
+      showStatus(`PocketLink needs access to ${origin.replace('/*', '')} to test this service.`, true);
+    }
+  });
+};
+
+/**
+ * Saves the settings after checking the selected provider's credentials.
+ *
+ * Credentials that already passed a test are saved straight away. Otherwise
+ * the provider's connection test runs first, and credentials the service
+ * rejects are not saved; the "Save anyway" button then skips the check. A
+ * test that cannot reach the service (offline, outage) does not block saving.
+ *
+ * @param {Object} settings - Settings to save
+ * @param {boolean} skipValidation - Save without testing (the override)
+ */
+const validateAndWrite = async (settings, skipValidation) => {
+  const saveAnyway = document.getElementById('saveAnyway');
+  saveAnyway.hidden = true;
+
+  const provider = getProvider(settings.provider);
+  if (skipValidation || !provider.testConnection || getMissingCredentials(provider, settings).length) {
+    writeSettings(settings);
+    return;
+  }
+
+  if ((await getStoredConnectionStatus(provider, settings))?.ok) {
+    writeSettings(settings);
+    return;
+  }
+
+  showStatus(`Checking your ${provider.label} credentials...`);
+  const status = await runConnectionTest(provider, settings);
+  if (status.ok || !status.rejected) {
+    writeSettings(settings);
+    return;
+  }
+
+  showStatus(`${provider.label} rejected these credentials, so your settings were not saved: ${status.error}`, true);
+  saveAnyway.hidden = false;
+};
+
+/**
+ * Shows the custom template field only for the custom format and previews
+ * the selected format with a sample link.
+ */
+const updateCopyFormatPreview = () => {
+  const format = document.getElementById('copyFormat').value;
+  document.getElementById('copyTemplateGroup').hidden = format !== 'custom';
+
+  const sample = {
+    shortUrl: 'https://bit.ly/3xAmPlE',
+    longUrl: 'https://example.com/news/city-council-vote',
+    title: 'City council approves new budget',
+  };
+  const template = document.getElementById('copyTemplate').value || DEFAULT_COPY_TEMPLATE;
+  document.getElementById('copyFormatPreview').textContent = formatShortlinks([sample], format, template).text;
+};
+
+/**
+ * Fills the shortcut template dropdown from the template cards, keeping the
+ * current choice if that template still exists. Runs whenever a card is
+ * added, renamed or removed so unsaved templates can be picked too.
+ *
+ * @param {string} [selectedId] - Template id to select; defaults to the current choice
+ */
+const refreshShortcutTemplateChoices = (selectedId) => {
+  const select = document.getElementById('shortcutUtmTemplate');
+  const current = selectedId ?? select.value;
+  const templates = collectUtmTemplates();
+
+  select.textContent = '';
+  select.add(new Option(templates.length ? 'First template in the list' : 'No templates yet', ''));
+  templates.forEach((template) => select.add(new Option(template.name, template.id)));
+  select.value = templates.some((template) => template.id === current) ? current : '';
+};
+
+/**
+ * Lists the extension's keyboard shortcuts with their current key combinations.
+ */
+const renderShortcuts = async () => {
+  const commands = await chrome.commands.getAll();
+  const list = document.getElementById('shortcutList');
+  list.textContent = '';
+
+  commands.forEach((command) => {
+    const item = document.createElement('li');
+    const keys = document.createElement('kbd');
+    keys.textContent = command.shortcut || 'Not set';
+    item.appendChild(keys);
+    item.append(` ${command.description}`);
+    list.appendChild(item);
+  });
+};
+
+/**
+ * Labels for the error types shown in the error log.
+ *
+ * @type {Object<string, string>}
+ */
+const ERROR_TYPE_LABELS = {
+  [SHORTLINK_ERROR_TYPES.AUTH]: 'Credentials rejected',
+  [SHORTLINK_ERROR_TYPES.RATE_LIMIT]: 'Rate limited',
+  [SHORTLINK_ERROR_TYPES.UNSUPPORTED_URL]: 'Unsupported address',
+  [SHORTLINK_ERROR_TYPES.OFFLINE]: 'Offline',
+  [SHORTLINK_ERROR_TYPES.OUTAGE]: 'Service unavailable',
+  [SHORTLINK_ERROR_TYPES.UNKNOWN]: 'Error',
+};
+
+/**
+ * Lists the logged shortening failures, newest first.
+ */
+const renderErrorLog = async () => {
+  const entries = await getErrorLog();
+  const list = document.getElementById('errorLogList');
+  list.textContent = '';
+  document.getElementById('clearErrorLog').disabled = entries.length === 0;
+
+  if (!entries.length) {
+    const item = document.createElement('li');
+    item.textContent = 'No errors recorded.';
+    list.appendChild(item);
+    return;
+  }
+
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+
+    const type = document.createElement('span');
+    type.className = 'error-type';
+    type.textContent = ERROR_TYPE_LABELS[entry.type] || ERROR_TYPE_LABELS.unknown;
+    item.append(type, ` ${entry.message}`);
+
+    const meta = document.createElement('span');
+    meta.className = 'error-meta';
+    const provider = SHORTENER_PROVIDERS[entry.provider]?.label || entry.provider;
+    meta.textContent = [
+      new Date(entry.time).toLocaleString(),
+      provider,
+      entry.status && `HTTP ${entry.status}`,
+      entry.url,
+    ].filter(Boolean).join(' · ');
+    item.appendChild(meta);
+
+    list.appendChild(item);
+  });
+};
+
+/**
+ * Saves the options from the form. Credentials go wherever the selected
+ * storage mode keeps them (see credential-store.js); everything else goes to
+ * chrome.storage.sync (see `writeSettings()`).
+ *
+ * Self-hosted providers (YOURLS, Shlink) live on a host the extension cannot
+ * reach by default, so access to that origin is requested first. The request
+ * has to happen directly inside the click handler to count as a user gesture.
+ *
+ * The selected provider's credentials are then checked before writing (see
+ * `validateAndWrite()`).
+ *
+ * @param {boolean} [skipValidation=false] - Save even if the credentials were rejected
+ */
+const saveOptions = (skipValidation = false) => {
+  const passphrase = document.getElementById('passphrase').value;
+  if (getSelectedCredentialMode() === CREDENTIAL_STORAGE_MODES.ENCRYPTED && passphrase) {
+    if (passphrase.length < 8) {
+      showStatus('Use a passphrase of at least 8 characters.', true);
+      return;
+    }
+    if (passphrase !== document.getElementById('passphraseConfirm').value) {
+      showStatus('The passphrases do not match.', true);
+      return;
+    }
+  }
+
   const interactionMode = document.querySelector('input[name="interactionMode"]:checked')?.value || 'injection';
   const showNotifications = document.getElementById('showNotifications').checked;
   const fallbackMode = document.getElementById('fallbackMode').checked;
+  const cacheEnabled = document.getElementById('cacheEnabled').checked;
+  const cacheTtlDays = Math.max(1, parseInt(document.getElementById('cacheTtlDays').value, 10) || DEFAULT_CACHE_TTL_DAYS);
 
   const settings = {
-    bitlyToken: token,
+    provider: document.getElementById('provider').value,
     interactionMode: interactionMode,
     showNotifications: showNotifications,
-    fallbackMode: fallbackMode
+    fallbackMode: fallbackMode,
+    cacheEnabled: cacheEnabled,
+    cacheTtlDays: cacheTtlDays,
+    utmTemplates: collectUtmTemplates(),
+    shortcutUtmTemplateId: document.getElementById('shortcutUtmTemplate').value,
+    copyFormat: document.getElementById('copyFormat').value,
+    copyTemplate: document.getElementById('copyTemplate').value.trim() || DEFAULT_COPY_TEMPLATE,
+    cleanUrls: document.getElementById('cleanUrls').checked,
+    cleanUrlRules: document.getElementById('cleanUrlRules').value.trim(),
+    preferCanonical: document.getElementById('preferCanonical').checked,
+    ...collectProfiles(),
+    profileRules: collectProfileRules(),
+    activeProfileId: document.getElementById('activeProfile').value
   };
 
-  chrome.storage.sync.set(settings, () => {
-    const status = document.getElementById('status');
-
-    if (chrome.runtime.lastError) {
-      status.textContent = `Failed to save settings: ${chrome.runtime.lastError.message}`;
-      status.classList.add('error');
-      status.classList.remove('success');
-      status.style.opacity = 1;
-      return;
-    }
-
-    status.textContent = 'Settings saved successfully!';
-    status.classList.add('success');
-    status.classList.remove('error');
-    status.style.opacity = 1;
-
-    setTimeout(() => {
-      status.style.opacity = 0;
-    }, 2000);
-  });
+  // Save credentials for every provider, not just the selected one
+  Object.values(SHORTENER_PROVIDERS).forEach((provider) => {
+    provider.fields.forEach((field) => {
+      settings[field.key] = document.getElementById(field.key).value.trim();
+    });
+  });
+
+  // Profiles may use self-hosted services of their own
+  const origins = [
+    getProviderOrigin(getProvider(settings.provider), settings),
+    ...settings.profiles.map((profile) => getProviderOrigin(getProvider(profile.provider), settings.profileCredentials[profile.id])),
+  ].filter((origin, index, all) => origin && all.indexOf(origin) === index);
+  if (!origins.length) {
+    validateAndWrite(settings, skipValidation);
+    return;
+  }
+
+  chrome.permissions.request({ origins }, (granted) => {
+    if (!granted) {
+      showStatus(`PocketLink needs access to ${origins.join(', ').replace(/\/\*/g, '')} to use this service.`, true);
+      return;
+    }
+    validateAndWrite(settings, skipValidation);
+  });
 };
 
 /**
- * Restores the saved token from chrome.storage.sync and populates the input field.
- * This ensures that when the user opens the options page, they see their currently saved token.
+ * Restores the saved settings and populates the form. Credentials are read
+ * from wherever the storage mode keeps them, and settings locked by policy
+ * are shown but disabled.
+ * This ensures that when the user opens the options page, they see their currently saved settings.
  */
 const restoreOptions = () => {
-  const defaults = {
-    bitlyToken: '',
-    interactionMode: 'injection',
-    showNotifications: true,
-    fallbackMode: true
-  };
+  renderProviderFields();
+  renderShortcuts();
+  renderErrorLog();
+  COPY_FORMATS.forEach((format) => {
+    document.getElementById('copyFormat').add(new Option(format.label, format.id));
+  });
+  document.getElementById('builtInTrackingParams').textContent = TRACKING_PARAMETERS.join(', ');
+
+  Promise.all([getSettings(), getCredentialStorageMode()]).then(([items, mode]) => {
+    lockedSettings = items.lockedSettings;
 
-  chrome.storage.sync.get(defaults, (items) => {
-    document.getElementById('token').value = items.bitlyToken;
+    document.getElementById('provider').value = getProvider(items.provider).id;
+    showSelectedProvider();
+    fillCredentialFields(items);
+    renderBitlyOAuth();
+
+    credentialsLocked = items.credentialsLocked;
+    savedCredentialMode = mode;
+    document.querySelector(`input[name="credentialStorage"][value="${mode}"]`).checked = true;
+    updateCredentialStorageFields();
 
     // Set radio button selection
     const modeRadio = document.querySelector(`input[value="${items.interactionMode}"]`);
@@ -67,6 +1124,25 @@ const restoreOptions = () => {
     // Set checkbox states
     document.getElementById('showNotifications').checked = items.showNotifications;
     document.getElementById('fallbackMode').checked = items.fallbackMode;
+    document.getElementById('cacheEnabled').checked = items.cacheEnabled;
+    document.getElementById('cacheTtlDays').value = items.cacheTtlDays;
+
+    items.utmTemplates.forEach((template) => renderUtmTemplate(template));
+    refreshShortcutTemplateChoices(items.shortcutUtmTemplateId);
+
+    // Profiles offer the templates, and site rules the profiles, so they come after
+    items.profiles.forEach((profile) => renderProfile(profile, items[PROFILE_CREDENTIALS_KEY][profile.id]));
+    items.profileRules.forEach((rule) => renderProfileRule(rule));
+    refreshProfileChoices(items.activeProfileId);
+    updateCredentialStorageFields();
+
+    document.getElementById('copyFormat').value = items.copyFormat;
+    document.getElementById('copyTemplate').value = items.copyTemplate;
+    updateCopyFormatPreview();
+
+    document.getElementById('cleanUrls').checked = items.cleanUrls;
+    document.getElementById('cleanUrlRules').value = items.cleanUrlRules;
+    document.getElementById('preferCanonical').checked = items.preferCanonical;
   });
 };
 
@@ -85,5 +1161,252 @@ document.addEventListener('DOMContentLoaded', restoreOptions);
  * Listens for a 'click' event on the button with the id 'save'.
  * When the button is clicked, it will execute the saveOptions function.
  */
-document.getElementById('save').addEventListener('click', saveOptions);
+document.getElementById('save').addEventListener('click', () => saveOptions());
+
+/**
+ * Listens for a 'click' on 'Save anyway', shown after the service rejected
+ * the credentials, and saves without checking them again.
+ */
+document.getElementById('saveAnyway').addEventListener('click', () => saveOptions(true));
+
+/**
+ * Listens for a 'click' event on the 'Clear cache' button so the next
+ * shortlink for every page is created fresh.
+ */
+document.getElementById('clearCache').addEventListener('click', async () => {
+  await clearShortlinkCache();
+  showStatus('Shortlink cache cleared.');
+});
+
+/**
+ * Signs in to Bit.ly. Access to a custom token endpoint (e.g. a local test
+ * server) is requested first, directly in the click handler so it counts as
+ * a user gesture.
+ */
+document.getElementById('bitlySignIn').addEventListener('click', () => {
+  const config = readBitlyOAuthInputs();
+  const origins = getBitlyOAuthOrigins(config);
+  const permission = origins.length ? chrome.permissions.request({ origins }) : Promise.resolve(true);
+
+  permission.then(async (granted) => {
+    if (!granted) {
+      showStatus(`PocketLink needs access to ${origins.join(', ').replace(/\/\*/g, '')} to sign in.`, true);
+      return;
+    }
+
+    try {
+      await saveBitlyOAuthConfig(config);
+      const session = await signInWithBitly();
+      // Signing in to Bit.ly is choosing it as the service
+      await chrome.storage.sync.set({ provider: 'bitly' });
+      await showStoredBitlyToken();
+      await renderBitlyOAuth();
+      showStatus(`Signed in to Bit.ly${session.account ? ` as ${session.account}` : ''}.`);
+    } catch (error) {
+      showStatus(error.message, true);
+    }
+  });
+});
+
+/**
+ * Signs out of Bit.ly, revoking the token where the server allows it.
+ */
+document.getElementById('bitlySignOut').addEventListener('click', async () => {
+  try {
+    const result = await signOutOfBitly();
+    await showStoredBitlyToken();
+    await renderBitlyOAuth();
+
+    if (result.revoked) {
+      showStatus('Signed out. The token has been revoked.');
+    } else if (result.error) {
+      showStatus(`Signed out, but the token could not be revoked: ${result.error}`, true);
+    } else {
+      showStatus('Signed out. To remove PocketLink\'s access completely, disconnect it under Connected apps in your Bit.ly settings.');
+    }
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+/**
+ * Saves the OAuth app settings as soon as they are edited, since signing in
+ * uses them before the page is saved. The client secret is a credential, so
+ * this fails while encrypted credentials are locked.
+ */
+Object.values(BITLY_OAUTH_INPUTS).forEach((id) => {
+  document.getElementById(id).addEventListener('change', () => {
+    saveBitlyOAuthConfig(readBitlyOAuthInputs()).catch((error) => showStatus(error.message, true));
+  });
+});
+
+/**
+ * Shows or hides the passphrase fields as the credential storage mode changes.
+ */
+document.querySelectorAll('input[name="credentialStorage"]').forEach((radio) => {
+  radio.addEventListener('change', updateCredentialStorageFields);
+});
+
+/**
+ * Unlocks encrypted credentials with the passphrase and fills them in.
+ */
+document.getElementById('unlockCredentials').addEventListener('click', async () => {
+  const input = document.getElementById('unlockPassphrase');
+  try {
+    const values = await unlockCredentials(input.value);
+    input.value = '';
+    credentialsLocked = false;
+    fillCredentialFields({ ...getProviderDefaults(), ...values });
+    updateCredentialStorageFields();
+    renderBitlyOAuth();
+    showStatus('Credentials unlocked.');
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+/**
+ * Forgets the unlocked key so the passphrase is needed again, e.g. before
+ * leaving the computer.
+ */
+document.getElementById('lockCredentials').addEventListener('click', async () => {
+  await lockCredentials();
+  credentialsLocked = true;
+  fillCredentialFields(getProviderDefaults());
+  updateCredentialStorageFields();
+  renderBitlyOAuth();
+  showStatus('Credentials locked.');
+});
+
+/**
+ * Listens for a 'click' event on the 'Clear log' button and empties the
+ * error log.
+ */
+document.getElementById('clearErrorLog').addEventListener('click', async () => {
+  await clearErrorLog();
+  showStatus('Error log cleared.');
+});
+
+/**
+ * Listens for a 'click' on 'Export settings' and downloads the settings as
+ * a JSON file, with the credentials if the user asked for them.
+ */
+document.getElementById('exportSettings').addEventListener('click', async () => {
+  try {
+    const data = await exportSettings({ includeCredentials: document.getElementById('exportCredentials').checked });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pocketlink-settings-${data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+/**
+ * Listens for a 'click' on 'Import settings' and opens the file picker.
+ */
+document.getElementById('importSettings').addEventListener('click', () => {
+  document.getElementById('importFile').click();
+});
+
+/**
+ * Imports the chosen settings file, then reloads the page to show the new
+ * settings.
+ */
+document.getElementById('importFile').addEventListener('change', async (event) => {
+  const [file] = event.target.files;
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus(`${file.name} is not a valid JSON file.`, true);
+    return;
+  }
+
+  try {
+    const { imported, skipped } = await importSettings(data);
+    showStatus(`Imported ${imported.length} settings${skipped.length ? ` (skipped ${skipped.join(', ')})` : ''}. Reloading...`);
+    setTimeout(() => window.location.reload(), 1500);
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+});
+
+/**
+ * Keeps the error log current while the page is open, e.g. when a shortlink
+ * fails in another tab.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[ERROR_LOG_STORAGE_KEY]) {
+    renderErrorLog();
+  }
+});
+
+/**
+ * Listens for a 'click' event on the 'Add template' button and adds an empty
+ * template card. The template is stored when the user clicks 'Save Settings'.
+ */
+document.getElementById('addUtmTemplate').addEventListener('click', () => {
+  renderUtmTemplate().querySelector('.utm-name').focus();
+});
+
+/**
+ * Listens for a 'click' on the 'Add profile' button and adds an empty
+ * profile card. The profile is stored when the user clicks 'Save Settings'.
+ */
+document.getElementById('addProfile').addEventListener('click', () => {
+  const card = renderProfile();
+  updateCredentialStorageFields();
+  card.querySelector('.profile-name').focus();
+});
+
+/**
+ * Listens for a 'click' on the 'Add site rule' button and adds an empty rule.
+ */
+document.getElementById('addProfileRule').addEventListener('click', () => {
+  renderProfileRule().querySelector('.rule-hostname').focus();
+});
 
+/**
+ * Keeps the active profile and site rule dropdowns in step with profile
+ * names as they are typed.
+ */
+document.getElementById('profiles').addEventListener('input', (event) => {
+  if (event.target.classList.contains('profile-name')) {
+    refreshProfileChoices();
+  }
+});
+
+/**
+ * Refreshes the copy format preview as the format or template changes.
+ */
+document.getElementById('copyFormat').addEventListener('change', updateCopyFormatPreview);
+document.getElementById('copyTemplate').addEventListener('input', updateCopyFormatPreview);
+
+/**
+ * Keeps the shortcut template dropdown in step with template names as they
+ * are typed.
+ */
+document.getElementById('utmTemplates').addEventListener('input', (event) => {
+  if (event.target.classList.contains('utm-name')) {
+    refreshShortcutTemplateChoices();
+    refreshProfileTemplateChoices();
+  }
+});
+
+/**
+ * Opens Chrome's shortcut settings. chrome:// pages cannot be opened from a
+ * plain link, so this goes through the tabs API.
+ */
+document.getElementById('openShortcuts').addEventListener('click', (event) => {
+  event.preventDefault();
+  chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+});
@@ -1,9 +1,27 @@
-// popup.js - Handles popup UI for shortlink display
+// popup.js - Handles the toolbar popup (control panel) and the popup windows
+// opened to show, customize or expand shortlinks
+
+import { createQrCode, drawQrToCanvas, qrToSvg } from './qrcode.js';
+import { getSettings, saveSettings } from './settings-schema.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   const contentDiv = document.getElementById('content');
+  setUpProfileSwitcher();
 
   try {
+    // Opened from the "Customize shortlink" menu item: show the edit form
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('customize')) {
+      showCustomizeForm(params.get('customize'), params.get('title') || '');
+      return;
+    }
+
+    // Opened from an "Expand shortlink" menu item: show where the links lead
+    if (params.has('expand')) {
+      showExpandView(params.getAll('expand'));
+      return;
+    }
+
     // Check if there's a stored shortlink (from popup mode)
     const stored = await chrome.storage.local.get('currentShortlink');
 
@@ -14,22 +32,28 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    // Otherwise, create new shortlink (direct popup usage)
-    const response = await chrome.runtime.sendMessage({ action: 'createShortlinkFromPopup' });
-
-    if (!response?.success) {
-      showError(response?.error || 'Unable to create shortlink.');
-      return;
-    }
-
-    showSuccess(response.shortUrl);
+    // Otherwise this is the toolbar popup: show the control panel, and
+    // reload it when the profile switcher changes which settings apply
+    showControlPanel();
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes.activeProfileId) {
+        showControlPanel();
+      }
+    });
 
   } catch (error) {
     showError(`Error: ${error.message}`);
   }
 });
 
-function showSuccess(shortUrl) {
+/**
+ * Shows a shortlink sent by popup mode (see `showInPopup()` in clipboard.js)
+ * with a button that copies it in the chosen copy format.
+ *
+ * @param {{shortUrl: string, text: string, html?: string}} content - The
+ *   shortlink(s), one per line, and the formatted version to copy
+ */
+function showSuccess({ shortUrl, text, html }) {
   const contentDiv = document.getElementById('content');
   contentDiv.textContent = '';
 
@@ -55,9 +79,15 @@ function showSuccess(shortUrl) {
   contentDiv.appendChild(copyButton);
   contentDiv.appendChild(statusDiv);
 
+  // A QR code only makes sense for a single link (selection shortening can
+  // produce several, one per line)
+  if (!shortUrl.includes('\n')) {
+    contentDiv.appendChild(createQrPanel(shortUrl, statusDiv));
+  }
+
   copyButton.addEventListener('click', async () => {
     try {
-      await navigator.clipboard.writeText(shortUrl);
+      await copyContent({ text, html });
       copyButton.disabled = true;
       statusDiv.textContent = 'Copied!';
       statusDiv.classList.remove('error');
@@ -76,6 +106,800 @@ function showSuccess(shortUrl) {
   });
 }
 
+/**
+ * Copies formatted clipboard content (see copy-formats.js), as rich text
+ * when it has an HTML version.
+ *
+ * @param {{text: string, html?: string}} content - Content to copy
+ * @returns {Promise<void>}
+ */
+async function copyContent(content) {
+  if (content.html && window.ClipboardItem) {
+    await navigator.clipboard.write([new ClipboardItem({
+      'text/plain': new Blob([content.text], { type: 'text/plain' }),
+      'text/html': new Blob([content.html], { type: 'text/html' }),
+    })]);
+    return;
+  }
+  await navigator.clipboard.writeText(content.text);
+}
+
+/**
+ * Renders the toolbar popup: account status, the current tab with the
+ * domain, UTM template and copy format to shorten it with, and the links
+ * created this session. Shortening goes through the background worker's
+ * `createShortlinkFromPopup` message.
+ */
+async function showControlPanel() {
+  const contentDiv = document.getElementById('content');
+
+  let state;
+  try {
+    state = await chrome.runtime.sendMessage({ action: 'getPopupState' });
+  } catch (error) {
+    state = { success: false, error: `Error: ${error.message}` };
+  }
+  if (!state?.success) {
+    showError(state?.error || 'Unable to load PocketLink.');
+    return;
+  }
+
+  contentDiv.textContent = '';
+  contentDiv.appendChild(createAccountStatus(state));
+
+  const form = document.createElement('form');
+  form.className = 'customize-form';
+
+  const target = document.createElement('div');
+  target.className = 'url-container';
+  const pageTitle = document.createElement('p');
+  pageTitle.className = 'page-title';
+  pageTitle.textContent = state.tab ? state.tab.title || 'Current tab' : 'No page to shorten in this tab';
+  target.appendChild(pageTitle);
+  if (state.tab) {
+    const pageUrl = document.createElement('p');
+    pageUrl.className = 'url';
+    pageUrl.textContent = state.tab.url;
+    target.appendChild(pageUrl);
+  }
+  form.appendChild(target);
+
+  const addSelect = (id, labelText, choices, value) => {
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+
+    const select = document.createElement('select');
+    select.id = id;
+    choices.forEach(([optionValue, text]) => select.add(new Option(text, optionValue)));
+    select.value = value;
+
+    form.appendChild(label);
+    form.appendChild(select);
+    return select;
+  };
+
+  // Filled in once the service has listed the account's domains
+  const domainSelect = addSelect('domain', 'Domain', [], '');
+  setFieldHidden(domainSelect, true);
+
+  const templateSelect = addSelect(
+    'utmTemplate',
+    'UTM template',
+    [['', 'None'], ...state.utmTemplates.map((template) => [template.id, template.name || 'Untitled template'])],
+    state.utmTemplateId
+  );
+  setFieldHidden(templateSelect, !state.utmTemplates.length);
+
+  const formatSelect = addSelect(
+    'copyFormat',
+    'Copy as',
+    state.copyFormats.map((format) => [format.id, format.label]),
+    state.copyFormat
+  );
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = 'copy-button';
+  submitButton.textContent = 'Shorten and copy';
+  submitButton.disabled = !state.tab || Boolean(state.credentialsError);
+  form.appendChild(submitButton);
+
+  const statusDiv = document.createElement('div');
+  statusDiv.className = 'status';
+  form.appendChild(statusDiv);
+
+  const result = document.createElement('div');
+  result.className = 'panel-result';
+
+  const recent = document.createElement('section');
+  recent.className = 'recent-links';
+
+  contentDiv.appendChild(form);
+  contentDiv.appendChild(result);
+  contentDiv.appendChild(recent);
+  contentDiv.appendChild(createPanelLinks(state));
+  renderRecentLinks(recent, state.recentLinks);
+
+  if (state.domain && !state.credentialsError) {
+    loadDomainChoices(domainSelect, state.domain.value);
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    submitButton.disabled = true;
+    statusDiv.className = 'status loading';
+    statusDiv.textContent = 'Creating shortlink...';
+
+    const request = {
+      action: 'createShortlinkFromPopup',
+      utmTemplateId: templateSelect.value,
+      copyFormat: formatSelect.value,
+    };
+    if (!domainSelect.hidden) {
+      request.domain = domainSelect.value;
+    }
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage(request);
+    } catch (error) {
+      response = { success: false, error: `Error: ${error.message}` };
+    }
+    submitButton.disabled = false;
+
+    if (!response?.success) {
+      statusDiv.className = 'status error';
+      statusDiv.textContent = response?.error || 'Unable to create shortlink.';
+      return;
+    }
+
+    renderPanelResult(result, response, statusDiv);
+    try {
+      await copyContent(response.content);
+      statusDiv.className = 'status success';
+      statusDiv.textContent = 'Copied!';
+    } catch (error) {
+      statusDiv.className = 'status';
+      statusDiv.textContent = 'Shortlink created. Use the Copy button to copy it.';
+    }
+
+    const updated = await chrome.runtime.sendMessage({ action: 'getPopupState' }).catch(() => null);
+    if (updated?.success) {
+      renderRecentLinks(recent, updated.recentLinks);
+    }
+  });
+}
+
+/**
+ * Builds the account line at the top of the control panel: the profile and
+ * service in use, who is signed in or what the last connection test found,
+ * any credentials problem and the number of requests waiting to be retried.
+ *
+ * @param {Object} state - Response of the `getPopupState` message
+ * @returns {HTMLElement}
+ */
+function createAccountStatus(state) {
+  const container = document.createElement('div');
+  container.className = 'account-status';
+
+  const service = [state.profile?.name, state.provider.label].filter(Boolean).join(' · ');
+  const { account } = state;
+  let detail;
+  let tone = '';
+
+  if (state.credentialsError) {
+    detail = state.credentialsError;
+    tone = 'error';
+  } else if (account?.signedIn) {
+    detail = `Signed in as ${account.account}`;
+    tone = 'success';
+  } else if (account?.ok) {
+    detail = [
+      `Connected as ${account.account}`,
+      account.plan && `${account.plan} plan`,
+      account.quota && `${account.quota.used.toLocaleString()} of ${account.quota.limit.toLocaleString()} links used`,
+    ].filter(Boolean).join(' · ');
+    tone = 'success';
+  } else if (account) {
+    detail = `Last connection test failed: ${account.error}`;
+    tone = 'error';
+  } else {
+    detail = 'Connection not tested yet';
+  }
+
+  const line = document.createElement('p');
+  line.textContent = `${service}: `;
+  const detailSpan = document.createElement('span');
+  detailSpan.className = tone;
+  detailSpan.textContent = detail;
+  line.appendChild(detailSpan);
+  container.appendChild(line);
+
+  if (state.queued) {
+    const queued = document.createElement('p');
+    queued.textContent = state.queued === 1
+      ? '1 shortlink is waiting to be created.'
+      : `${state.queued} shortlinks are waiting to be created.`;
+    container.appendChild(queued);
+  }
+
+  return container;
+}
+
+/**
+ * Hides or shows a control panel dropdown together with its label, which
+ * comes right before it.
+ *
+ * @param {HTMLSelectElement} select - The dropdown
+ * @param {boolean} hidden - Whether to hide it
+ */
+function setFieldHidden(select, hidden) {
+  select.hidden = hidden;
+  select.previousElementSibling.hidden = hidden;
+}
+
+/**
+ * Asks the background worker for the account's short domains and offers
+ * them when there is more than one.
+ *
+ * @param {HTMLSelectElement} select - The domain dropdown
+ * @param {string} value - Domain from the settings
+ */
+async function loadDomainChoices(select, value) {
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'getDomainChoices' });
+  } catch (error) {
+    response = { success: false, error: error.message };
+  }
+  if (!response?.success) {
+    console.warn('Could not load domain choices:', response?.error);
+    return;
+  }
+  if (response.choices.length < 2) {
+    return;
+  }
+
+  response.choices.forEach((choice) => select.add(new Option(choice.label, choice.value)));
+  select.value = response.choices.some((choice) => choice.value === value) ? value : '';
+  setFieldHidden(select, false);
+}
+
+/**
+ * Shows a shortlink created from the control panel, with a button to copy
+ * it again and its QR code.
+ *
+ * @param {HTMLElement} result - Element to render into
+ * @param {Object} response - Successful `createShortlinkFromPopup` response
+ * @param {HTMLElement} statusDiv - Status line under the form
+ */
+function renderPanelResult(result, response, statusDiv) {
+  result.textContent = '';
+
+  const container = document.createElement('div');
+  container.className = 'url-container';
+  const shortUrl = document.createElement('p');
+  shortUrl.className = 'url';
+  shortUrl.textContent = response.shortUrl;
+  container.appendChild(shortUrl);
+  result.appendChild(container);
+
+  const actions = document.createElement('div');
+  actions.className = 'qr-actions';
+  const copyButton = document.createElement('button');
+  copyButton.type = 'button';
+  copyButton.className = 'secondary-button';
+  copyButton.textContent = 'Copy';
+  copyButton.addEventListener('click', async () => {
+    try {
+      await copyContent(response.content);
+      statusDiv.className = 'status success';
+      statusDiv.textContent = 'Copied!';
+    } catch (error) {
+      statusDiv.className = 'status error';
+      statusDiv.textContent = 'Copy failed';
+    }
+  });
+  actions.appendChild(copyButton);
+  result.appendChild(actions);
+
+  result.appendChild(createQrPanel(response.shortUrl, statusDiv));
+}
+
+/**
+ * Lists the links created this browser session, newest first, each with a
+ * button that copies the shortlink.
+ *
+ * @param {HTMLElement} section - Section to render into
+ * @param {Array<Object>} links - History entries (see shortlink-history.js)
+ */
+function renderRecentLinks(section, links) {
+  section.textContent = '';
+  if (!links.length) {
+    return;
+  }
+
+  const heading = document.createElement('h2');
+  heading.textContent = 'Created this session';
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  links.forEach((link) => {
+    const item = document.createElement('li');
+
+    const text = document.createElement('div');
+    text.className = 'recent-text';
+    const title = document.createElement('span');
+    title.className = 'recent-title';
+    title.textContent = link.title || link.longUrl;
+    title.title = link.longUrl;
+    const shortUrl = document.createElement('span');
+    shortUrl.className = 'url';
+    shortUrl.textContent = link.shortUrl;
+    text.appendChild(title);
+    text.appendChild(shortUrl);
+    item.appendChild(text);
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'secondary-button';
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(link.shortUrl);
+        copyButton.textContent = 'Copied!';
+      } catch (error) {
+        copyButton.textContent = 'Copy failed';
+      }
+    });
+    item.appendChild(copyButton);
+
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+}
+
+/**
+ * Builds the links to PocketLink's other pages at the bottom of the panel.
+ *
+ * @param {Object} state - Response of the `getPopupState` message
+ * @returns {HTMLElement}
+ */
+function createPanelLinks(state) {
+  const nav = document.createElement('nav');
+  nav.className = 'panel-links';
+
+  const addLink = (text, open) => {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = text;
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      open();
+      window.close();
+    });
+    nav.appendChild(link);
+  };
+
+  addLink('History', () => chrome.tabs.create({ url: chrome.runtime.getURL('history.html') }));
+  if (state.provider.id === 'bitly') {
+    addLink('Analytics', () => chrome.tabs.create({ url: chrome.runtime.getURL('analytics.html') }));
+  }
+  addLink('Settings', () => chrome.runtime.openOptionsPage());
+  return nav;
+}
+
+/**
+ * Fills the profile switcher in the header (see profiles.js) and saves the
+ * chosen profile as the active one. Hidden until a profile has been created
+ * on the options page. A link already shown is not changed; the choice
+ * applies from the next shortlink, and the control panel reloads for it.
+ * Disabled when the managed policy locks the active profile.
+ */
+async function setUpProfileSwitcher() {
+  const select = document.getElementById('profileSwitcher');
+  const { profiles, activeProfileId, lockedSettings } = await getSettings();
+  if (!profiles.length) {
+    return;
+  }
+
+  select.add(new Option('Default settings', ''));
+  profiles.forEach((profile) => select.add(new Option(profile.name, profile.id)));
+  select.value = profiles.some((profile) => profile.id === activeProfileId) ? activeProfileId : '';
+  select.disabled = lockedSettings.includes('activeProfileId');
+  select.title = select.disabled ? 'Managed by your organization' : '';
+  select.hidden = false;
+
+  select.addEventListener('change', () => {
+    saveSettings({ activeProfileId: select.value });
+  });
+}
+
+/**
+ * Builds the collapsible QR code section for a shortlink. The code is
+ * generated locally by qrcode.js and can be downloaded as PNG or SVG, or
+ * copied as an image through the background worker's offscreen document.
+ *
+ * @param {string} shortUrl - The shortlink to encode
+ * @param {HTMLElement} statusDiv - Status line shared with the copy button
+ * @returns {HTMLElement} The section element
+ */
+function createQrPanel(shortUrl, statusDiv) {
+  const section = document.createElement('details');
+  section.className = 'qr-panel';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'QR code';
+  section.appendChild(summary);
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'qr-preview';
+  section.appendChild(canvas);
+
+  const addSelect = (labelText, choices) => {
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const select = document.createElement('select');
+    choices.forEach(([value, text]) => select.add(new Option(text, value)));
+    label.appendChild(select);
+    return label;
+  };
+
+  const controls = document.createElement('div');
+  controls.className = 'qr-controls';
+  const sizeLabel = addSelect('Size', [['128', '128 px'], ['256', '256 px'], ['512', '512 px'], ['1024', '1024 px']]);
+  const levelLabel = addSelect('Error correction', [['L', 'Low (7%)'], ['M', 'Medium (15%)'], ['Q', 'Quartile (25%)'], ['H', 'High (30%)']]);
+  controls.appendChild(sizeLabel);
+  controls.appendChild(levelLabel);
+  section.appendChild(controls);
+
+  const sizeSelect = sizeLabel.querySelector('select');
+  const levelSelect = levelLabel.querySelector('select');
+
+  const actions = document.createElement('div');
+  actions.className = 'qr-actions';
+  const addAction = (text) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-button';
+    button.textContent = text;
+    actions.appendChild(button);
+    return button;
+  };
+  const pngButton = addAction('PNG');
+  const svgButton = addAction('SVG');
+  const copyImageButton = addAction('Copy image');
+  section.appendChild(actions);
+
+  const setStatus = (message, isError) => {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${isError ? 'error' : 'success'}`;
+  };
+
+  let qr;
+  const render = () => {
+    try {
+      qr = createQrCode(shortUrl, levelSelect.value);
+      drawQrToCanvas(qr, canvas, parseInt(sizeSelect.value, 10));
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  };
+
+  // Name downloads after the back-half, e.g. "pocketlink-qr-abc123.png"
+  const baseName = `pocketlink-qr-${shortUrl.replace(/^\w+:\/\/[^/]+\/?/, '').replace(/[^\w-]+/g, '-') || 'link'}`;
+  const download = (blob, extension) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${baseName}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  // The last choice is kept in the qrSize and qrErrorCorrection settings
+  getSettings().then((settings) => {
+    sizeSelect.value = String(settings.qrSize);
+    levelSelect.value = settings.qrErrorCorrection;
+    render();
+  });
+
+  [sizeSelect, levelSelect].forEach((select) => {
+    select.addEventListener('change', () => {
+      render();
+      saveSettings({
+        qrSize: parseInt(sizeSelect.value, 10),
+        qrErrorCorrection: levelSelect.value,
+      });
+    });
+  });
+
+  // Grow the standalone popup window so the opened section is not cut off
+  section.addEventListener('toggle', async () => {
+    const currentWindow = await chrome.windows.getCurrent();
+    if (currentWindow.type !== 'popup') {
+      return;
+    }
+    const overflow = document.documentElement.scrollHeight - window.innerHeight;
+    if (section.open && overflow > 0) {
+      await chrome.windows.update(currentWindow.id, { height: currentWindow.height + overflow });
+    }
+  });
+
+  pngButton.addEventListener('click', () => {
+    canvas.toBlob((blob) => download(blob, 'png'), 'image/png');
+  });
+
+  svgButton.addEventListener('click', () => {
+    download(new Blob([qrToSvg(qr)], { type: 'image/svg+xml' }), 'svg');
+  });
+
+  copyImageButton.addEventListener('click', async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'copyImage',
+        dataUrl: canvas.toDataURL('image/png'),
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Clipboard write failed');
+      }
+      setStatus('QR code copied!', false);
+    } catch (error) {
+      setStatus(`Copy failed: ${error.message}`, true);
+    }
+  });
+
+  return section;
+}
+
+/**
+ * Renders the "edit before shortening" form. Submitting it asks the
+ * background worker to create the link with the chosen back-half, title and
+ * tags. A taken back-half keeps the form open so the user can try another.
+ *
+ * @param {string} longUrl - The URL to shorten
+ * @param {string} title - Default link title (the page title)
+ */
+function showCustomizeForm(longUrl, title) {
+  const contentDiv = document.getElementById('content');
+  contentDiv.textContent = '';
+
+  const form = document.createElement('form');
+  form.className = 'customize-form';
+
+  const target = document.createElement('p');
+  target.className = 'url';
+  target.textContent = longUrl;
+  form.appendChild(target);
+
+  const addField = (id, labelText, value, placeholder) => {
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.value = value;
+    input.placeholder = placeholder;
+    input.spellcheck = false;
+
+    form.appendChild(label);
+    form.appendChild(input);
+    return input;
+  };
+
+  const keywordInput = addField('keyword', 'Custom back-half', '', 'e.g. spring-sale');
+  keywordInput.pattern = '[A-Za-z0-9_\\-]+';
+  keywordInput.title = 'Letters, numbers, dashes and underscores only';
+  const titleInput = addField('linkTitle', 'Title', title, 'Shown in your Bit.ly dashboard');
+  const tagsInput = addField('tags', 'Tags', '', 'Comma-separated, e.g. social, spring');
+
+  const submitButton = document.createElement('button');
+  submitButton.type = 'submit';
+  submitButton.className = 'copy-button';
+  submitButton.textContent = 'Create shortlink';
+  form.appendChild(submitButton);
+
+  const statusDiv = document.createElement('div');
+  statusDiv.className = 'status';
+  form.appendChild(statusDiv);
+
+  contentDiv.appendChild(form);
+  keywordInput.focus();
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    submitButton.disabled = true;
+    keywordInput.classList.remove('invalid');
+    statusDiv.className = 'status loading';
+    statusDiv.textContent = 'Creating shortlink...';
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        action: 'createCustomShortlink',
+        url: longUrl,
+        keyword: keywordInput.value.trim(),
+        title: titleInput.value.trim(),
+        tags: tagsInput.value.split(',').map((tag) => tag.trim()).filter(Boolean),
+      });
+    } catch (error) {
+      response = { success: false, error: `Error: ${error.message}` };
+    }
+
+    if (response?.success) {
+      showSuccess({ shortUrl: response.shortUrl, text: response.shortUrl });
+      return;
+    }
+
+    // Leave the form in place so the user can fix the problem and retry
+    submitButton.disabled = false;
+    statusDiv.className = 'status error';
+    statusDiv.textContent = response?.error || 'Unable to create shortlink.';
+
+    if (response?.errorCode === 'KEYWORD_TAKEN') {
+      keywordInput.classList.add('invalid');
+      keywordInput.select();
+    }
+  });
+}
+
+/**
+ * Shows where each shortlink leads: every redirect with its HTTP status, and
+ * the destination with buttons to open or copy it. Nothing is opened until
+ * the user chooses to.
+ *
+ * @param {Array<string>} urls - Shortlinks to expand
+ */
+function showExpandView(urls) {
+  const contentDiv = document.getElementById('content');
+  contentDiv.textContent = '';
+
+  urls.forEach((url) => {
+    const section = document.createElement('section');
+    section.className = 'expand-result';
+    contentDiv.appendChild(section);
+    expandInto(section, url);
+  });
+}
+
+/**
+ * Asks the background worker to expand one shortlink and renders the result
+ * into its section. If following redirects needs permission, offers a button
+ * that asks for it and tries again.
+ *
+ * @param {HTMLElement} section - Section to render into
+ * @param {string} url - The shortlink
+ */
+async function expandInto(section, url) {
+  section.textContent = '';
+
+  const statusDiv = document.createElement('div');
+  statusDiv.className = 'status loading';
+  statusDiv.textContent = `Following ${url}...`;
+  section.appendChild(statusDiv);
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ action: 'expandShortlink', url });
+  } catch (error) {
+    response = { success: false, error: `Error: ${error.message}` };
+  }
+
+  if (!response?.success) {
+    statusDiv.className = 'status error';
+    statusDiv.textContent = response?.error || `Unable to expand ${url}.`;
+    return;
+  }
+  statusDiv.remove();
+
+  // The shortlink, then every address it redirected to
+  const chain = document.createElement('ol');
+  chain.className = 'redirect-chain';
+  const steps = [url, ...response.hops.map((hop) => hop.location)];
+  steps.forEach((step, index) => {
+    const hop = response.hops[index];
+    const item = document.createElement('li');
+
+    const badge = document.createElement('span');
+    badge.className = 'hop-status';
+    if (hop) {
+      badge.textContent = hop.via ? `via ${hop.via}` : String(hop.status);
+    } else {
+      badge.textContent = response.status ? String(response.status) : '?';
+      badge.classList.toggle('error', response.status >= 400);
+    }
+    item.appendChild(badge);
+
+    const address = document.createElement('span');
+    address.className = 'url';
+    address.textContent = step;
+    item.appendChild(address);
+
+    chain.appendChild(item);
+  });
+  section.appendChild(chain);
+
+  if (response.needsPermission) {
+    const note = document.createElement('p');
+    note.className = 'expand-warning';
+    note.textContent = response.finalUrl
+      ? 'To check for further redirects and whether this address works, PocketLink needs permission to visit links on any site.'
+      : 'To follow this link, PocketLink needs permission to visit links on any site. Requests are sent without your cookies.';
+    section.appendChild(note);
+
+    const allowButton = document.createElement('button');
+    allowButton.className = 'secondary-button';
+    allowButton.textContent = 'Allow and follow link';
+    allowButton.addEventListener('click', async () => {
+      if (await chrome.permissions.request({ origins: response.origins })) {
+        expandInto(section, url);
+      }
+    });
+    section.appendChild(allowButton);
+  }
+
+  if (!response.finalUrl) {
+    return;
+  }
+
+  const destination = new URL(response.finalUrl);
+  const container = document.createElement('div');
+  container.className = 'url-container';
+
+  const heading = document.createElement('p');
+  heading.className = 'expand-destination';
+  heading.textContent = `Goes to ${destination.hostname}`;
+  container.appendChild(heading);
+
+  const finalUrl = document.createElement('p');
+  finalUrl.className = 'url';
+  finalUrl.textContent = response.finalUrl;
+  container.appendChild(finalUrl);
+  section.appendChild(container);
+
+  const warnings = [];
+  if (response.status >= 400) {
+    warnings.push(`The destination answered with an error (HTTP ${response.status}).`);
+  }
+  if (destination.protocol === 'http:') {
+    warnings.push('The destination does not use a secure (https) connection.');
+  }
+  warnings.forEach((text) => {
+    const warning = document.createElement('p');
+    warning.className = 'expand-warning';
+    warning.textContent = text;
+    section.appendChild(warning);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'qr-actions';
+
+  const openButton = document.createElement('button');
+  openButton.className = 'secondary-button';
+  openButton.textContent = 'Open destination';
+  openButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: response.finalUrl });
+  });
+  actions.appendChild(openButton);
+
+  const copyButton = document.createElement('button');
+  copyButton.className = 'secondary-button';
+  copyButton.textContent = 'Copy address';
+  copyButton.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(response.finalUrl);
+      copyButton.textContent = 'Copied!';
+    } catch (error) {
+      copyButton.textContent = 'Copy failed';
+    }
+  });
+  actions.appendChild(copyButton);
+
+  section.appendChild(actions);
+}
+
 function showError(message) {
   const contentDiv = document.getElementById('content');
   contentDiv.textContent = '';
@@ -85,7 +909,7 @@ function showError(message) {
   statusDiv.textContent = message;
   contentDiv.appendChild(statusDiv);
 
-  if (/(bit.?ly|token)/i.test(message)) {
+  if (/(bit.?ly|token|options)/i.test(message)) {
     const button = document.createElement('button');
     button.className = 'copy-button';
     button.textContent = 'Open Settings';
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview PocketLink Profiles
+ *
+ * Named sets of shortening settings for people who share links for several
+ * publications, each with its own account: a profile picks the provider, its
+ * credentials (e.g. a Bit.ly token and branded domain), a UTM template and a
+ * copy format. The main settings on the options page act as the default
+ * profile.
+ *
+ * A profile is used when:
+ *
+ * 1. A site rule matches the page's hostname (the most specific rule wins), or
+ * 2. It is the active profile, chosen on the options page or in the popup
+ *
+ * Profiles, site rules and the active profile id are saved in
+ * chrome.storage.sync. Profile credentials are secrets, so they are kept
+ * apart under `profileCredentials` and stored by credential-store.js like
+ * the main credentials (synced, local or encrypted).
+ *
+ * This module is imported by background.js, shortener.js and
+ * settings-schema.js. The popup's profile switcher only writes
+ * `activeProfileId`, so it does not need it.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getProvider } from './providers.js';
+import { PROFILE_CREDENTIALS_KEY } from './credential-store.js';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Unique id (UUID)
+ * @property {string} name - Display name, e.g. "The Daily"
+ * @property {string} provider - Provider id (see `SHORTENER_PROVIDERS`)
+ * @property {string} [utmTemplateId] - Template applied when no other is chosen
+ * @property {string} [copyFormat] - Copy format id; empty uses the default
+ */
+
+/**
+ * @typedef {Object} ProfileRule
+ * @property {string} hostname - Site the rule applies to, e.g. "example.com"
+ *   (also matches its subdomains) or "news.example.com"
+ * @property {string} profileId - Profile to use on that site
+ */
+
+/**
+ * Defaults for the profile settings (see `getSettingsDefaults()`).
+ *
+ * @returns {Object} `{ profiles, profileRules, activeProfileId, profileCredentials }`
+ */
+export const getProfileDefaults = () => ({
+  profiles: [],
+  profileRules: [],
+  activeProfileId: '',
+  [PROFILE_CREDENTIALS_KEY]: {},
+});
+
+/**
+ * Whether a hostname is covered by a rule's hostname: the same host, or a
+ * subdomain of it. A leading "*." is accepted and ignored.
+ *
+ * @param {string} hostname - The page's hostname
+ * @param {string} pattern - The rule's hostname
+ * @returns {boolean}
+ *
+ * @example
+ * matchesHostname('news.example.com', 'example.com'); // true
+ * matchesHostname('example.com.evil.test', 'example.com'); // false
+ */
+const matchesHostname = (hostname, pattern) => {
+  const host = hostname.toLowerCase();
+  const rule = pattern.trim().toLowerCase().replace(/^\*\./, '');
+  return Boolean(rule) && (host === rule || host.endsWith(`.${rule}`));
+};
+
+/**
+ * Finds the profile to use for a page: the most specific matching site rule,
+ * otherwise the active profile.
+ *
+ * @param {string} [pageUrl] - The page the shortlink is created from
+ * @param {Object} settings - Settings holding `profiles`, `profileRules` and `activeProfileId`
+ * @returns {Profile|null} The profile, or null to use the default settings
+ */
+const findProfileForUrl = (pageUrl, settings) => {
+  const profiles = settings.profiles || [];
+  const byId = (id) => profiles.find((profile) => profile.id === id) || null;
+
+  let hostname = '';
+  try {
+    hostname = new URL(pageUrl).hostname;
+  } catch (error) {
+    // No usable page URL: only the active profile applies
+  }
+
+  if (hostname) {
+    const [rule] = (settings.profileRules || [])
+      .filter((item) => byId(item.profileId) && matchesHostname(hostname, item.hostname))
+      .sort((a, b) => b.hostname.length - a.hostname.length);
+    if (rule) {
+      return byId(rule.profileId);
+    }
+  }
+
+  return byId(settings.activeProfileId);
+};
+
+/**
+ * Returns the settings with a profile's provider, credentials, UTM template
+ * and copy format in place of the defaults. Settings locked by enterprise
+ * policy (`lockedSettings`, see settings-schema.js) keep the policy's value,
+ * so a profile can't override them.
+ *
+ * @param {Object} settings - The loaded settings, including `profileCredentials`
+ * @param {Profile} profile - The profile to apply
+ * @returns {Object} A new settings object, with `profileId` and
+ *   `profileUtmTemplateId` added
+ */
+const applyProfile = (settings, profile) => {
+  const provider = getProvider(profile.provider);
+  const credentials = settings[PROFILE_CREDENTIALS_KEY]?.[profile.id] || {};
+
+  const applied = {
+    ...settings,
+    provider: provider.id,
+    profileId: profile.id,
+    profileUtmTemplateId: profile.utmTemplateId || '',
+  };
+  provider.fields.forEach((field) => {
+    applied[field.key] = credentials[field.key] || '';
+  });
+  if (profile.copyFormat) {
+    applied.copyFormat = profile.copyFormat;
+  }
+  (settings.lockedSettings || []).forEach((key) => {
+    applied[key] = settings[key];
+  });
+  return applied;
+};
+
+/**
+ * Picks and applies the profile for a page (see `findProfileForUrl()`).
+ *
+ * @param {Object} settings - Settings loaded with `getProfileDefaults()` included
+ * @param {string} [pageUrl] - The page the shortlink is created from
+ * @returns {Object} The settings to shorten with
+ *
+ * @example
+ * const settings = resolveProfileSettings(await getSettings(), tab.url);
+ */
+export const resolveProfileSettings = (settings, pageUrl) => {
+  const profile = findProfileForUrl(pageUrl, settings);
+  return profile ? applyProfile(settings, profile) : settings;
+};
@@ -0,0 +1,691 @@
+/**
+ * @fileoverview PocketLink Shortener Providers
+ *
+ * Defines the link shortening services PocketLink can talk to. Each provider
+ * describes the credential fields it needs (rendered on the options page) and
+ * knows how to turn a long URL into a `fetch()` request and how to read the
+ * short URL back out of the service's response.
+ *
+ * This module is shared by two contexts:
+ *
+ * - **background.js** and the modules it imports use it to create links
+ * - **options.js** imports it to render credential fields
+ *
+ * ## Adding a Provider
+ *
+ * Add an entry to `SHORTENER_PROVIDERS` with a unique `id`, its credential
+ * `fields` (each `key` is a chrome.storage.sync key) and the two functions
+ * `buildRequest()` and `parseResponse()`. Providers that can check credentials
+ * without creating a link add `testConnection()`, which powers the options
+ * page's "Test connection" button. Fields of type `select` get their
+ * choices from the provider's `loadFieldOptions()`, which the options page
+ * calls once the other credentials are filled in. Services whose API can look
+ * up the long URL behind one of their links add `ownsLink()` and
+ * `expandLink()` for "Expand shortlink", and those that can search the
+ * account add `searchLinks()` for the address bar keyword. A `select` field
+ * marked `domain` is offered in the toolbar popup so one link can use
+ * another domain. If the service lives on a fixed host, add that host to
+ * `host_permissions` in manifest.json. Self-hosted services set
+ * `selfHosted: true` and the options page requests access to the configured
+ * origin at save time.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ProviderField
+ * @property {string} key - chrome.storage.sync key the value is saved under
+ * @property {string} label - Human-readable label shown on the options page
+ * @property {('text'|'url'|'select')} [type='text'] - Input type. Choices for
+ *   `select` fields come from the provider's `loadFieldOptions()`
+ * @property {string} [placeholder] - Input placeholder text
+ * @property {boolean} [optional=false] - If true, the field may be left blank
+ * @property {boolean} [domain=false] - The field holds the short domain; the
+ *   toolbar popup lets it be changed for a single link
+ */
+
+/**
+ * @typedef {Object} ProviderRequest
+ * @property {string} url - The endpoint to call
+ * @property {RequestInit} init - Options passed straight to `fetch()`
+ */
+
+/**
+ * @typedef {Object} ShortenerProvider
+ * @property {string} id - Stable identifier saved as the `provider` setting
+ * @property {string} label - Display name
+ * @property {string} description - One-line explanation shown on the options page
+ * @property {string} [helpUrl] - Where to obtain credentials
+ * @property {boolean} [selfHosted=false] - Whether the API origin is user-configured
+ * @property {Array<ProviderField>} fields - Credential fields
+ * @property {function(string, Object): ProviderRequest} buildRequest - Builds the
+ *   shorten request for a long URL using the saved settings
+ * @property {function(Object): string} parseResponse - Extracts the short URL from
+ *   the parsed JSON body; throws if the body is not a success response
+ * @property {function(Object): Promise<Object<string, Array<FieldOption>>>} [loadFieldOptions] -
+ *   Fetches the choices for this provider's `select` fields, keyed by field key
+ * @property {function(string, CustomLinkOptions, Object): Promise<string>} [createCustomLink] -
+ *   Creates a link with a chosen back-half, title and tags. Only providers that
+ *   define this can be used from the popup's "edit before shortening" form
+ * @property {function(Object): string} [getCacheScope] - Returns the settings
+ *   that change which link a long URL maps to (e.g. a custom domain), so the
+ *   shortlink cache keeps those links apart
+ * @property {function(Object): Promise<ConnectionInfo>} [testConnection] - Checks
+ *   the credentials against the service. Throws if they are rejected; errors
+ *   carry the HTTP `status` so callers can tell a bad token from an outage
+ * @property {function(string, Object): boolean} [ownsLink] - Whether a short
+ *   URL is one of this service's (including the account's custom domain)
+ * @property {function(string, Object): Promise<string>} [expandLink] - Looks
+ *   up the long URL behind one of the service's short URLs through its API,
+ *   without visiting the link (see link-expander.js)
+ * @property {function(string, Object, number): Promise<Array<CopyLink>>} [searchLinks] -
+ *   Finds up to the given number of the account's links matching a search,
+ *   for the `pl` address bar keyword
+ */
+
+/**
+ * @typedef {Object} ConnectionInfo
+ * @property {string} account - Account or server name to show the user
+ * @property {string} [plan] - Subscription plan, when the service reports one
+ * @property {{used: number, limit: number}} [quota] - Links created against the
+ *   monthly limit, when the service reports one
+ */
+
+/**
+ * @typedef {Object} CustomLinkOptions
+ * @property {string} [keyword] - Custom back-half, e.g. "spring-sale"
+ * @property {string} [title] - Link title shown in the provider's dashboard
+ * @property {Array<string>} [tags] - Tags to attach to the link
+ */
+
+/**
+ * @typedef {Object} FieldOption
+ * @property {string} value - Value saved to storage
+ * @property {string} label - Text shown in the dropdown
+ */
+
+/**
+ * The provider used when no `provider` setting has been saved. Existing
+ * installs only ever had Bit.ly, so this keeps them working unchanged.
+ *
+ * @type {string}
+ */
+export const DEFAULT_PROVIDER = 'bitly';
+
+/**
+ * Strips trailing slashes from a user-entered base URL so endpoint paths can
+ * be appended without producing `//`.
+ *
+ * @param {string} baseUrl - e.g. "https://sho.rt/"
+ * @returns {string} e.g. "https://sho.rt"
+ * @private
+ */
+const trimBaseUrl = (baseUrl) => (baseUrl || '').trim().replace(/\/+$/, '');
+
+/**
+ * Error code set on the error thrown when a custom back-half is already in use.
+ *
+ * @type {string}
+ */
+export const KEYWORD_TAKEN_ERROR = 'KEYWORD_TAKEN';
+
+/**
+ * Calls a Bit.ly v4 endpoint and returns the parsed JSON body. Shared by the
+ * Bit.ly provider below and by bitly-analytics.js, so every Bit.ly request
+ * reports failures the same way.
+ *
+ * Bitly reports failures as `{ message: "CODE", description: "Text" }`; the
+ * thrown error carries the HTTP `status` and Bitly's `code` so callers can
+ * react to specific failures.
+ *
+ * @async
+ * @param {string} path - Path below /v4, e.g. "/groups"
+ * @param {Object} settings - Settings holding `bitlyToken`
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} With `status` and `code` properties when the request fails
+ */
+export const bitlyFetch = async (path, settings, { method = 'GET', body } = {}) => {
+  const response = await fetch(`https://api-ssl.bitly.com/v4${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${settings.bitlyToken}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.description || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.code = data.message;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Fetches JSON from a provider endpoint for a connection test, attaching the
+ * HTTP status to the thrown error like `bitlyFetch()` does.
+ *
+ * @async
+ * @param {string} url - Endpoint URL
+ * @param {RequestInit} [init] - fetch() options
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} With a `status` property when the request fails
+ * @private
+ */
+const fetchProviderJson = async (url, init) => {
+  const response = await fetch(url, init);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(
+      data.message || data.detail || data.error || data.errors?.[0] || `HTTP error! status: ${response.status}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Registry of supported shortening services, keyed by provider id.
+ *
+ * @type {Object<string, ShortenerProvider>}
+ */
+export const SHORTENER_PROVIDERS = {
+  /**
+   * Bit.ly v4 API.
+   * @see {@link https://dev.bitly.com/api-reference/#createBitlink}
+   */
+  bitly: {
+    id: 'bitly',
+    label: 'Bit.ly',
+    description: "You'll need a generic access token from your Bit.ly account.",
+    helpUrl: 'https://app.bitly.com/settings/api/',
+    fields: [
+      { key: 'bitlyToken', label: 'access token' },
+      { key: 'bitlyGroupGuid', label: 'default group', type: 'select', optional: true },
+      { key: 'bitlyDomain', label: 'default domain', type: 'select', optional: true, domain: true },
+    ],
+    buildRequest: (longUrl, settings) => ({
+      url: 'https://api-ssl.bitly.com/v4/shorten',
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${settings.bitlyToken}`,
+        },
+        // Empty domain/group are left out so Bitly applies the account defaults
+        body: JSON.stringify({
+          long_url: longUrl,
+          domain: settings.bitlyDomain || undefined,
+          group_guid: settings.bitlyGroupGuid || undefined,
+        }),
+      },
+    }),
+    parseResponse: (data) => {
+      if (!data?.link) {
+        throw new Error('Invalid response from Bit.ly API');
+      }
+      return data.link;
+    },
+    /**
+     * Searches the links in the chosen group (or the account's default group).
+     * @see {@link https://dev.bitly.com/api-reference/#getBitlinksByGroup}
+     */
+    searchLinks: async (query, settings, limit) => {
+      let groupGuid = settings.bitlyGroupGuid;
+      if (!groupGuid) {
+        ({ default_group_guid: groupGuid } = await bitlyFetch('/user', settings));
+      }
+
+      const params = new URLSearchParams({ query, size: String(limit) });
+      const { links = [] } = await bitlyFetch(`/groups/${groupGuid}/bitlinks?${params}`, settings);
+      return links.map((bitlink) => ({
+        shortUrl: bitlink.link,
+        longUrl: bitlink.long_url,
+        title: bitlink.title || '',
+      }));
+    },
+    /**
+     * Lists the account's groups and branded short domains (BSDs).
+     * @see {@link https://dev.bitly.com/api-reference/#getGroups}
+     * @see {@link https://dev.bitly.com/api-reference/#getBSDs}
+     */
+    loadFieldOptions: async (settings) => {
+      const [{ groups = [] }, { bsds = [] }] = await Promise.all([
+        bitlyFetch('/groups', settings),
+        bitlyFetch('/bsds', settings),
+      ]);
+
+      return {
+        bitlyGroupGuid: [
+          { value: '', label: 'Account default' },
+          ...groups.map((group) => ({ value: group.guid, label: group.name })),
+        ],
+        bitlyDomain: [
+          { value: '', label: 'bit.ly (default)' },
+          ...bsds.map((domain) => ({ value: domain, label: domain })),
+        ],
+      };
+    },
+    /**
+     * Creates (or reuses) the bitlink, applies the title and tags, then adds
+     * the custom back-half.
+     * @see {@link https://dev.bitly.com/api-reference/#createFullBitlink}
+     * @see {@link https://dev.bitly.com/api-reference/#updateBitlink}
+     * @see {@link https://dev.bitly.com/api-reference/#addCustomBitlink}
+     */
+    createCustomLink: async (longUrl, { keyword, title, tags = [] }, settings) => {
+      const domain = settings.bitlyDomain || 'bit.ly';
+
+      let bitlink = await bitlyFetch('/bitlinks', settings, {
+        method: 'POST',
+        body: {
+          long_url: longUrl,
+          domain,
+          group_guid: settings.bitlyGroupGuid || undefined,
+          title: title || undefined,
+          tags,
+        },
+      });
+
+      // If the long URL was already shortened, Bitly returns the existing
+      // bitlink untouched, so apply the new title and tags with an update.
+      const needsUpdate = (title && bitlink.title !== title)
+        || tags.some((tag) => !bitlink.tags?.includes(tag));
+      if (needsUpdate) {
+        bitlink = await bitlyFetch(`/bitlinks/${bitlink.id}`, settings, {
+          method: 'PATCH',
+          body: { title: title || bitlink.title, tags: [...new Set([...(bitlink.tags || []), ...tags])] },
+        });
+      }
+
+      if (!keyword) {
+        return bitlink.link;
+      }
+
+      try {
+        await bitlyFetch('/custom_bitlinks', settings, {
+          method: 'POST',
+          body: { custom_bitlink: `${domain}/${keyword}`, bitlink_id: bitlink.id },
+        });
+      } catch (error) {
+        // Bitly answers 409 or an ALREADY_EXISTS-style code for a taken keyword
+        if (error.status === 409 || /ALREADY|EXISTS|TAKEN/i.test(error.code || '')) {
+          const taken = new Error(`The back-half "${keyword}" is already taken on ${domain}. Try a different one.`);
+          taken.code = KEYWORD_TAKEN_ERROR;
+          throw taken;
+        }
+        throw error;
+      }
+
+      return `https://${domain}/${keyword}`;
+    },
+    getCacheScope: (settings) => [settings.bitlyDomain, settings.bitlyGroupGuid].filter(Boolean).join('/'),
+    /**
+     * Reads the user, their organization's plan and the monthly shorten limit.
+     * Only the user lookup must succeed; plan and quota are extras that some
+     * tokens (e.g. without organization access) cannot read.
+     * @see {@link https://dev.bitly.com/api-reference/#getUser}
+     * @see {@link https://dev.bitly.com/api-reference/#getOrganization}
+     * @see {@link https://dev.bitly.com/api-reference/#getPlatformLimits}
+     */
+    testConnection: async (settings) => {
+      const user = await bitlyFetch('/user', settings);
+      const info = { account: user.name || user.login };
+
+      try {
+        const group = await bitlyFetch(`/groups/${user.default_group_guid}`, settings);
+        const organization = await bitlyFetch(`/organizations/${group.organization_guid}`, settings);
+        info.plan = organization.tier_display_name || organization.tier;
+      } catch (error) {
+        console.warn('Could not read the Bit.ly plan:', error);
+      }
+
+      try {
+        const { platform_limits: limits = [] } = await bitlyFetch('/user/platform_limits?path=/v4/shorten', settings);
+        const shorten = limits.flatMap((limit) => limit.methods || []).find((method) => method.name === 'POST');
+        if (shorten) {
+          info.quota = { used: shorten.count, limit: shorten.limit };
+        }
+      } catch (error) {
+        console.warn('Could not read the Bit.ly monthly limit:', error);
+      }
+
+      return info;
+    },
+    ownsLink: (shortUrl, settings) => {
+      const { hostname } = new URL(shortUrl);
+      return ['bit.ly', 'bitly.com', 'j.mp', settings.bitlyDomain].filter(Boolean).includes(hostname);
+    },
+    /**
+     * Looks up a bitlink's long URL.
+     * @see {@link https://dev.bitly.com/api-reference/#expandBitlink}
+     */
+    expandLink: async (shortUrl, settings) => {
+      const { hostname, pathname } = new URL(shortUrl);
+      const { long_url: longUrl } = await bitlyFetch('/expand', settings, {
+        method: 'POST',
+        body: { bitlink_id: `${hostname}${pathname.replace(/\/$/, '')}` },
+      });
+      return longUrl;
+    },
+  },
+
+  /**
+   * TinyURL v2 API.
+   * @see {@link https://tinyurl.com/app/dev}
+   */
+  tinyurl: {
+    id: 'tinyurl',
+    label: 'TinyURL',
+    description: 'Create an API token from your TinyURL account settings.',
+    helpUrl: 'https://tinyurl.com/app/settings/api',
+    fields: [
+      { key: 'tinyurlToken', label: 'API token' },
+    ],
+    buildRequest: (longUrl, settings) => ({
+      url: 'https://api.tinyurl.com/create',
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${settings.tinyurlToken}`,
+        },
+        body: JSON.stringify({ url: longUrl }),
+      },
+    }),
+    parseResponse: (data) => {
+      // TinyURL wraps results as { data: { tiny_url }, code: 0, errors: [] }
+      if (!data?.data?.tiny_url) {
+        throw new Error(data?.errors?.[0] || 'Invalid response from TinyURL API');
+      }
+      return data.data.tiny_url;
+    },
+    /**
+     * Lists the account's links, which needs a valid token. TinyURL reports
+     * no account name, so none is shown.
+     * @see {@link https://tinyurl.com/app/dev}
+     */
+    testConnection: async (settings) => {
+      await fetchProviderJson('https://api.tinyurl.com/urls/available', {
+        headers: { 'Authorization': `Bearer ${settings.tinyurlToken}` },
+      });
+      return { account: 'your TinyURL account' };
+    },
+  },
+
+  /**
+   * is.gd needs no account; requests are anonymous and rate limited by IP.
+   * @see {@link https://is.gd/apishorteningreference.php}
+   */
+  isgd: {
+    id: 'isgd',
+    label: 'is.gd',
+    description: 'No account needed. Links are anonymous and cannot be edited later.',
+    helpUrl: 'https://is.gd/apishorteningreference.php',
+    fields: [],
+    buildRequest: (longUrl) => ({
+      url: `https://is.gd/create.php?format=json&url=${encodeURIComponent(longUrl)}`,
+      init: { method: 'GET' },
+    }),
+    parseResponse: (data) => {
+      // is.gd answers 200 even on failure and reports { errorcode, errormessage }
+      if (!data?.shorturl) {
+        throw new Error(data?.errormessage || 'Invalid response from is.gd API');
+      }
+      return data.shorturl;
+    },
+  },
+
+  /**
+   * Short.io links API. Requires a secret API key and one of the account's domains.
+   * @see {@link https://developers.short.io/reference/linkspost}
+   */
+  shortio: {
+    id: 'shortio',
+    label: 'Short.io',
+    description: 'Use a secret API key and one of the domains connected to your Short.io account.',
+    helpUrl: 'https://app.short.io/settings/integrations/api-key',
+    fields: [
+      { key: 'shortioApiKey', label: 'secret API key' },
+      { key: 'shortioDomain', label: 'domain', placeholder: 'example.short.gy' },
+    ],
+    buildRequest: (longUrl, settings) => ({
+      url: 'https://api.short.io/links',
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          // Short.io expects the raw key, not a Bearer token
+          'Authorization': settings.shortioApiKey,
+        },
+        body: JSON.stringify({ domain: settings.shortioDomain, originalURL: longUrl }),
+      },
+    }),
+    parseResponse: (data) => {
+      if (!data?.shortURL) {
+        throw new Error(data?.error || 'Invalid response from Short.io API');
+      }
+      return data.shortURL;
+    },
+    /**
+     * Lists the account's domains and checks the configured one is among them.
+     * @see {@link https://developers.short.io/reference/getapidomains}
+     */
+    testConnection: async (settings) => {
+      const domains = await fetchProviderJson('https://api.short.io/api/domains', {
+        headers: { 'Authorization': settings.shortioApiKey },
+      });
+
+      const hostnames = (Array.isArray(domains) ? domains : []).map((domain) => domain.hostname);
+      if (!hostnames.includes(settings.shortioDomain)) {
+        throw new Error(`The domain ${settings.shortioDomain} is not connected to this Short.io account.`);
+      }
+      return { account: settings.shortioDomain };
+    },
+  },
+
+  /**
+   * Self-hosted YOURLS instance, authenticated with a signature token.
+   * @see {@link https://yourls.org/docs/guide/advanced/passwordless-api}
+   */
+  yourls: {
+    id: 'yourls',
+    label: 'YOURLS',
+    description: 'Point PocketLink at your own YOURLS install and paste its signature token.',
+    selfHosted: true,
+    fields: [
+      { key: 'yourlsUrl', label: 'YOURLS URL', type: 'url', placeholder: 'https://sho.rt' },
+      { key: 'yourlsSignature', label: 'signature token' },
+    ],
+    buildRequest: (longUrl, settings) => ({
+      url: `${trimBaseUrl(settings.yourlsUrl)}/yourls-api.php`,
+      init: {
+        method: 'POST',
+        body: new URLSearchParams({
+          signature: settings.yourlsSignature,
+          action: 'shorturl',
+          format: 'json',
+          url: longUrl,
+        }),
+      },
+    }),
+    parseResponse: (data) => {
+      // When the URL was already shortened YOURLS reports status "fail" with
+      // code "error:url" but still returns the existing short URL, so prefer
+      // `shorturl` over `status`.
+      if (!data?.shorturl) {
+        throw new Error(data?.message || 'Invalid response from YOURLS API');
+      }
+      return data.shorturl;
+    },
+    /**
+     * Reads the link statistics, which requires a valid signature.
+     * @see {@link https://yourls.org/docs/guide/advanced/api}
+     */
+    testConnection: async (settings) => {
+      const params = new URLSearchParams({ signature: settings.yourlsSignature, action: 'db-stats', format: 'json' });
+      const data = await fetchProviderJson(`${trimBaseUrl(settings.yourlsUrl)}/yourls-api.php?${params}`);
+      const total = Number(data['db-stats']?.total_links) || 0;
+      return { account: `${new URL(settings.yourlsUrl).host} (${total.toLocaleString()} links)` };
+    },
+  },
+
+  /**
+   * Self-hosted Shlink instance using REST API v3.
+   * @see {@link https://api-spec.shlink.io/}
+   */
+  shlink: {
+    id: 'shlink',
+    label: 'Shlink',
+    description: 'Point PocketLink at your own Shlink server and paste an API key.',
+    selfHosted: true,
+    fields: [
+      { key: 'shlinkUrl', label: 'Shlink URL', type: 'url', placeholder: 'https://s.example.com' },
+      { key: 'shlinkApiKey', label: 'API key' },
+    ],
+    buildRequest: (longUrl, settings) => ({
+      url: `${trimBaseUrl(settings.shlinkUrl)}/rest/v3/short-urls`,
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Api-Key': settings.shlinkApiKey,
+        },
+        // findIfExists returns the existing short URL instead of a duplicate
+        body: JSON.stringify({ longUrl, findIfExists: true }),
+      },
+    }),
+    parseResponse: (data) => {
+      if (!data?.shortUrl) {
+        throw new Error(data?.detail || 'Invalid response from Shlink API');
+      }
+      return data.shortUrl;
+    },
+    /**
+     * Lists a single short URL, which requires a valid API key.
+     * @see {@link https://api-spec.shlink.io/#/Short%20URLs/listShortUrls}
+     */
+    testConnection: async (settings) => {
+      const data = await fetchProviderJson(`${trimBaseUrl(settings.shlinkUrl)}/rest/v3/short-urls?itemsPerPage=1`, {
+        headers: { 'X-Api-Key': settings.shlinkApiKey },
+      });
+      const total = Number(data.shortUrls?.pagination?.totalItems) || 0;
+      return { account: `${new URL(settings.shlinkUrl).host} (${total.toLocaleString()} links)` };
+    },
+  },
+};
+
+/**
+ * Looks up a provider by id, falling back to the default provider for
+ * unknown or missing ids (e.g. settings saved by a newer version).
+ *
+ * @param {string} [id] - Provider id from settings
+ * @returns {ShortenerProvider}
+ */
+export const getProvider = (id) => SHORTENER_PROVIDERS[id] || SHORTENER_PROVIDERS[DEFAULT_PROVIDER];
+
+/**
+ * Builds the chrome.storage.sync defaults for the provider setting and every
+ * provider's credential fields, for use with `chrome.storage.sync.get()`.
+ *
+ * @returns {Object<string, string>} e.g. `{ provider: 'bitly', bitlyToken: '', ... }`
+ *
+ * @example
+ * const settings = await chrome.storage.sync.get({
+ *   ...getProviderDefaults(),
+ *   showNotifications: true
+ * });
+ */
+export const getProviderDefaults = () => {
+  const defaults = { provider: DEFAULT_PROVIDER };
+  Object.values(SHORTENER_PROVIDERS).forEach((provider) => {
+    provider.fields.forEach((field) => {
+      defaults[field.key] = '';
+    });
+  });
+  return defaults;
+};
+
+/**
+ * Returns the required credential fields that have not been filled in.
+ *
+ * @param {ShortenerProvider} provider - The provider to check
+ * @param {Object} settings - Saved settings
+ * @returns {Array<ProviderField>} Empty when the provider is fully configured
+ */
+export const getMissingCredentials = (provider, settings) => {
+  return provider.fields.filter((field) => !field.optional && !settings[field.key]?.trim());
+};
+
+/**
+ * Returns the origin pattern a self-hosted provider needs host access to,
+ * or `null` for providers on fixed hosts or when no URL is configured yet.
+ *
+ * @param {ShortenerProvider} provider - The provider to check
+ * @param {Object} settings - Saved settings
+ * @returns {string|null} e.g. "https://sho.rt/*"
+ */
+export const getProviderOrigin = (provider, settings) => {
+  if (!provider.selfHosted) {
+    return null;
+  }
+
+  const urlField = provider.fields.find((field) => field.type === 'url');
+  try {
+    return `${new URL(settings[urlField.key]).origin}/*`;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * chrome.storage.local key holding the last connection test result per
+ * provider, so the options page badge and the toolbar popup can show it.
+ *
+ * @type {string}
+ */
+export const CONNECTION_STORAGE_KEY = 'connectionStatus';
+
+/**
+ * Hashes a provider's required credentials so a stored test result can be
+ * matched to the credentials it was made with, without storing them twice.
+ *
+ * @param {ShortenerProvider} provider - The provider
+ * @param {Object} values - Credential values keyed by storage key
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export const credentialFingerprint = async (provider, values) => {
+  const credentials = provider.fields
+    .filter((field) => !field.optional)
+    .map((field) => (values[field.key] || '').trim());
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(credentials)));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Returns the stored test result if it was made with the given credentials.
+ *
+ * @param {ShortenerProvider} provider - The provider
+ * @param {Object} values - Credential values keyed by storage key
+ * @returns {Promise<Object|null>}
+ */
+export const getStoredConnectionStatus = async (provider, values) => {
+  const { [CONNECTION_STORAGE_KEY]: statuses = {} } = await chrome.storage.local.get(CONNECTION_STORAGE_KEY);
+  const status = statuses[provider.id];
+  if (!status || status.fingerprint !== await credentialFingerprint(provider, values)) {
+    return null;
+  }
+  return status;
+};
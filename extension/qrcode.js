@@ -0,0 +1,552 @@
+/**
+ * @fileoverview PocketLink QR Code Generator
+ *
+ * A small, dependency-free QR code encoder (ISO/IEC 18004, model 2) so QR
+ * codes for shortlinks are generated entirely on the user's machine. No
+ * external service or remotely hosted library is involved, which keeps the
+ * extension within Chrome Web Store policy.
+ *
+ * Only byte mode is implemented: short URLs are tiny, so the denser numeric
+ * and alphanumeric modes would not meaningfully shrink the code.
+ *
+ * The encoding steps follow the reference implementation by Project Nayuki
+ * (MIT License): https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * This module is imported by popup.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} QrCode
+ * @property {number} size - Width and height in modules (21 to 177)
+ * @property {number} version - QR version (1 to 40)
+ * @property {Array<Array<boolean>>} modules - `modules[y][x]` is true for dark modules
+ */
+
+/**
+ * Error correction levels: the share of the code that can be damaged and
+ * still be read back. `formatBits` is the level's 2-bit code in the format
+ * information; `index` selects the row in the tables below.
+ *
+ * @type {Object<string, {index: number, formatBits: number}>}
+ */
+const QR_ERROR_CORRECTION = {
+  L: { index: 0, formatBits: 1 }, // ~7%
+  M: { index: 1, formatBits: 0 }, // ~15%
+  Q: { index: 2, formatBits: 3 }, // ~25%
+  H: { index: 3, formatBits: 2 }, // ~30%
+};
+
+/**
+ * Error correction codewords per block, by level then version (index 0 unused).
+ *
+ * @type {Array<Array<number>>}
+ * @private
+ */
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+/**
+ * Number of error correction blocks, by level then version (index 0 unused).
+ *
+ * @type {Array<Array<number>>}
+ * @private
+ */
+const QR_NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+/**
+ * Returns bit `i` of `x`.
+ *
+ * @param {number} x - Value
+ * @param {number} i - Bit index, 0 = least significant
+ * @returns {boolean}
+ * @private
+ */
+const qrGetBit = (x, i) => ((x >>> i) & 1) !== 0;
+
+/**
+ * Number of modules available for data and error correction in a version,
+ * i.e. everything not taken by function patterns.
+ *
+ * @param {number} version - QR version
+ * @returns {number}
+ * @private
+ */
+const qrRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+/**
+ * Number of 8-bit data codewords (excluding error correction) in a version at a level.
+ *
+ * @param {number} version - QR version
+ * @param {number} ecl - Error correction level index
+ * @returns {number}
+ * @private
+ */
+const qrDataCodewords = (version, ecl) => {
+  return Math.floor(qrRawDataModules(version) / 8)
+    - QR_ECC_CODEWORDS_PER_BLOCK[ecl][version] * QR_NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+};
+
+/**
+ * Multiplies two elements of GF(2^8) modulo the QR polynomial 0x11D.
+ *
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number}
+ * @private
+ */
+const qrGfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Computes the Reed-Solomon generator polynomial of the given degree.
+ *
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>} Coefficients, highest power first, leading 1 omitted
+ * @private
+ */
+const qrReedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = qrGfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = qrGfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Computes the Reed-Solomon error correction codewords for a data block.
+ *
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - From `qrReedSolomonDivisor()`
+ * @returns {Array<number>}
+ * @private
+ */
+const qrReedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= qrGfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/**
+ * Encodes text into the final sequence of codewords for a version: mode and
+ * length header, data, terminator and padding, then split into blocks with
+ * error correction appended and interleaved.
+ *
+ * @param {Array<number>} bytes - UTF-8 encoded text
+ * @param {number} version - QR version
+ * @param {number} ecl - Error correction level index
+ * @returns {Array<number>}
+ * @private
+ */
+const qrBuildCodewords = (bytes, version, ecl) => {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  // Byte mode indicator and character count
+  appendBits(0x4, 4);
+  appendBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((byte) => appendBits(byte, 8));
+
+  // Terminator, byte alignment, then alternating pad bytes
+  const capacityBits = qrDataCodewords(version, ecl) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  // Split into blocks; the last blocks are one data codeword longer
+  const numBlocks = QR_NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+  const blockEccLength = QR_ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = qrReedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = qrReedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0); // Placeholder so every block has the same length; skipped below
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Returns the centre coordinates of the alignment patterns for a version.
+ *
+ * @param {number} version - QR version
+ * @returns {Array<number>}
+ * @private
+ */
+const qrAlignmentPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+};
+
+/**
+ * Tests whether mask pattern `mask` inverts the module at (x, y).
+ *
+ * @param {number} mask - Mask pattern 0-7
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean}
+ * @private
+ */
+const qrMaskApplies = (mask, x, y) => {
+  switch (mask) {
+    case 0: return (x + y) % 2 === 0;
+    case 1: return y % 2 === 0;
+    case 2: return x % 3 === 0;
+    case 3: return (x + y) % 3 === 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+};
+
+/**
+ * Scores a finished symbol with the four penalty rules from the standard;
+ * lower is easier for scanners to read.
+ *
+ * @param {Array<Array<boolean>>} modules - The symbol
+ * @returns {number}
+ * @private
+ */
+const qrPenaltyScore = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  // Rule 1 (runs of 5+ same-colour modules) and rule 3 (finder-like
+  // 1:1:3:1:1 patterns with 4 light modules on one side), rows and columns
+  const finderLike = ['10111010000', '00001011101'];
+  for (let i = 0; i < size; i++) {
+    const row = modules[i].map(Number).join('');
+    const column = modules.map((line) => Number(line[i])).join('');
+    [row, column].forEach((line) => {
+      (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => {
+        penalty += 3 + (run.length - 5);
+      });
+      finderLike.forEach((pattern) => {
+        for (let at = line.indexOf(pattern); at !== -1; at = line.indexOf(pattern, at + 1)) {
+          penalty += 40;
+        }
+      });
+    });
+  }
+
+  // Rule 2: 2x2 blocks of one colour
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) {
+        dark++;
+      }
+      if (x < size - 1 && y < size - 1) {
+        const colour = modules[y][x];
+        if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  // Rule 4: distance of the dark share from 50%, in 5% steps
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+/**
+ * Encodes text as a QR code, picking the smallest version that fits and the
+ * mask pattern with the lowest penalty.
+ *
+ * @param {string} text - Text to encode (UTF-8)
+ * @param {('L'|'M'|'Q'|'H')} [level='M'] - Error correction level
+ * @returns {QrCode}
+ * @throws {Error} If the text is too long for a version 40 symbol
+ *
+ * @example
+ * const qr = createQrCode('https://bit.ly/abc123', 'M');
+ * console.log(qr.size); // 25
+ */
+export const createQrCode = (text, level = 'M') => {
+  const { index: ecl, formatBits } = QR_ERROR_CORRECTION[level] || QR_ERROR_CORRECTION.M;
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const neededBits = 4 + (version <= 9 ? 8 : 16) + bytes.length * 8;
+    if (neededBits <= qrDataCodewords(version, ecl) * 8) {
+      break;
+    }
+  }
+  if (version > 40) {
+    throw new Error('Text is too long to fit in a QR code.');
+  }
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns (with separators) in three corners
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap the finders
+  const alignment = qrAlignmentPositions(version);
+  alignment.forEach((cy, i) => {
+    alignment.forEach((cx, j) => {
+      const last = alignment.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Format information (BCH-protected level and mask), drawn twice
+  const drawFormatBits = (mask) => {
+    const data = (formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) {
+      setFunction(8, i, qrGetBit(bits, i));
+    }
+    setFunction(8, 7, qrGetBit(bits, 6));
+    setFunction(8, 8, qrGetBit(bits, 7));
+    setFunction(7, 8, qrGetBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      setFunction(14 - i, 8, qrGetBit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      setFunction(size - 1 - i, 8, qrGetBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      setFunction(8, size - 15 + i, qrGetBit(bits, i));
+    }
+    setFunction(8, size - 8, true); // Always-dark module
+  };
+  drawFormatBits(0); // Reserve the area; redrawn once the mask is chosen
+
+  // Version information for versions 7 and up
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, qrGetBit(bits, i));
+      setFunction(b, a, qrGetBit(bits, i));
+    }
+  }
+
+  // Place codewords in the zigzag order, skipping function modules
+  const codewords = qrBuildCodewords(bytes, version, ecl);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // Skip the vertical timing pattern column
+    }
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = qrGetBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // Try every mask and keep the one with the lowest penalty. Applying a mask
+  // twice undoes it, which is how each attempt is rolled back.
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && qrMaskApplies(mask, x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = qrPenaltyScore(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return { size, version, modules };
+};
+
+/**
+ * Renders a QR code as a standalone SVG document.
+ *
+ * @param {QrCode} qr - The code to render
+ * @param {number} [border=4] - Quiet zone width in modules (the standard asks for 4)
+ * @returns {string} SVG markup
+ */
+export const qrToSvg = (qr, border = 4) => {
+  const dimension = qr.size + border * 2;
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) {
+        path.push(`M${x + border},${y + border}h1v1h-1z`);
+      }
+    });
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`,
+    '<rect width="100%" height="100%" fill="#FFFFFF"/>',
+    `<path d="${path.join('')}" fill="#000000"/>`,
+    '</svg>',
+  ].join('\n');
+};
+
+/**
+ * Draws a QR code onto a canvas, resizing the canvas to fit.
+ *
+ * @param {QrCode} qr - The code to draw
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} pixels - Approximate output width in pixels
+ * @param {number} [border=4] - Quiet zone width in modules
+ */
+export const drawQrToCanvas = (qr, canvas, pixels, border = 4) => {
+  const dimension = qr.size + border * 2;
+  // Whole pixels per module keep edges sharp for scanners
+  const scale = Math.max(1, Math.floor(pixels / dimension));
+  canvas.width = dimension * scale;
+  canvas.height = dimension * scale;
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#FFFFFF';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#000000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) {
+        context.fillRect((x + border) * scale, (y + border) * scale, scale, scale);
+      }
+    });
+  });
+};
@@ -0,0 +1,431 @@
+/**
+ * @fileoverview PocketLink Settings Schema
+ *
+ * The one list of PocketLink's synced settings and their defaults, and the
+ * code that keeps stored settings in shape:
+ *
+ * - **Migrations** - `chrome.storage.sync` carries a `settingsVersion`. When
+ *   the extension is installed or updated, `migrateSettings()` runs every
+ *   migration newer than the stored version, in order. Imported files are
+ *   migrated the same way.
+ * - **Import and export** - the options page saves the settings to a JSON
+ *   file and reads them back, optionally with the credentials.
+ * - **Managed policy** - administrators can set any setting listed in
+ *   managed_schema.json through Chrome's enterprise policies. A policy value
+ *   replaces the default; settings named in `lockedSettings` always use the
+ *   policy value (or the default) and can't be changed on the options page.
+ *
+ * Settings are read with `getSettings()` rather than `chrome.storage.sync.get()`
+ * so every page sees the same defaults, the policy and the credentials from
+ * credential-store.js.
+ *
+ * Pages other than the options page save the settings they change with
+ * `saveSettings()`, which checks them the way an import is checked.
+ *
+ * This module is imported by background.js, shortener.js, options.js and
+ * popup.js. It collects the defaults of providers.js, credential-store.js,
+ * profiles.js, shortlink-cache.js and copy-formats.js, and the UTM
+ * parameters of utm-templates.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getProviderDefaults, SHORTENER_PROVIDERS } from './providers.js';
+import {
+  getCredentialKeys,
+  getCredentialStorageMode,
+  getStoredSettings,
+  readCredentials,
+  writeCredentials,
+} from './credential-store.js';
+import { getProfileDefaults } from './profiles.js';
+import { DEFAULT_CACHE_TTL_DAYS } from './shortlink-cache.js';
+import { COPY_FORMATS, DEFAULT_COPY_FORMAT, DEFAULT_COPY_TEMPLATE } from './copy-formats.js';
+import { UTM_PARAMETERS } from './utm-templates.js';
+
+/**
+ * @typedef {Object} SettingsMigration
+ * @property {number} version - Settings version the migration produces
+ * @property {string} description - What the migration changes
+ * @property {function(Object): Object} migrate - Returns the migrated
+ *   settings; must not modify its argument
+ */
+
+/**
+ * @typedef {Object} SettingItemShape
+ * @property {Array<string>} required - Properties that must be non-empty strings
+ * @property {Array<string>} [optional] - Properties that, if present, must be strings
+ * @property {Object<string, Array<string>>} [choices] - Allowed values of
+ *   properties that take one of a fixed set
+ */
+
+/**
+ * @typedef {Object} ManagedPolicy
+ * @property {Object} values - Valid settings set by policy
+ * @property {Array<string>} locked - Settings the user can't change
+ */
+
+/**
+ * @typedef {Object} SettingsExport
+ * @property {string} format - Always `SETTINGS_EXPORT_FORMAT`
+ * @property {number} version - Settings version of the file
+ * @property {string} exportedAt - ISO 8601 time of the export
+ * @property {Object} settings - The settings, without credentials
+ * @property {Object} [credentials] - Credentials, when the user chose to include them
+ */
+
+/**
+ * Current settings version. Add a migration to `SETTINGS_MIGRATIONS` and bump
+ * this whenever stored settings need rewriting.
+ *
+ * @type {number}
+ */
+const SETTINGS_VERSION = 1;
+
+/**
+ * chrome.storage.sync key holding the version the stored settings are at.
+ *
+ * @type {string}
+ */
+const SETTINGS_VERSION_KEY = 'settingsVersion';
+
+/**
+ * Marks a JSON file as a PocketLink settings export.
+ *
+ * @type {string}
+ */
+const SETTINGS_EXPORT_FORMAT = 'pocketlink-settings';
+
+/**
+ * Migrations, oldest first. Settings without a version are at version 0,
+ * which covers installs from before the version was recorded, back to the
+ * first release: a Bit.ly token, `interactionMode`, `showNotifications` and
+ * `fallbackMode`, all kept flat in chrome.storage.sync.
+ *
+ * @type {Array<SettingsMigration>}
+ */
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Keep Bit.ly as the service of installs from before services could be chosen, '
+      + 'and trim the spaces the first options page saved around the token',
+    migrate: (settings) => {
+      if (typeof settings.bitlyToken !== 'string' || !settings.bitlyToken.trim()) {
+        return settings;
+      }
+      // Without a stored provider, a policy default could switch the service
+      return { provider: 'bitly', ...settings, bitlyToken: settings.bitlyToken.trim() };
+    },
+  },
+];
+
+/**
+ * Returns every synced setting with its default value, including the
+ * credential fields (see credential-store.js).
+ *
+ * @returns {Object}
+ */
+const getSettingsDefaults = () => ({
+  ...getProviderDefaults(),
+  ...getProfileDefaults(),
+  interactionMode: 'injection',
+  showNotifications: true,
+  fallbackMode: true,
+  cacheEnabled: true,
+  cacheTtlDays: DEFAULT_CACHE_TTL_DAYS,
+  utmTemplates: [],
+  shortcutUtmTemplateId: '',
+  copyFormat: DEFAULT_COPY_FORMAT,
+  copyTemplate: DEFAULT_COPY_TEMPLATE,
+  cleanUrls: true,
+  cleanUrlRules: '',
+  preferCanonical: false,
+  qrSize: 256,
+  qrErrorCorrection: 'M',
+});
+
+/**
+ * Allowed values of the settings that take one of a fixed set.
+ *
+ * @returns {Object<string, Array>}
+ */
+const getSettingChoices = () => ({
+  provider: Object.keys(SHORTENER_PROVIDERS),
+  interactionMode: ['offscreen', 'injection', 'popup'],
+  copyFormat: COPY_FORMATS.map((format) => format.id),
+  qrErrorCorrection: ['L', 'M', 'Q', 'H'],
+  qrSize: [128, 256, 512, 1024],
+});
+
+/**
+ * Allowed ranges of the whole-number settings that don't take a fixed set.
+ *
+ * @returns {Object<string, {min: number, max: number}>}
+ */
+const getSettingRanges = () => ({
+  cacheTtlDays: { min: 1, max: 365 },
+});
+
+/**
+ * What each entry of the list settings must look like.
+ *
+ * @returns {Object<string, SettingItemShape>}
+ */
+const getSettingItemShapes = () => ({
+  utmTemplates: { required: ['id', 'name'], optional: UTM_PARAMETERS },
+  profiles: {
+    required: ['id', 'name', 'provider'],
+    optional: ['utmTemplateId', 'copyFormat'],
+    choices: { provider: Object.keys(SHORTENER_PROVIDERS) },
+  },
+  profileRules: { required: ['hostname', 'profileId'] },
+});
+
+/**
+ * Checks one entry of a list setting against its shape.
+ *
+ * @param {*} item - The entry
+ * @param {SettingItemShape} shape - What it must look like
+ * @returns {boolean}
+ */
+const isValidSettingItem = (item, { required, optional = [], choices = {} }) => {
+  return typeof item === 'object' && item !== null && !Array.isArray(item)
+    && required.every((key) => typeof item[key] === 'string' && item[key] !== '')
+    && optional.every((key) => item[key] === undefined || typeof item[key] === 'string')
+    && Object.entries(choices).every(([key, allowed]) => allowed.includes(item[key]));
+};
+
+/**
+ * Keeps the settings PocketLink knows, with a value of the right type (and
+ * one of the allowed values, where there is a fixed set, or a whole number
+ * in range, where there is a range). A list with an entry of the wrong shape
+ * is dropped as a whole.
+ *
+ * @param {Object} values - Settings from a file or a policy
+ * @returns {{settings: Object, rejected: Array<string>}} The valid settings,
+ *   and the names of those that were dropped
+ */
+const normalizeSettings = (values) => {
+  const defaults = getSettingsDefaults();
+  const choices = getSettingChoices();
+  const ranges = getSettingRanges();
+  const shapes = getSettingItemShapes();
+  const settings = {};
+  const rejected = [];
+
+  Object.entries(values).forEach(([key, value]) => {
+    const fallback = defaults[key];
+    const valid = key in defaults
+      && (Array.isArray(fallback)
+        ? Array.isArray(value)
+        : typeof value === typeof fallback && value !== null && !Array.isArray(value))
+      && (typeof value !== 'number' || Number.isFinite(value))
+      && (!choices[key] || choices[key].includes(value))
+      && (!ranges[key] || (Number.isInteger(value) && value >= ranges[key].min && value <= ranges[key].max))
+      && (!shapes[key] || value.every((item) => isValidSettingItem(item, shapes[key])));
+
+    if (valid) {
+      settings[key] = value;
+    } else {
+      rejected.push(key);
+    }
+  });
+
+  return { settings, rejected };
+};
+
+/**
+ * Runs the migrations newer than a settings version.
+ *
+ * @param {Object} settings - Settings at `fromVersion`
+ * @param {number} fromVersion - Version the settings are at
+ * @returns {Object} Settings at `SETTINGS_VERSION`
+ */
+const applySettingsMigrations = (settings, fromVersion) => {
+  return SETTINGS_MIGRATIONS
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((migrated, migration) => migration.migrate(migrated), settings);
+};
+
+/**
+ * Brings the settings in chrome.storage.sync up to `SETTINGS_VERSION`. Run
+ * when the extension is installed or updated.
+ *
+ * @async
+ * @returns {Promise<number>} The version the settings were at before
+ */
+export const migrateSettings = async () => {
+  const { [SETTINGS_VERSION_KEY]: fromVersion = 0, ...stored } = await chrome.storage.sync.get(null);
+  if (fromVersion >= SETTINGS_VERSION) {
+    return fromVersion;
+  }
+
+  const migrated = applySettingsMigrations(stored, fromVersion);
+  const removed = Object.keys(stored).filter((key) => !(key in migrated));
+  if (removed.length) {
+    await chrome.storage.sync.remove(removed);
+  }
+  await chrome.storage.sync.set({ ...migrated, [SETTINGS_VERSION_KEY]: SETTINGS_VERSION });
+
+  console.log(`PocketLink settings migrated from version ${fromVersion} to ${SETTINGS_VERSION}.`);
+  return fromVersion;
+};
+
+/**
+ * Reads the settings set by enterprise policy. Browsers without managed
+ * storage, and machines without a policy, have none.
+ *
+ * @async
+ * @returns {Promise<ManagedPolicy>}
+ */
+const getManagedPolicy = async () => {
+  let policy = {};
+  try {
+    policy = await chrome.storage.managed.get(null);
+  } catch (error) {
+    console.warn('Managed settings are not available:', error);
+  }
+
+  const { lockedSettings = [], ...values } = policy;
+  const { settings, rejected } = normalizeSettings(values);
+  if (rejected.length) {
+    console.warn(`Ignoring invalid managed settings: ${rejected.join(', ')}`);
+  }
+
+  const defaults = getSettingsDefaults();
+  return {
+    values: settings,
+    locked: Array.isArray(lockedSettings) ? lockedSettings.filter((key) => key in defaults) : [],
+  };
+};
+
+/**
+ * Loads every setting: the user's, with the policy's values in place of the
+ * defaults and locked settings forced to theirs.
+ *
+ * @async
+ * @returns {Promise<Object>} The settings, plus `credentialsLocked` (see
+ *   `getStoredSettings()`) and `lockedSettings`, the names of settings the
+ *   policy locks
+ *
+ * @example
+ * const settings = await getSettings();
+ * if (settings.showNotifications) {
+ *   showNotification('Shortlink copied!');
+ * }
+ */
+export const getSettings = async () => {
+  const defaults = getSettingsDefaults();
+  const policy = await getManagedPolicy();
+  const settings = await getStoredSettings({ ...defaults, ...policy.values });
+
+  policy.locked.forEach((key) => {
+    settings[key] = key in policy.values ? policy.values[key] : defaults[key];
+  });
+  return { ...settings, lockedSettings: policy.locked };
+};
+
+/**
+ * Saves settings changed outside the options page, such as the popup's
+ * profile switcher and QR code choices. Invalid settings, credentials and
+ * settings the policy locks are skipped.
+ *
+ * @async
+ * @param {Object} values - Settings to save
+ * @returns {Promise<Array<string>>} Names of the settings saved
+ *
+ * @example
+ * await saveSettings({ qrSize: 512 });
+ */
+export const saveSettings = async (values) => {
+  const { settings } = normalizeSettings(values);
+  const { locked } = await getManagedPolicy();
+  const credentialKeys = getCredentialKeys();
+
+  const allowed = Object.keys(settings).filter((key) => !locked.includes(key) && !credentialKeys.includes(key));
+  if (allowed.length) {
+    await chrome.storage.sync.set(Object.fromEntries(allowed.map((key) => [key, settings[key]])));
+  }
+  return allowed;
+};
+
+/**
+ * Builds an export of the user's settings (without the policy applied).
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCredentials=false] - Include tokens and
+ *   other credentials, unencrypted
+ * @returns {Promise<SettingsExport>}
+ * @throws {Error} If credentials are included but are locked
+ */
+export const exportSettings = async ({ includeCredentials = false } = {}) => {
+  const { credentialsLocked, ...stored } = await getStoredSettings(getSettingsDefaults());
+  const credentialKeys = getCredentialKeys();
+
+  const data = {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: Object.fromEntries(Object.entries(stored).filter(([key]) => !credentialKeys.includes(key))),
+  };
+
+  if (includeCredentials) {
+    if (credentialsLocked) {
+      throw new Error('Unlock your credentials to export them.');
+    }
+    data.credentials = Object.fromEntries(Object.entries(stored).filter(([key]) => credentialKeys.includes(key)));
+  }
+  return data;
+};
+
+/**
+ * Saves the settings from an export, after migrating them to the current
+ * version. Unknown or invalid settings, and those the policy locks, are
+ * skipped. Credentials in the file replace the stored ones for the same
+ * keys and are kept wherever credentials are stored now.
+ *
+ * @async
+ * @param {SettingsExport} data - Parsed contents of the file
+ * @returns {Promise<{imported: Array<string>, skipped: Array<string>}>}
+ *   Names of the settings saved and skipped
+ * @throws {Error} If the file is not a settings export, comes from a newer
+ *   version, or has credentials while they are locked
+ */
+export const importSettings = async (data) => {
+  if (data?.format !== SETTINGS_EXPORT_FORMAT || typeof data.settings !== 'object' || data.settings === null) {
+    throw new Error('This file is not a PocketLink settings export.');
+  }
+  if (data.version > SETTINGS_VERSION) {
+    throw new Error('These settings are from a newer version of PocketLink. Update PocketLink and try again.');
+  }
+
+  const migrated = applySettingsMigrations({ ...data.settings, ...data.credentials }, Number(data.version) || 0);
+  const { settings, rejected } = normalizeSettings(migrated);
+  const { locked } = await getManagedPolicy();
+  const credentialKeys = getCredentialKeys();
+
+  const allowed = Object.keys(settings).filter((key) => !locked.includes(key));
+  const credentials = allowed.filter((key) => credentialKeys.includes(key));
+  const others = allowed.filter((key) => !credentialKeys.includes(key));
+
+  if (credentials.length) {
+    const { values, locked: credentialsLocked } = await readCredentials();
+    if (credentialsLocked) {
+      throw new Error('Unlock your credentials before importing a file that contains them.');
+    }
+    const imported = Object.fromEntries(credentials.map((key) => [key, settings[key]]));
+    await writeCredentials({ ...values, ...imported }, await getCredentialStorageMode());
+  }
+
+  await chrome.storage.sync.set({
+    ...Object.fromEntries(others.map((key) => [key, settings[key]])),
+    [SETTINGS_VERSION_KEY]: SETTINGS_VERSION,
+  });
+
+  return {
+    imported: allowed,
+    skipped: [...rejected, ...Object.keys(settings).filter((key) => locked.includes(key))],
+  };
+};
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview PocketLink Shortener
+ *
+ * Turns a long URL into a shortlink with the user's settings:
+ *
+ * 1. `getShortenSettings()` loads the settings and applies the profile for
+ *    the page (see profiles.js)
+ * 2. `prepareLongUrl()` swaps in the canonical URL and strips tracking
+ *    parameters (see url-cleaner.js)
+ * 3. `getOrCreateShortlink()` reuses a cached shortlink (see
+ *    shortlink-cache.js) or asks the provider for one with `createShortlink()`
+ * 4. `recordShortlink()` adds the link to the history (see
+ *    shortlink-history.js)
+ *
+ * Copying the result is left to clipboard.js. Nothing here registers
+ * listeners, so the module can be imported by tests as well as by
+ * background.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getMissingCredentials, getProvider } from './providers.js';
+import { resolveProfileSettings } from './profiles.js';
+import { addHistoryEntry, addSessionLink } from './shortlink-history.js';
+import { cacheShortlink, getCachedShortlink } from './shortlink-cache.js';
+import { cleanUrl, parseCleaningRules } from './url-cleaner.js';
+import { assertShortenableUrl, classifyShortlinkError } from './shortlink-errors.js';
+import { parseRetryAfter, withRetry } from './shortlink-queue.js';
+import { getSettings } from './settings-schema.js';
+
+/**
+ * Loads the settings used to shorten and copy a link (see
+ * settings-schema.js) and applies the profile for the page (see profiles.js).
+ *
+ * @async
+ * @param {string} [pageUrl] - The page the link is created from; without
+ *   one only the active profile applies
+ * @returns {Promise<PocketLinkSettings>}
+ */
+export async function getShortenSettings(pageUrl) {
+  return resolveProfileSettings(await getSettings(), pageUrl);
+}
+
+/**
+ * Reads the `<link rel="canonical">` URL from a tab.
+ *
+ * Uses the same `chrome.scripting` injection as `copyToClipboard()` in
+ * clipboard.js, so it only works where the extension may run scripts (the
+ * context menu click grants activeTab). Only absolute http(s) URLs are
+ * accepted.
+ *
+ * @async
+ * @param {number} tabId - The tab to read from
+ * @returns {Promise<string|null>} The canonical URL, or `null` if the page has
+ *   none or the script could not run
+ */
+async function getCanonicalUrl(tabId) {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      // The `href` property resolves relative canonical links against the page
+      func: () => document.querySelector('link[rel~="canonical" i]')?.href || null,
+    });
+
+    const canonical = result?.result;
+    return canonical && /^https?:\/\//i.test(canonical) ? canonical : null;
+  } catch (error) {
+    console.warn('Could not read canonical URL:', error);
+    return null;
+  }
+}
+
+/**
+ * Applies the URL-cleaning stage to a long URL before it is shortened.
+ *
+ * 1. If `preferCanonical` is on and the URL is the tab's own page, swap in
+ *    the page's canonical URL (the canonical link says nothing about other
+ *    URLs, such as a link on the page)
+ * 2. If `cleanUrls` is on, strip built-in and custom tracking parameters
+ *
+ * @async
+ * @param {string} longUrl - The URL about to be shortened
+ * @param {chrome.tabs.Tab} [tab] - The tab the request came from
+ * @param {PocketLinkSettings} settings - User settings
+ * @returns {Promise<string>} The URL to shorten
+ */
+export async function prepareLongUrl(longUrl, tab, settings) {
+  let url = longUrl;
+
+  if (settings.preferCanonical && tab?.id !== undefined && tab.url === longUrl) {
+    url = (await getCanonicalUrl(tab.id)) || url;
+  }
+
+  if (settings.cleanUrls) {
+    url = cleanUrl(url, parseCleaningRules(settings.cleanUrlRules));
+  }
+  return url;
+}
+
+/**
+ * Builds the message shown when the selected provider is missing credentials,
+ * or when encrypted credentials have not been unlocked yet.
+ *
+ * @param {PocketLinkSettings} settings - User settings object
+ * @returns {string|null} A prompt naming the first missing field, or `null`
+ *   when the provider is fully configured
+ *
+ * @example
+ * getCredentialsError({ provider: 'bitly', bitlyToken: '' });
+ * // "Please set your Bit.ly access token in the options."
+ */
+export function getCredentialsError(settings) {
+  if (settings.credentialsLocked) {
+    return 'Your credentials are locked. Enter your passphrase in the options to unlock them.';
+  }
+
+  const provider = getProvider(settings.provider);
+  const [missing] = getMissingCredentials(provider, settings);
+  return missing ? `Please set your ${provider.label} ${missing.label} in the options.` : null;
+}
+
+/**
+ * Creates a shortened URL using the shortening service selected in settings.
+ *
+ * The request and response formats differ per service, so this function only
+ * handles the transport: the provider's `buildRequest()` produces the `fetch()`
+ * arguments and its `parseResponse()` extracts the short URL. See providers.js
+ * for each service's endpoint and payload.
+ *
+ * ## Example: Bit.ly
+ *
+ * ```http
+ * POST https://api-ssl.bitly.com/v4/shorten
+ * Content-Type: application/json
+ * Authorization: Bearer <token>
+ *
+ * { "long_url": "https://example.com/very/long/url" }
+ * ```
+ *
+ * ```json
+ * { "link": "https://bit.ly/abc123", "id": "bit.ly/abc123", ... }
+ * ```
+ *
+ * ## Common Error Codes
+ *
+ * | Status | Meaning | `errorType` |
+ * |--------|---------|-------------|
+ * | 400 | Invalid URL format or already a short link | `unsupported_url` (if about the URL) |
+ * | 401 | Invalid or expired credentials | `auth` |
+ * | 403 | Account suspended or token lacks access | `auth` |
+ * | 429 | Rate limit exceeded | `rate_limit` |
+ * | 5xx | Provider server error | `outage` |
+ *
+ * Every error thrown here is classified (see shortlink-errors.js), so callers
+ * can show a specific message. Non-http(s) URLs are refused before any
+ * request is made.
+ *
+ * Rate limiting and outages are retried a few times with exponential backoff,
+ * honouring the service's `Retry-After` header (see `withRetry()` in
+ * shortlink-queue.js). Requests that still fail can then be queued by the
+ * caller.
+ *
+ * @async
+ * @param {string} url - The long URL to shorten
+ * @param {PocketLinkSettings} settings - User settings holding the provider id
+ *   and its credentials
+ * @returns {Promise<string>} The shortened URL (e.g., "https://bit.ly/abc123")
+ * @throws {Error} With `errorType` (and `status`, plus `retryAfter` in ms if
+ *   sent, when the service answered) if the URL is unsupported, the request
+ *   still fails after retrying or the response is invalid
+ *
+ * @example
+ * const shortUrl = await createShortlink(
+ *   'https://example.com/very/long/url',
+ *   { provider: 'bitly', bitlyToken: 'your_bitly_token' }
+ * );
+ * console.log(shortUrl); // "https://bit.ly/abc123"
+ */
+export async function createShortlink(url, settings) {
+  assertShortenableUrl(url);
+
+  const provider = getProvider(settings.provider);
+  const request = provider.buildRequest(url, settings);
+
+  return withRetry(async () => {
+    try {
+      const response = await fetch(request.url, request.init);
+
+      if (!response.ok) {
+        // Services explain failures in differently named fields
+        const body = await response.json().catch(() => ({}));
+        const reason = body.description || body.message || body.detail || body.errors?.[0];
+        const error = new Error(reason || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.code = body.message || body.type;
+        error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+        throw error;
+      }
+
+      const data = await response.json();
+
+      return provider.parseResponse(data);
+    } catch (error) {
+      throw classifyShortlinkError(error);
+    }
+  });
+}
+
+/**
+ * Returns a shortlink for the URL, reusing a cached one when allowed.
+ *
+ * Sits in front of `createShortlink()` so sharing the same page twice yields
+ * the same short URL without another API call. Cache entries are keyed per
+ * provider and by normalized URL (see shortlink-cache.js). Cache read/write
+ * failures are logged and treated as a miss so they never block shortening.
+ *
+ * @async
+ * @param {string} url - The long URL to shorten
+ * @param {PocketLinkSettings} settings - User settings (provider, credentials
+ *   and cache preferences)
+ * @returns {Promise<string>} The shortened URL
+ * @throws {Error} If a new shortlink is needed and the provider request fails
+ */
+export async function getOrCreateShortlink(url, settings) {
+  if (!settings.cacheEnabled) {
+    return createShortlink(url, settings);
+  }
+
+  try {
+    const cached = await getCachedShortlink(url, settings);
+    if (cached) {
+      console.log('Reusing cached shortlink:', cached);
+      return cached;
+    }
+  } catch (error) {
+    console.warn('Failed to read shortlink cache:', error);
+  }
+
+  const shortUrl = await createShortlink(url, settings);
+
+  try {
+    await cacheShortlink(url, settings, shortUrl);
+  } catch (error) {
+    console.warn('Failed to write shortlink cache:', error);
+  }
+
+  return shortUrl;
+}
+
+/**
+ * Saves a newly created shortlink to the local history and to this session's
+ * links for the toolbar popup (see shortlink-history.js).
+ *
+ * Recording happens before the clipboard step so the link is kept even if
+ * copying fails. A storage failure is logged but never blocks the copy, since
+ * the shortlink itself was created successfully.
+ *
+ * @async
+ * @param {string} longUrl - The URL that was shortened
+ * @param {string} shortUrl - The resulting shortlink
+ * @param {string} [title] - Title of the page the link points to
+ * @param {PocketLinkSettings} settings - User settings (for the provider id)
+ * @returns {Promise<void>}
+ */
+export async function recordShortlink(longUrl, shortUrl, title, settings) {
+  try {
+    const entry = await addHistoryEntry({
+      longUrl,
+      shortUrl,
+      title: title || '',
+      provider: getProvider(settings.provider).id,
+    });
+    await addSessionLink(entry);
+  } catch (error) {
+    console.warn('Failed to record shortlink history:', error);
+  }
+}
+
+/**
+ * Shortens URLs that are ready to go (cleaned, UTM template applied) and
+ * records each one in history.
+ *
+ * URLs are shortened one after another rather than in parallel to stay well
+ * within provider rate limits when a selection contains many links. When
+ * the shortlink cache is on (`cacheEnabled`), links created before a failure
+ * are cached, so repeating the request reuses them; otherwise they are
+ * created again.
+ *
+ * @async
+ * @param {Array<string>} urls - The URLs to shorten
+ * @param {string} [title] - Title to record in history
+ * @param {PocketLinkSettings} settings - User settings
+ * @returns {Promise<Array<CopyLink>>} The links, in the order given
+ * @throws {Error} If any URL cannot be shortened
+ */
+export async function shortenPreparedUrls(urls, title, settings) {
+  const links = [];
+  for (const longUrl of urls) {
+    // Create shortlink via the selected provider, reusing a cached one if possible
+    const shortUrl = await getOrCreateShortlink(longUrl, settings);
+    await recordShortlink(longUrl, shortUrl, title, settings);
+    links.push({ shortUrl, longUrl, title });
+  }
+  return links;
+}
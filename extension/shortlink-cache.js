@@ -0,0 +1,137 @@
+/**
+ * @fileoverview PocketLink Shortlink Cache
+ *
+ * Remembers which short URL each long URL produced so sharing the same page
+ * twice returns the same shortlink instead of calling the provider again.
+ * This keeps repeated shares consistent and saves API quota.
+ *
+ * Entries live in `chrome.storage.local` under the `shortlinkCache` key as an
+ * object keyed by provider id plus the normalized long URL, so switching
+ * providers never returns a link from another service.
+ *
+ * This module is imported by shortener.js and by options.js (for the
+ * "Clear cache" button).
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { getProvider } from './providers.js';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} shortUrl - The shortlink previously created
+ * @property {number} createdAt - When it was cached, in milliseconds since the epoch
+ */
+
+/**
+ * chrome.storage.local key holding the cache object.
+ *
+ * @type {string}
+ */
+const CACHE_STORAGE_KEY = 'shortlinkCache';
+
+/**
+ * Default number of days a cached shortlink is reused for.
+ *
+ * @type {number}
+ */
+export const DEFAULT_CACHE_TTL_DAYS = 30;
+
+/**
+ * Normalizes a URL so trivially different spellings of the same address share
+ * a cache entry.
+ *
+ * The URL parser already lowercases the scheme and host and drops default
+ * ports; on top of that query parameters are sorted. The path and fragment
+ * are kept as-is because servers and single-page apps may treat them
+ * case-sensitively.
+ *
+ * @param {string} url - The long URL
+ * @returns {string} Normalized URL, or the input unchanged if it cannot be parsed
+ *
+ * @example
+ * normalizeUrl('HTTPS://Example.com:443/a?b=2&a=1');
+ * // "https://example.com/a?a=1&b=2"
+ */
+const normalizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.sort();
+    return parsed.href;
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * Builds the cache key for a long URL under the current provider settings.
+ * Providers with a `getCacheScope()` (e.g. Bit.ly's custom domain) add it to
+ * the key so changing the domain produces a fresh link. Links made with a
+ * profile (see profiles.js) are keyed by its id too, so two accounts never
+ * share each other's links.
+ *
+ * @param {string} url - The long URL
+ * @param {Object} settings - Settings holding the `provider` id and, when a
+ *   profile applies, its `profileId`
+ * @returns {string} e.g. "bitly https://example.com/" or
+ *   "bitly/news.example https://example.com/"
+ */
+const getCacheKey = (url, settings) => {
+  const provider = getProvider(settings.provider);
+  const scope = [settings.profileId, provider.getCacheScope?.(settings)].filter(Boolean).join('/');
+  return `${provider.id}${scope ? `/${scope}` : ''} ${normalizeUrl(url)}`;
+};
+
+/**
+ * Returns the cached shortlink for a URL if one exists and has not expired.
+ *
+ * @async
+ * @param {string} url - The long URL
+ * @param {Object} settings - Settings holding `provider` and `cacheTtlDays`
+ * @returns {Promise<string|null>} The cached short URL, or `null` on a miss
+ */
+export const getCachedShortlink = async (url, settings) => {
+  const stored = await chrome.storage.local.get({ [CACHE_STORAGE_KEY]: {} });
+  const entry = stored[CACHE_STORAGE_KEY][getCacheKey(url, settings)];
+  const ttl = (settings.cacheTtlDays ?? DEFAULT_CACHE_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+  if (!entry || Date.now() - entry.createdAt > ttl) {
+    return null;
+  }
+  return entry.shortUrl;
+};
+
+/**
+ * Stores a newly created shortlink and drops any entries that have expired.
+ *
+ * @async
+ * @param {string} url - The long URL
+ * @param {Object} settings - Settings holding `provider` and `cacheTtlDays`
+ * @param {string} shortUrl - The shortlink to remember
+ * @returns {Promise<void>}
+ */
+export const cacheShortlink = async (url, settings, shortUrl) => {
+  const stored = await chrome.storage.local.get({ [CACHE_STORAGE_KEY]: {} });
+  const cache = stored[CACHE_STORAGE_KEY];
+  const ttl = (settings.cacheTtlDays ?? DEFAULT_CACHE_TTL_DAYS) * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  // Prune on write so the cache never outgrows the links still worth reusing
+  Object.keys(cache).forEach((key) => {
+    if (now - cache[key].createdAt > ttl) {
+      delete cache[key];
+    }
+  });
+
+  cache[getCacheKey(url, settings)] = { shortUrl, createdAt: now };
+  await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: cache });
+};
+
+/**
+ * Forgets every cached shortlink.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const clearShortlinkCache = () => chrome.storage.local.remove(CACHE_STORAGE_KEY);
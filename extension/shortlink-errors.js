@@ -0,0 +1,247 @@
+/**
+ * @fileoverview PocketLink Error Classification and Log
+ *
+ * Sorts shortening failures into a few types the user can act on (bad
+ * credentials, rate limiting, an address that cannot be shortened, being
+ * offline, a service outage) and describes each one with a specific message
+ * and the fix to offer. Failures are also kept in a short local log that the
+ * options page displays, so a problem can be diagnosed after the
+ * notification is gone.
+ *
+ * Errors stay plain `Error` objects, as elsewhere in PocketLink: the type is
+ * added as an `errorType` property next to the HTTP `status` that
+ * `bitlyFetch()` and `createShortlink()` already attach.
+ *
+ * This module is imported by background.js and shortener.js, and by
+ * options.js, which shows the log.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} ErrorLogEntry
+ * @property {string} id - Unique id (UUID)
+ * @property {number} time - When the failure happened (ms since epoch)
+ * @property {string} type - One of `SHORTLINK_ERROR_TYPES`
+ * @property {string} message - The underlying error message
+ * @property {number} [status] - HTTP status, if the service answered
+ * @property {string} provider - Provider id in use
+ * @property {string} [url] - The long URL being shortened
+ * @property {string} source - Where the request came from, e.g. "menu" or "popup"
+ */
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {string} title - Short heading, e.g. for a notification title
+ * @property {string} message - What went wrong and what to do about it
+ * @property {Array<('options'|'retry'|'log')>} actions - Fixes to offer, most useful first
+ */
+
+/**
+ * The kinds of failure PocketLink tells apart.
+ *
+ * @type {Object<string, string>}
+ */
+export const SHORTLINK_ERROR_TYPES = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate_limit',
+  UNSUPPORTED_URL: 'unsupported_url',
+  OFFLINE: 'offline',
+  OUTAGE: 'outage',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * chrome.storage.local key holding the error log, newest first.
+ *
+ * @type {string}
+ */
+export const ERROR_LOG_STORAGE_KEY = 'errorLog';
+
+/**
+ * Maximum number of log entries kept; older ones are dropped.
+ *
+ * @type {number}
+ */
+const ERROR_LOG_MAX_ENTRIES = 100;
+
+/**
+ * Creates an error of a known type.
+ *
+ * @param {string} errorType - One of `SHORTLINK_ERROR_TYPES`
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra properties, e.g. `{ status: 429 }`
+ * @returns {Error}
+ */
+export const createShortlinkError = (errorType, message, details = {}) => {
+  return Object.assign(new Error(message), details, { errorType });
+};
+
+/**
+ * Throws an `unsupported_url` error unless the URL is an http(s) address.
+ * Browser pages (chrome://, about:), local files and extension pages cannot
+ * be reached through a shortlink, and services reject them anyway.
+ *
+ * @param {string} url - The URL about to be shortened
+ * @throws {Error} With `errorType` of `unsupported_url`
+ */
+export const assertShortenableUrl = (url) => {
+  let protocol = '';
+  try {
+    protocol = new URL(url).protocol;
+  } catch (error) {
+    // Fall through: unparseable URLs are unsupported too
+  }
+
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw createShortlinkError(
+      SHORTLINK_ERROR_TYPES.UNSUPPORTED_URL,
+      `Cannot shorten ${protocol ? `${protocol}//` : 'this kind of'} address: ${url}`
+    );
+  }
+};
+
+/**
+ * Works out the type of a failure and records it on the error as `errorType`.
+ *
+ * - `fetch()` rejects with a TypeError ("Failed to fetch") when no response
+ *   arrives at all: offline if the browser says so, otherwise the service
+ *   is unreachable
+ * - 401/403 mean the credentials were rejected
+ * - 429 means the service is rate limiting us
+ * - 5xx means the service is having problems
+ * - 400/422 about the URL (Bit.ly's INVALID_ARG_LONG_URL, Shlink's
+ *   INVALID_URL, ...) mean the service will not shorten this address
+ *
+ * @param {Error} error - Any error thrown while shortening
+ * @returns {Error} The same error, with `errorType` set
+ */
+export const classifyShortlinkError = (error) => {
+  if (error.errorType) {
+    return error;
+  }
+
+  const status = error.status;
+  let errorType = SHORTLINK_ERROR_TYPES.UNKNOWN;
+
+  if (error instanceof TypeError && /fetch|network/i.test(error.message)) {
+    errorType = navigator.onLine === false ? SHORTLINK_ERROR_TYPES.OFFLINE : SHORTLINK_ERROR_TYPES.OUTAGE;
+  } else if (status === 401 || status === 403) {
+    errorType = SHORTLINK_ERROR_TYPES.AUTH;
+  } else if (status === 429) {
+    errorType = SHORTLINK_ERROR_TYPES.RATE_LIMIT;
+  } else if (status >= 500) {
+    errorType = SHORTLINK_ERROR_TYPES.OUTAGE;
+  } else if ((status === 400 || status === 422) && /url/i.test(`${error.code || ''} ${error.message}`)) {
+    errorType = SHORTLINK_ERROR_TYPES.UNSUPPORTED_URL;
+  }
+
+  error.errorType = errorType;
+  return error;
+};
+
+/**
+ * Describes a classified error for the user.
+ *
+ * @param {Error} error - Error with `errorType` set by `classifyShortlinkError()`
+ * @param {string} [providerLabel='The shortening service'] - e.g. "Bit.ly"
+ * @returns {ErrorDetails}
+ *
+ * @example
+ * getShortlinkErrorDetails(classifyShortlinkError(error), 'Bit.ly').message;
+ * // "Bit.ly rejected your access token. Check your credentials in the options."
+ */
+export const getShortlinkErrorDetails = (error, providerLabel = 'The shortening service') => {
+  switch (error.errorType) {
+    case SHORTLINK_ERROR_TYPES.AUTH:
+      return {
+        title: 'Check your credentials',
+        message: `${providerLabel} rejected your access token. Check your credentials in the options.`,
+        actions: ['options'],
+      };
+
+    case SHORTLINK_ERROR_TYPES.RATE_LIMIT:
+      return {
+        title: 'Too many requests',
+        message: `${providerLabel} is limiting how fast links can be created. Wait a minute, then try again.`,
+        actions: ['retry'],
+      };
+
+    case SHORTLINK_ERROR_TYPES.UNSUPPORTED_URL:
+      return {
+        title: 'This address cannot be shortened',
+        message: 'Only web pages (http and https addresses) can be shortened. Browser pages, local files and extension pages cannot.',
+        actions: [],
+      };
+
+    case SHORTLINK_ERROR_TYPES.OFFLINE:
+      return {
+        title: "You're offline",
+        message: 'Reconnect to the internet, then try again.',
+        actions: ['retry'],
+      };
+
+    case SHORTLINK_ERROR_TYPES.OUTAGE:
+      return {
+        title: `${providerLabel} is not responding`,
+        message: `${providerLabel} could not be reached or had a problem. Try again in a few minutes.`,
+        actions: ['retry', 'log'],
+      };
+
+    default:
+      return {
+        title: 'Shortlink not created',
+        message: `Error creating shortlink: ${error.message}`,
+        actions: ['retry', 'log'],
+      };
+  }
+};
+
+/**
+ * Returns the error log, newest first.
+ *
+ * @async
+ * @returns {Promise<Array<ErrorLogEntry>>}
+ */
+export const getErrorLog = async () => {
+  const { [ERROR_LOG_STORAGE_KEY]: entries = [] } = await chrome.storage.local.get(ERROR_LOG_STORAGE_KEY);
+  return entries;
+};
+
+/**
+ * Adds a failure to the error log.
+ *
+ * @async
+ * @param {Error} error - Classified error
+ * @param {Object} context - Where the failure happened
+ * @param {string} context.provider - Provider id in use
+ * @param {string} [context.url] - The long URL being shortened
+ * @param {string} context.source - e.g. "menu", "popup", "bulk"
+ * @returns {Promise<void>}
+ */
+export const logShortlinkError = async (error, { provider, url, source }) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    time: Date.now(),
+    type: error.errorType || SHORTLINK_ERROR_TYPES.UNKNOWN,
+    message: error.message,
+    status: error.status,
+    provider,
+    url,
+    source,
+  };
+
+  const entries = await getErrorLog();
+  await chrome.storage.local.set({
+    [ERROR_LOG_STORAGE_KEY]: [entry, ...entries].slice(0, ERROR_LOG_MAX_ENTRIES),
+  });
+};
+
+/**
+ * Removes every entry from the error log.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+export const clearErrorLog = () => chrome.storage.local.remove(ERROR_LOG_STORAGE_KEY);
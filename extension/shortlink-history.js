@@ -0,0 +1,190 @@
+/**
+ * @fileoverview PocketLink Shortlink History Storage
+ *
+ * Keeps a persistent, local-only record of every shortlink PocketLink creates
+ * so links are not lost once they have been copied. Entries live in
+ * `chrome.storage.local` (never synced) under the `shortlinkHistory` key,
+ * newest first. The last few links of the current browser session are also
+ * kept in `chrome.storage.session` for the toolbar popup.
+ *
+ * This module is shared by two contexts:
+ *
+ * - **background.js** and shortener.js import it to record and show new links
+ * - **history.js** imports it to list and delete links
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique id for the entry
+ * @property {string} longUrl - The URL that was shortened
+ * @property {string} shortUrl - The resulting shortlink
+ * @property {string} title - Title of the page the link was created from
+ * @property {string} provider - Id of the shortening service used
+ * @property {number} createdAt - Creation time in milliseconds since the epoch
+ */
+
+/**
+ * chrome.storage.local key holding the history array.
+ *
+ * @type {string}
+ */
+export const HISTORY_STORAGE_KEY = 'shortlinkHistory';
+
+/**
+ * Maximum number of entries kept. Oldest entries are dropped beyond this so
+ * the history cannot grow into the chrome.storage.local quota.
+ *
+ * @type {number}
+ */
+const HISTORY_MAX_ENTRIES = 2000;
+
+/**
+ * chrome.storage.session key holding the links created this browser session.
+ *
+ * @type {string}
+ */
+const SESSION_LINKS_STORAGE_KEY = 'sessionShortlinks';
+
+/**
+ * Number of links created this session that the toolbar popup lists.
+ *
+ * @type {number}
+ */
+const SESSION_LINKS_MAX = 5;
+
+/**
+ * Serializes read-modify-write updates so two shortlinks created at nearly the
+ * same time cannot overwrite each other's history entry.
+ *
+ * @type {Promise<void>}
+ * @private
+ */
+let historyWriteQueue = Promise.resolve();
+
+/**
+ * Runs an update function against the stored history and saves the result.
+ *
+ * @param {function(Array<HistoryEntry>): Array<HistoryEntry>} update - Receives
+ *   the current entries and returns the new list
+ * @returns {Promise<void>}
+ * @private
+ */
+const updateHistory = (update) => {
+  const run = async () => {
+    const entries = await getHistory();
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: update(entries) });
+  };
+
+  // Keep the queue alive even if one update fails
+  const result = historyWriteQueue.then(run);
+  historyWriteQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Reads all history entries, newest first.
+ *
+ * @async
+ * @returns {Promise<Array<HistoryEntry>>}
+ */
+export const getHistory = async () => {
+  const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  return stored[HISTORY_STORAGE_KEY];
+};
+
+/**
+ * Finds the entries whose title, shortlink or long URL contain every word
+ * of a search, newest first.
+ *
+ * @async
+ * @param {string} query - Words to look for, in any case
+ * @param {number} [limit=Infinity] - Most entries to return
+ * @returns {Promise<Array<HistoryEntry>>}
+ */
+export const searchHistory = async (query, limit = Infinity) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const entries = await getHistory();
+
+  return entries
+    .filter((entry) => {
+      const haystack = [entry.title, entry.shortUrl, entry.longUrl].join(' ').toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    })
+    .slice(0, limit);
+};
+
+/**
+ * Records a newly created shortlink.
+ *
+ * @async
+ * @param {Object} link - The link to record
+ * @param {string} link.longUrl - The URL that was shortened
+ * @param {string} link.shortUrl - The resulting shortlink
+ * @param {string} [link.title] - Title of the source page
+ * @param {string} link.provider - Id of the shortening service used
+ * @returns {Promise<HistoryEntry>} The stored entry
+ *
+ * @example
+ * await addHistoryEntry({
+ *   longUrl: 'https://example.com/article',
+ *   shortUrl: 'https://bit.ly/abc123',
+ *   title: 'An article',
+ *   provider: 'bitly'
+ * });
+ */
+export const addHistoryEntry = async ({ longUrl, shortUrl, title = '', provider }) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    longUrl,
+    shortUrl,
+    title,
+    provider,
+    createdAt: Date.now(),
+  };
+
+  await updateHistory((entries) => [entry, ...entries].slice(0, HISTORY_MAX_ENTRIES));
+  return entry;
+};
+
+/**
+ * Reads the links created this browser session, newest first.
+ *
+ * @async
+ * @returns {Promise<Array<HistoryEntry>>}
+ */
+export const getSessionLinks = async () => {
+  const stored = await chrome.storage.session.get({ [SESSION_LINKS_STORAGE_KEY]: [] });
+  return stored[SESSION_LINKS_STORAGE_KEY];
+};
+
+/**
+ * Adds a history entry to this session's links, replacing an older entry for
+ * the same shortlink and keeping at most `SESSION_LINKS_MAX`.
+ *
+ * @param {HistoryEntry} entry - Entry returned by `addHistoryEntry()`
+ * @returns {Promise<void>}
+ */
+export const addSessionLink = (entry) => {
+  const run = async () => {
+    const links = (await getSessionLinks()).filter((item) => item.shortUrl !== entry.shortUrl);
+    await chrome.storage.session.set({ [SESSION_LINKS_STORAGE_KEY]: [entry, ...links].slice(0, SESSION_LINKS_MAX) });
+  };
+
+  const result = historyWriteQueue.then(run);
+  historyWriteQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Removes a single entry from the history.
+ *
+ * @async
+ * @param {string} id - Id of the entry to remove
+ * @returns {Promise<void>}
+ */
+export const deleteHistoryEntry = (id) => {
+  return updateHistory((entries) => entries.filter((entry) => entry.id !== id));
+};
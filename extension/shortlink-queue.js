@@ -0,0 +1,281 @@
+/**
+ * @fileoverview PocketLink Retries and Offline Queue
+ *
+ * Keeps a shortening attempt from being lost to a dropped connection or a
+ * busy service, in two layers:
+ *
+ * 1. **Retries:** `withRetry()` repeats a request that failed with a rate
+ *    limit (429) or an outage (5xx, service unreachable) a few times with
+ *    exponential backoff, waiting as long as the service's `Retry-After`
+ *    header asks when it sends one.
+ * 2. **Queue:** when retrying does not help, or the browser is offline, the
+ *    request is saved in `chrome.storage.local` under `shortlinkQueue`. A
+ *    `chrome.alarms` alarm wakes the service worker to try again later, with
+ *    growing gaps between attempts, and the user is notified once the link is
+ *    ready to copy.
+ *
+ * This module is imported by background.js and shortener.js. It tells
+ * errors apart with the types from shortlink-errors.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import { SHORTLINK_ERROR_TYPES } from './shortlink-errors.js';
+
+/**
+ * @typedef {Object} QueuedShortlink
+ * @property {string} id - Unique id (UUID)
+ * @property {Array<string>} longUrls - URLs to shorten, already cleaned and
+ *   with any UTM template applied
+ * @property {string} [pageUrl] - Page the request came from, so the same
+ *   profile is used when it is retried (see profiles.js)
+ * @property {string} [title] - Title to record in history
+ * @property {string} [copyFormat] - Copy format chosen for this request
+ * @property {number} queuedAt - When the request was queued (ms since epoch)
+ * @property {number} attempts - Queued attempts made so far
+ * @property {number} nextAttemptAt - Earliest time of the next attempt (ms since epoch)
+ * @property {string} [lastError] - Message of the most recent failure
+ */
+
+/**
+ * Attempts made by `withRetry()`, including the first one.
+ *
+ * @type {number}
+ */
+const SHORTLINK_RETRY_ATTEMPTS = 3;
+
+/**
+ * Delay before the first retry, in milliseconds. Doubles with each retry.
+ *
+ * @type {number}
+ */
+const SHORTLINK_RETRY_BASE_MS = 1000;
+
+/**
+ * Longest wait `withRetry()` accepts before a retry, in milliseconds. A
+ * service asking for a longer pause is left to the queue, since the service
+ * worker may be stopped while it waits.
+ *
+ * @type {number}
+ */
+const SHORTLINK_RETRY_MAX_MS = 30000;
+
+/**
+ * chrome.storage.local key holding queued requests, oldest first.
+ *
+ * @type {string}
+ */
+const SHORTLINK_QUEUE_STORAGE_KEY = 'shortlinkQueue';
+
+/**
+ * Name of the alarm that processes the queue.
+ *
+ * @type {string}
+ */
+export const SHORTLINK_QUEUE_ALARM = 'pocketlink-queue';
+
+/**
+ * Queued attempts made before a request is given up on. With the delays from
+ * `getQueueDelay()` this spans roughly a day.
+ *
+ * @type {number}
+ */
+export const SHORTLINK_QUEUE_MAX_ATTEMPTS = 30;
+
+/**
+ * Reads a `Retry-After` header, which holds either a number of seconds or an
+ * HTTP date.
+ *
+ * @param {string|null} value - The header value
+ * @returns {number|undefined} The requested wait in milliseconds, if valid
+ *
+ * @example
+ * parseRetryAfter('120'); // 120000
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+/**
+ * Whether repeating the request could succeed: the service is rate limiting
+ * us or having problems. Rejected credentials, unsupported addresses and
+ * being offline are not retried straight away.
+ *
+ * @param {Error} error - Error classified by `classifyShortlinkError()`
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+  return error.errorType === SHORTLINK_ERROR_TYPES.RATE_LIMIT
+    || error.errorType === SHORTLINK_ERROR_TYPES.OUTAGE;
+};
+
+/**
+ * Whether a failed request should be queued to try again later.
+ *
+ * @param {Error} error - Error classified by `classifyShortlinkError()`
+ * @returns {boolean}
+ */
+export const isQueueableError = (error) => {
+  return isRetryableError(error) || error.errorType === SHORTLINK_ERROR_TYPES.OFFLINE;
+};
+
+/**
+ * Works out how long to wait before retry number `attempt` (0-based):
+ * the service's `Retry-After` if it sent one, otherwise exponential backoff
+ * with up to 50% random jitter so retries from several requests spread out.
+ *
+ * @param {Error} error - The failure, with `retryAfter` in ms if the service sent one
+ * @param {number} attempt - Retries already made
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  if (error.retryAfter !== undefined) {
+    return error.retryAfter;
+  }
+
+  const delay = SHORTLINK_RETRY_BASE_MS * 2 ** attempt;
+  return Math.round(delay * (1 + Math.random() / 2));
+};
+
+/**
+ * Runs `operation`, retrying it with backoff while it fails with a
+ * retryable error (see `isRetryableError()`).
+ *
+ * @async
+ * @param {function(): Promise<*>} operation - The request; its errors must be classified
+ * @param {number} [attempts=SHORTLINK_RETRY_ATTEMPTS] - Attempts including the first
+ * @returns {Promise<*>} What `operation` resolves with
+ * @throws {Error} The last error, once retries are used up, the error is not
+ *   retryable or the service asks to wait longer than `SHORTLINK_RETRY_MAX_MS`
+ *
+ * @example
+ * const shortUrl = await withRetry(() => requestShortlink(url, settings));
+ */
+export const withRetry = async (operation, attempts = SHORTLINK_RETRY_ATTEMPTS) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      const delay = getRetryDelay(error, attempt);
+      if (attempt + 1 >= attempts || !isRetryableError(error) || delay > SHORTLINK_RETRY_MAX_MS) {
+        throw error;
+      }
+
+      console.warn(`Request failed (${error.message}), retrying in ${delay} ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
+
+/**
+ * Minutes to wait before the next queued attempt: 1, 2, 4... up to an hour.
+ *
+ * @param {number} attempts - Queued attempts made so far
+ * @returns {number}
+ */
+const getQueueDelay = (attempts) => Math.min(60, 2 ** attempts);
+
+/**
+ * Returns the queued requests, oldest first.
+ *
+ * @async
+ * @returns {Promise<Array<QueuedShortlink>>}
+ */
+export const getShortlinkQueue = async () => {
+  const { [SHORTLINK_QUEUE_STORAGE_KEY]: queue = [] } = await chrome.storage.local.get(SHORTLINK_QUEUE_STORAGE_KEY);
+  return queue;
+};
+
+/**
+ * Replaces the queue and schedules the alarm for its earliest due request,
+ * or clears the alarm when the queue is empty.
+ *
+ * @async
+ * @param {Array<QueuedShortlink>} queue - The new queue
+ * @returns {Promise<void>}
+ * @private
+ */
+const saveShortlinkQueue = async (queue) => {
+  await chrome.storage.local.set({ [SHORTLINK_QUEUE_STORAGE_KEY]: queue });
+
+  if (!queue.length) {
+    await chrome.alarms.clear(SHORTLINK_QUEUE_ALARM);
+    return;
+  }
+
+  const when = Math.min(...queue.map((entry) => entry.nextAttemptAt));
+  // Chrome rounds alarms less than 30 seconds away up to 30 seconds
+  await chrome.alarms.create(SHORTLINK_QUEUE_ALARM, { when: Math.max(when, Date.now() + 1000) });
+};
+
+/**
+ * Adds a request to the queue, to be tried again in a minute.
+ *
+ * @async
+ * @param {Object} request - What to shorten
+ * @param {Array<string>} request.longUrls - Cleaned URLs, ready to shorten
+ * @param {string} [request.pageUrl] - Page the request came from
+ * @param {string} [request.title] - Title to record in history
+ * @param {string} [request.copyFormat] - Copy format for this request
+ * @param {Error} error - Why the request could not be completed now
+ * @returns {Promise<QueuedShortlink>} The new queue entry
+ */
+export const enqueueShortlink = async ({ longUrls, pageUrl, title, copyFormat }, error) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    longUrls,
+    pageUrl,
+    title,
+    copyFormat,
+    queuedAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: Date.now() + Math.max(error.retryAfter || 0, getQueueDelay(0) * 60 * 1000),
+    lastError: error.message,
+  };
+
+  await saveShortlinkQueue([...(await getShortlinkQueue()), entry]);
+  return entry;
+};
+
+/**
+ * Records a failed queued attempt and pushes the entry's next attempt back.
+ *
+ * @async
+ * @param {string} id - Queue entry id
+ * @param {Error} error - Why the attempt failed
+ * @returns {Promise<void>}
+ */
+export const deferQueuedShortlink = async (id, error) => {
+  const queue = await getShortlinkQueue();
+  await saveShortlinkQueue(queue.map((entry) => {
+    if (entry.id !== id) {
+      return entry;
+    }
+    const attempts = entry.attempts + 1;
+    const delay = Math.max(error.retryAfter || 0, getQueueDelay(attempts) * 60 * 1000);
+    return { ...entry, attempts, nextAttemptAt: Date.now() + delay, lastError: error.message };
+  }));
+};
+
+/**
+ * Removes a request from the queue, once completed or given up on.
+ *
+ * @async
+ * @param {string} id - Queue entry id
+ * @returns {Promise<void>}
+ */
+export const removeQueuedShortlink = async (id) => {
+  const queue = await getShortlinkQueue();
+  await saveShortlinkQueue(queue.filter((entry) => entry.id !== id));
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview PocketLink Text Fragments
+ *
+ * Builds scroll-to-text links for the "Create shortlink to this quote"
+ * context menu item: the page URL plus a `#:~:text=` directive, so browsers
+ * that support text fragments scroll to the quote and highlight it.
+ *
+ * ```
+ * #:~:text=[prefix-,]textStart[,textEnd][,-suffix]
+ * ```
+ *
+ * - Short quotes are matched whole (`textStart` only). Long ones, and quotes
+ *   that span paragraphs, are matched by their first and last few words.
+ * - When the quote appears more than once on the page, the words just
+ *   before and after it are added as `prefix` and `suffix` until it is
+ *   unique.
+ *
+ * The page is read by `readSelectionForFragment()`, which background.js
+ * runs in the tab with `chrome.scripting`. Without access to the page (e.g.
+ * a cross-origin frame) the fragment is built from the selected text alone.
+ *
+ * This module is imported by background.js.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ * @see {@link https://wicg.github.io/scroll-to-text-fragment/}
+ */
+
+/**
+ * @typedef {Object} TextFragment
+ * @property {string} textStart - The quote, or its first words
+ * @property {string} [textEnd] - The quote's last words, for long quotes
+ * @property {string} [prefix] - Words right before the quote
+ * @property {string} [suffix] - Words right after the quote
+ */
+
+/**
+ * Longest quote matched whole; longer ones use `textStart` and `textEnd`.
+ *
+ * @type {number}
+ */
+const TEXT_FRAGMENT_MAX_EXACT_LENGTH = 300;
+
+/**
+ * Number of words used for `textStart` and `textEnd` of a long quote.
+ *
+ * @type {number}
+ */
+const TEXT_FRAGMENT_EDGE_WORDS = 5;
+
+/**
+ * Builds a fragment from the selected text alone, for pages PocketLink can't
+ * read. Chrome reports the selection on a single line, so a quote across
+ * paragraphs is only split into start and end when it is long.
+ *
+ * @param {string} text - The selected text
+ * @returns {TextFragment|null} Null if the selection is only whitespace
+ *
+ * @example
+ * createTextFragment('  the exact sentence ');
+ * // { textStart: 'the exact sentence' }
+ */
+export const createTextFragment = (text) => {
+  const quote = (text || '').replace(/\s+/g, ' ').trim();
+  if (!quote) {
+    return null;
+  }
+  if (quote.length <= TEXT_FRAGMENT_MAX_EXACT_LENGTH) {
+    return { textStart: quote };
+  }
+
+  const words = quote.split(' ');
+  return {
+    textStart: words.slice(0, TEXT_FRAGMENT_EDGE_WORDS).join(' '),
+    textEnd: words.slice(-TEXT_FRAGMENT_EDGE_WORDS).join(' '),
+  };
+};
+
+/**
+ * Adds a text fragment to a URL, replacing any it already has and keeping
+ * its ordinary `#fragment`.
+ *
+ * Terms are percent-encoded, including `-`, which the syntax uses to mark
+ * the prefix and suffix.
+ *
+ * @param {string} url - The page URL
+ * @param {TextFragment} fragment - The quote to link to
+ * @returns {string} The URL with `:~:text=` in its fragment
+ *
+ * @example
+ * addTextFragment('https://example.com/story#top', { textStart: 'a well-known fact' });
+ * // 'https://example.com/story#top:~:text=a%20well%2Dknown%20fact'
+ */
+export const addTextFragment = (url, { textStart, textEnd, prefix, suffix }) => {
+  const encode = (term) => encodeURIComponent(term).replace(/-/g, '%2D');
+  const terms = [
+    prefix && `${encode(prefix)}-`,
+    encode(textStart),
+    textEnd && encode(textEnd),
+    suffix && `-${encode(suffix)}`,
+  ].filter(Boolean);
+
+  const [base, hash = ''] = url.split(/#(.*)/s);
+  const anchor = hash.split(':~:')[0];
+  return `${base}#${anchor}:~:text=${terms.join(',')}`;
+};
+
+/**
+ * Reads the selection in the page and works out the text fragment for it.
+ *
+ * Runs in the page through `chrome.scripting.executeScript()`, so it must
+ * not use anything defined outside its own body.
+ *
+ * The text around the selection is read through the selection itself,
+ * because `Selection.toString()` gives the text as rendered, with a line
+ * break between blocks: a prefix or suffix never reaches into another
+ * paragraph or into hidden text. The original selection is put back
+ * afterwards. A selection that starts or ends inside a word is widened to
+ * the whole word, since fragments only match whole words.
+ *
+ * @returns {TextFragment|null} Null if nothing is selected
+ */
+export const readSelectionForFragment = () => {
+  const MAX_EXACT_LENGTH = 300;
+  const EDGE_WORDS = 5;
+  const MAX_CONTEXT_WORDS = 5;
+
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || !selection.rangeCount) {
+    return null;
+  }
+
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+  const range = selection.getRangeAt(0);
+
+  // Rendered text from the start of the page to the selection, and from the
+  // selection to the end, read by selecting each part in turn
+  const readRendered = (startNode, startOffset, endNode, endOffset) => {
+    selection.setBaseAndExtent(startNode, startOffset, endNode, endOffset);
+    return selection.toString();
+  };
+  const selected = selection.toString();
+  const body = document.body;
+  const before = readRendered(body, 0, range.startContainer, range.startOffset);
+  const after = readRendered(range.endContainer, range.endOffset, body, body.childNodes.length);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  // Only text in the same block as the selection can be used around it
+  const beforeLine = before.split('\n').pop();
+  const afterLine = after.split('\n')[0];
+
+  // Widen a selection that starts or ends in the middle of a word
+  const partialStart = /\S$/.test(beforeLine) && /^\S/.test(selected) ? /\S+$/.exec(beforeLine)[0] : '';
+  const partialEnd = /^\S/.test(afterLine) && /\S$/.test(selected) ? /^\S+/.exec(afterLine)[0] : '';
+  const lines = `${partialStart}${selected}${partialEnd}`.split('\n').map(normalize).filter(Boolean);
+  if (!lines.length) {
+    return null;
+  }
+
+  const fragment = lines.length === 1 && lines[0].length <= MAX_EXACT_LENGTH
+    ? { textStart: lines[0] }
+    : {
+      textStart: lines[0].split(' ').slice(0, EDGE_WORDS).join(' '),
+      textEnd: lines[lines.length - 1].split(' ').slice(-EDGE_WORDS).join(' '),
+    };
+
+  // Fragments match case-insensitively, so count matches the same way
+  const pageText = normalize(body.innerText).toLowerCase();
+  const countMatches = (text) => {
+    let count = 0;
+    for (let index = pageText.indexOf(text); index !== -1; index = pageText.indexOf(text, index + 1)) {
+      count += 1;
+    }
+    return count;
+  };
+
+  const prefixWords = normalize(beforeLine.slice(0, beforeLine.length - partialStart.length)).split(' ').filter(Boolean);
+  const suffixWords = normalize(afterLine.slice(partialEnd.length)).split(' ').filter(Boolean);
+  const maxWords = Math.min(MAX_CONTEXT_WORDS, Math.max(prefixWords.length, suffixWords.length));
+
+  if (countMatches(fragment.textStart.toLowerCase()) > 1) {
+    for (let words = 1; words <= maxWords; words += 1) {
+      const prefix = prefixWords.slice(-words).join(' ');
+      const suffix = suffixWords.slice(0, words).join(' ');
+      // The suffix follows `textEnd` when there is one, so it can't tell starts apart
+      const context = [prefix, fragment.textStart, fragment.textEnd ? '' : suffix].filter(Boolean).join(' ');
+
+      fragment.prefix = prefix || undefined;
+      fragment.suffix = suffix || undefined;
+      if (countMatches(context.toLowerCase()) <= 1) {
+        break;
+      }
+    }
+  }
+
+  return fragment;
+};
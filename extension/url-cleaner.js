@@ -0,0 +1,109 @@
+/**
+ * @fileoverview PocketLink URL Cleaner
+ *
+ * Removes click-tracking and session parameters (fbclid, gclid, mc_eid, ...)
+ * from URLs before they are shortened, so shortlinks point at the clean
+ * address and do not leak the sharer's tracking identifiers.
+ *
+ * Rules are parameter names matched case-insensitively; `*` matches any run
+ * of characters, so `utm_*` removes every UTM parameter. The built-in list
+ * below is always applied when cleaning is enabled, and users can add their
+ * own rules on the options page (one per line, `#` starts a comment).
+ *
+ * This module is imported by shortener.js and by options.js, which shows the
+ * built-in list.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * Built-in tracking and session parameters removed from every URL.
+ * UTM parameters are deliberately not included: they are often added on
+ * purpose (see utm-templates.js). Add `utm_*` as a custom rule to drop them.
+ *
+ * @type {Array<string>}
+ */
+export const TRACKING_PARAMETERS = [
+  // Ad click identifiers
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid',
+  'yclid', 'twclid', 'ttclid', 'li_fat_id', 'epik', 'rdt_cid', 'srsltid',
+  // Email and marketing automation
+  'mc_eid', 'mc_cid', '_hsenc', '_hsmi', '__hssc', '__hstc', '__hsfp', 'hsctatracking',
+  'mkt_tok', 'vero_id', 'vero_conv', 'oly_anon_id', 'oly_enc_id', 'ck_subscriber_id',
+  // Analytics cross-domain and social share markers
+  '_ga', '_gl', 'igshid', 'igsh', 'si', 'ref_src', 'ref_url', 's_cid',
+  // Session identifiers
+  'jsessionid', 'phpsessid', 'sessionid', 'cfid', 'cftoken',
+];
+
+/**
+ * Parses user-entered rules: one parameter name or wildcard pattern per line.
+ * Blank lines and lines starting with `#` are ignored.
+ *
+ * @param {string} text - Raw textarea contents
+ * @returns {Array<string>} Normalized (lowercase, trimmed) rules
+ *
+ * @example
+ * parseCleaningRules('# newsletter\nutm_*\nref');
+ * // ['utm_*', 'ref']
+ */
+export const parseCleaningRules = (text) => {
+  return (text || '')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'));
+};
+
+/**
+ * Turns a rule into a regular expression anchored to the whole parameter name.
+ *
+ * @param {string} rule - e.g. "utm_*"
+ * @returns {RegExp} e.g. /^utm_.*$/i
+ * @private
+ */
+const ruleToRegExp = (rule) => {
+  const escaped = rule.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+/**
+ * Removes tracking parameters from a URL.
+ *
+ * Besides query parameters this also strips Java-style `;jsessionid=...`
+ * path parameters. Everything else (path, remaining parameters and their
+ * order, fragment) is preserved.
+ *
+ * @param {string} url - The URL to clean
+ * @param {Array<string>} [customRules=[]] - Extra rules from the options page
+ * @returns {string} The cleaned URL, or the input unchanged if it cannot be parsed
+ *
+ * @example
+ * cleanUrl('https://example.com/a;jsessionid=12?id=7&fbclid=abc&utm_source=x', ['utm_*']);
+ * // "https://example.com/a?id=7"
+ */
+export const cleanUrl = (url, customRules = []) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  const patterns = [...TRACKING_PARAMETERS, ...customRules].map(ruleToRegExp);
+
+  parsed.pathname = parsed.pathname.replace(/;jsessionid=[^/]*/i, '');
+
+  // Collect first: deleting while iterating URLSearchParams skips entries
+  const tracked = [...parsed.searchParams.keys()].filter((name) => {
+    return patterns.some((pattern) => pattern.test(name));
+  });
+  tracked.forEach((name) => parsed.searchParams.delete(name));
+
+  // Avoid leaving a bare "?" behind when every parameter was removed
+  if (![...parsed.searchParams.keys()].length) {
+    parsed.search = '';
+  }
+
+  return parsed.href;
+};
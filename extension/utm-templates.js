@@ -0,0 +1,76 @@
+/**
+ * @fileoverview PocketLink UTM Templates
+ *
+ * Named sets of UTM campaign parameters (utm_source, utm_medium, ...) that
+ * can be appended to a page URL before it is shortened. Templates are saved
+ * in chrome.storage.sync under `utmTemplates` so they follow the user across
+ * devices.
+ *
+ * This module is imported by background.js and by options.js, where
+ * templates are edited.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+/**
+ * @typedef {Object} UtmTemplate
+ * @property {string} id - Unique id, used in context menu item ids
+ * @property {string} name - Display name, e.g. "Newsletter"
+ * @property {string} [utm_source] - e.g. "newsletter"
+ * @property {string} [utm_medium] - e.g. "email"
+ * @property {string} [utm_campaign] - e.g. "spring-2025"
+ * @property {string} [utm_term] - Paid search keyword
+ * @property {string} [utm_content] - Distinguishes links pointing to the same URL
+ */
+
+/**
+ * The UTM parameters a template can set, in the order they are appended.
+ *
+ * @type {Array<string>}
+ */
+export const UTM_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+/**
+ * Prefix for the context menu ids of template items. The template id follows
+ * the colon, e.g. "pocketlink-utm:3f2a...".
+ *
+ * @type {string}
+ */
+export const UTM_MENU_PREFIX = 'pocketlink-utm:';
+
+/**
+ * Appends a template's UTM parameters to a URL.
+ *
+ * Parameters already present in the URL are left untouched, so a link that
+ * already carries its own `utm_source` (or any other query parameter) keeps
+ * it. Empty template values are skipped.
+ *
+ * @param {string} url - The page URL
+ * @param {UtmTemplate} template - The template to apply
+ * @returns {string} The URL with the template's parameters merged in, or the
+ *   input unchanged if it cannot be parsed
+ *
+ * @example
+ * applyUtmTemplate('https://example.com/a?utm_source=x&id=7', {
+ *   utm_source: 'newsletter', utm_medium: 'email'
+ * });
+ * // "https://example.com/a?utm_source=x&id=7&utm_medium=email"
+ */
+export const applyUtmTemplate = (url, template) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  UTM_PARAMETERS.forEach((name) => {
+    const value = template[name]?.trim();
+    if (value && !parsed.searchParams.has(name)) {
+      parsed.searchParams.append(name, value);
+    }
+  });
+
+  return parsed.href;
+};
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Mock OAuth 2.0 server for testing PocketLink's Bit.ly sign-in
+ *
+ * Implements just enough of an authorization server to exercise the sign-in,
+ * token refresh and sign-out paths in extension/bitly-oauth.js without a real
+ * Bit.ly OAuth app:
+ *
+ * | Endpoint | Purpose |
+ * |----------|---------|
+ * | `GET /authorize` | Consent page that redirects back with a code (or `access_denied`) |
+ * | `POST /token` | `authorization_code` (with PKCE) and `refresh_token` grants |
+ * | `POST /revoke` | RFC 7009 token revocation |
+ * | `GET /v4/user` | Bit.ly-style user lookup, to check a token is live |
+ *
+ * Tokens expire quickly (60 seconds by default) so the refresh alarm can be
+ * watched firing. Everything is kept in memory and forgotten on exit.
+ *
+ * ## Usage
+ *
+ * ```
+ * node scripts/mock-oauth-server.js [--port 8787] [--token-ttl 60] [--auto-approve]
+ * ```
+ *
+ * Then, on the PocketLink options page, open "OAuth app settings" under the
+ * Bit.ly fields and enter:
+ *
+ * - Client ID: `pocketlink-test` (any value is accepted)
+ * - Authorization URL: `http://localhost:8787/authorize`
+ * - Token URL: `http://localhost:8787/token`
+ * - Revocation URL: `http://localhost:8787/revoke`
+ *
+ * and click "Sign in with Bit.ly". The tokens are not accepted by the real
+ * Bit.ly API, so shortening fails with a credentials error until you sign
+ * out again.
+ *
+ * Uses only Node's standard library.
+ *
+ * @author PocketLink Contributors
+ * @license MIT
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+/**
+ * Reads `--name value` and `--flag` command line options.
+ *
+ * @param {Array<string>} args - `process.argv` without the node and script paths
+ * @returns {{port: number, tokenTtl: number, autoApprove: boolean}}
+ */
+const parseArgs = (args) => {
+  const value = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : args[index + 1];
+  };
+  return {
+    port: Number(value('--port', process.env.PORT || 8787)),
+    tokenTtl: Number(value('--token-ttl', 60)),
+    autoApprove: args.includes('--auto-approve'),
+  };
+};
+
+const options = parseArgs(process.argv.slice(2));
+
+/** Authorization codes waiting to be exchanged, by code. */
+const codes = new Map();
+
+/** Live access tokens, by token. */
+const accessTokens = new Map();
+
+/** Live refresh tokens, by token. */
+const refreshTokens = new Map();
+
+/**
+ * Returns a random URL-safe token.
+ *
+ * @param {string} prefix - Makes tokens recognizable in logs
+ * @returns {string}
+ */
+const randomToken = (prefix) => `${prefix}_${crypto.randomBytes(18).toString('base64url')}`;
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Sends an OAuth error response (RFC 6749 section 5.2).
+ *
+ * @param {http.ServerResponse} response - The response
+ * @param {string} error - Error code, e.g. "invalid_grant"
+ * @param {string} description - Explanation for developers
+ * @param {number} [status=400] - HTTP status
+ */
+const sendOAuthError = (response, error, description, status = 400) => {
+  sendJson(response, status, { error, error_description: description });
+};
+
+/**
+ * Reads a form-encoded request body.
+ *
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<URLSearchParams>}
+ */
+const readForm = (request) => new Promise((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => resolve(new URLSearchParams(body)));
+  request.on('error', reject);
+});
+
+/**
+ * Issues a new access and refresh token pair.
+ *
+ * @param {string} clientId - Client the tokens belong to
+ * @returns {Object} Token response body
+ */
+const issueTokens = (clientId) => {
+  const accessToken = randomToken('access');
+  const refreshToken = randomToken('refresh');
+  accessTokens.set(accessToken, { clientId, refreshToken, expiresAt: Date.now() + options.tokenTtl * 1000 });
+  refreshTokens.set(refreshToken, { clientId, accessToken });
+
+  return {
+    access_token: accessToken,
+    token_type: 'bearer',
+    expires_in: options.tokenTtl,
+    refresh_token: refreshToken,
+    login: 'mock-user',
+  };
+};
+
+/**
+ * Redirects back to the client with query parameters.
+ *
+ * @param {http.ServerResponse} response - The response
+ * @param {string} redirectUri - The client's redirect URI
+ * @param {Object<string, string>} params - Query parameters to add
+ */
+const redirectBack = (response, redirectUri, params) => {
+  const target = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => target.searchParams.set(key, value));
+  response.writeHead(302, { Location: target.href });
+  response.end();
+};
+
+/**
+ * GET /authorize - shows a consent page, or approves straight away with
+ * `--auto-approve`. `/authorize/decision` handles the buttons.
+ *
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} response - The response
+ */
+const handleAuthorize = (url, response) => {
+  const params = url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+  if (!params.get('client_id') || !redirectUri) {
+    response.writeHead(400, { 'Content-Type': 'text/plain' });
+    response.end('client_id and redirect_uri are required');
+    return;
+  }
+
+  if (url.pathname === '/authorize/decision') {
+    if (params.get('decision') !== 'approve') {
+      redirectBack(response, redirectUri, { error: 'access_denied', state: params.get('state') || '' });
+      return;
+    }
+
+    const code = randomToken('code');
+    codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri,
+      challenge: params.get('code_challenge'),
+      method: params.get('code_challenge_method'),
+      expiresAt: Date.now() + 60 * 1000,
+    });
+    redirectBack(response, redirectUri, { code, state: params.get('state') || '' });
+    return;
+  }
+
+  if (options.autoApprove) {
+    params.set('decision', 'approve');
+    handleAuthorize(new URL(`/authorize/decision?${params}`, url), response);
+    return;
+  }
+
+  const approve = new URLSearchParams(params);
+  approve.set('decision', 'approve');
+  const deny = new URLSearchParams(params);
+  deny.set('decision', 'deny');
+
+  response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  response.end(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;">
+  <h1>Mock Bit.ly sign-in</h1>
+  <p>Allow <strong>${params.get('client_id').replace(/[<>&"]/g, '')}</strong> to use the account <strong>mock-user</strong>?</p>
+  <p><a href="/authorize/decision?${approve}">Allow</a> &nbsp; <a href="/authorize/decision?${deny}">Deny</a></p>
+</body>
+</html>`);
+};
+
+/**
+ * POST /token - exchanges a code (checking the PKCE verifier when a
+ * challenge was sent) or a refresh token for new tokens.
+ *
+ * @param {URLSearchParams} form - Request body
+ * @param {http.ServerResponse} response - The response
+ */
+const handleToken = (form, response) => {
+  const grantType = form.get('grant_type');
+
+  if (grantType === 'authorization_code') {
+    const entry = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+
+    if (!entry || entry.expiresAt < Date.now()) {
+      sendOAuthError(response, 'invalid_grant', 'Unknown or expired authorization code');
+      return;
+    }
+    if (entry.clientId !== form.get('client_id') || entry.redirectUri !== form.get('redirect_uri')) {
+      sendOAuthError(response, 'invalid_grant', 'client_id or redirect_uri does not match the authorization request');
+      return;
+    }
+    if (entry.challenge) {
+      const verifier = form.get('code_verifier') || '';
+      const expected = entry.method === 'S256'
+        ? crypto.createHash('sha256').update(verifier).digest('base64url')
+        : verifier;
+      if (expected !== entry.challenge) {
+        sendOAuthError(response, 'invalid_grant', 'PKCE verification failed');
+        return;
+      }
+    }
+
+    sendJson(response, 200, issueTokens(entry.clientId));
+    return;
+  }
+
+  if (grantType === 'refresh_token') {
+    const entry = refreshTokens.get(form.get('refresh_token'));
+    if (!entry) {
+      sendOAuthError(response, 'invalid_grant', 'Unknown or revoked refresh token');
+      return;
+    }
+
+    // Rotate: the old pair stops working
+    refreshTokens.delete(form.get('refresh_token'));
+    accessTokens.delete(entry.accessToken);
+    sendJson(response, 200, issueTokens(entry.clientId));
+    return;
+  }
+
+  sendOAuthError(response, 'unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+};
+
+/**
+ * POST /revoke - revokes an access or refresh token. Revoking a refresh
+ * token also revokes its access token. Unknown tokens succeed, per RFC 7009.
+ *
+ * @param {URLSearchParams} form - Request body
+ * @param {http.ServerResponse} response - The response
+ */
+const handleRevoke = (form, response) => {
+  const token = form.get('token');
+  const refresh = refreshTokens.get(token);
+  if (refresh) {
+    refreshTokens.delete(token);
+    accessTokens.delete(refresh.accessToken);
+  }
+
+  const access = accessTokens.get(token);
+  if (access) {
+    accessTokens.delete(token);
+    refreshTokens.delete(access.refreshToken);
+  }
+
+  response.writeHead(200);
+  response.end();
+};
+
+/**
+ * GET /v4/user - answers like Bit.ly's user endpoint for a live token.
+ *
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ */
+const handleUser = (request, response) => {
+  const token = (request.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const entry = accessTokens.get(token);
+  if (!entry || entry.expiresAt < Date.now()) {
+    sendJson(response, 403, { message: 'FORBIDDEN', description: 'Invalid or expired access token' });
+    return;
+  }
+  sendJson(response, 200, { login: 'mock-user', name: 'Mock User', default_group_guid: 'Bmock000000' });
+};
+
+const server = http.createServer(async (request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  console.log(`${request.method} ${url.pathname}`);
+
+  // The extension calls the token endpoints from its own origin
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept');
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  try {
+    if (request.method === 'GET' && url.pathname.startsWith('/authorize')) {
+      handleAuthorize(url, response);
+    } else if (request.method === 'POST' && url.pathname === '/token') {
+      handleToken(await readForm(request), response);
+    } else if (request.method === 'POST' && url.pathname === '/revoke') {
+      handleRevoke(await readForm(request), response);
+    } else if (request.method === 'GET' && url.pathname === '/v4/user') {
+      handleUser(request, response);
+    } else {
+      sendJson(response, 404, { error: 'not_found' });
+    }
+  } catch (error) {
+    console.error(error);
+    sendJson(response, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(options.port, () => {
+  console.log(`Mock OAuth server listening on http://localhost:${options.port}`);
+  console.log(`Tokens expire after ${options.tokenTtl} seconds${options.autoApprove ? '; requests are approved automatically' : ''}.`);
+});
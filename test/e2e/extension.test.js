@@ -0,0 +1,142 @@
+/**
+ * @fileoverview End-to-end tests: the unpacked extension in headless Chromium
+ *
+ * Loads extension/ into a real browser and talks to it the way its own
+ * pages do, with `chrome.runtime.sendMessage()` from bulk.html. Bit.ly is
+ * replaced by the fake API in test/helpers/fake-bitly-server.js: Chromium
+ * resolves `api-ssl.bitly.com` to it (`--host-resolver-rules`) and accepts
+ * its self-signed certificate, so the extension runs unmodified.
+ *
+ * Needs a Chrome or Chromium binary in `CHROME_PATH` (Chrome for Testing or
+ * Chromium; branded Chrome no longer loads unpacked extensions from the
+ * command line) and `openssl` to create the certificate. Without
+ * `CHROME_PATH` the tests are skipped.
+ *
+ * ```
+ * CHROME_PATH=/usr/bin/chromium npm run test:e2e
+ * ```
+ */
+
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, before, describe, it } from 'node:test';
+
+import { startFakeBitlyServer } from '../helpers/fake-bitly-server.js';
+
+const EXTENSION_DIR = fileURLToPath(new URL('../../extension/', import.meta.url));
+
+const CHROME_PATH = process.env.CHROME_PATH;
+
+/**
+ * Creates a throwaway certificate for api-ssl.bitly.com.
+ *
+ * @param {string} dir - Directory to write the key and certificate to
+ * @returns {{key: string, cert: string}} PEM key and certificate
+ */
+const createCertificate = (dir) => {
+  const keyPath = join(dir, 'key.pem');
+  const certPath = join(dir, 'cert.pem');
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+    '-keyout', keyPath, '-out', certPath,
+    '-subj', '/CN=api-ssl.bitly.com',
+    '-addext', 'subjectAltName=DNS:api-ssl.bitly.com',
+  ], { stdio: 'ignore' });
+  return { key: readFileSync(keyPath, 'utf8'), cert: readFileSync(certPath, 'utf8') };
+};
+
+describe('PocketLink in Chromium', {
+  skip: !CHROME_PATH && 'set CHROME_PATH to a Chrome for Testing or Chromium binary',
+}, () => {
+  let certDir;
+  let bitly;
+  let browser;
+  let worker;
+  let page;
+
+  /**
+   * Sends a message to the service worker from an extension page.
+   *
+   * @param {Object} message - The message, e.g. `{ action: 'shortenUrl', url }`
+   * @returns {Promise<Object>} The worker's response
+   */
+  const sendMessage = (message) => page.evaluate((body) => chrome.runtime.sendMessage(body), message);
+
+  before(async () => {
+    const { default: puppeteer } = await import('puppeteer-core');
+
+    certDir = mkdtempSync(join(tmpdir(), 'pocketlink-e2e-'));
+    bitly = await startFakeBitlyServer({ tls: createCertificate(certDir) });
+
+    browser = await puppeteer.launch({
+      executablePath: CHROME_PATH,
+      headless: true,
+      pipe: true,
+      enableExtensions: true,
+      args: [
+        `--host-resolver-rules=MAP api-ssl.bitly.com 127.0.0.1:${bitly.port}`,
+        '--ignore-certificate-errors',
+      ],
+    });
+    const extensionId = await browser.installExtension(EXTENSION_DIR);
+
+    const workerTarget = await browser.waitForTarget((target) => target.type() === 'service_worker'
+      && target.url() === `chrome-extension://${extensionId}/background.js`);
+    worker = await workerTarget.worker();
+    await worker.evaluate(() => chrome.storage.sync.set({
+      provider: 'bitly',
+      bitlyToken: 'e2e-token',
+      cacheEnabled: false,
+    }));
+
+    page = await browser.newPage();
+    await page.goto(`chrome-extension://${extensionId}/bulk.html`);
+  });
+
+  after(async () => {
+    await browser?.close();
+    await bitly?.close();
+    if (certDir) {
+      rmSync(certDir, { recursive: true, force: true });
+    }
+  });
+
+  it('shortens a URL through the Bit.ly API and records it', async () => {
+    const response = await sendMessage({ action: 'shortenUrl', url: 'https://example.com/story?fbclid=abc', title: 'Story' });
+
+    assert.equal(response.success, true, response.error);
+    assert.match(response.shortUrl, /^https:\/\/bit\.ly\/fake\d+$/);
+    assert.equal(response.longUrl, 'https://example.com/story');
+
+    const request = bitly.requests.findLast((item) => item.path === '/v4/shorten');
+    assert.equal(request.headers.authorization, 'Bearer e2e-token');
+    assert.deepEqual(request.body, { long_url: 'https://example.com/story' });
+
+    const { shortlinkHistory } = await worker.evaluate(() => chrome.storage.local.get('shortlinkHistory'));
+    assert.equal(shortlinkHistory[0].shortUrl, response.shortUrl);
+    assert.equal(shortlinkHistory[0].title, 'Story');
+  });
+
+  it('reports rejected credentials', async () => {
+    bitly.queueResponse({ status: 403, body: { message: 'FORBIDDEN', description: 'You are currently forbidden to access this resource.' } });
+
+    const response = await sendMessage({ action: 'shortenUrl', url: 'https://example.com/forbidden' });
+
+    assert.equal(response.success, false);
+    assert.equal(response.errorType, 'auth');
+  });
+
+  it('closes the offscreen document after copying', async () => {
+    // Headless Chromium may refuse the clipboard write; either way the
+    // document PocketLink opened for it must be gone afterwards
+    const response = await sendMessage({ action: 'copyText', text: 'https://bit.ly/e2e' });
+    assert.equal(typeof response.success, 'boolean');
+
+    const contexts = await worker.evaluate(() => chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] }));
+    assert.equal(contexts.length, 0);
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview In-memory `chrome.*` for unit tests
+ *
+ * Installs a `chrome` global with just enough of the extension APIs for the
+ * modules in extension/ to run under Node:
+ *
+ * - `chrome.storage` - `sync`, `local`, `session` and `managed` areas kept in
+ *   memory, with `chrome.storage.onChanged` fired on every change
+ * - Events (`onMessage`, `onClicked`, ...) that record their listeners and
+ *   can be fired from a test with `dispatch()`
+ * - Every other method is a `mock.fn()` from node:test, so tests can read
+ *   `.mock.calls` and swap in behavior with `.mock.mockImplementation()`
+ *
+ * By default the mock behaves like a recent Chrome where nothing is open:
+ * `runtime.getContexts()` finds no offscreen document and
+ * `runtime.sendMessage()` answers `{ success: true }`, as offscreen.js does
+ * after a successful copy.
+ *
+ * @example
+ * import { installChromeMock } from '../helpers/chrome-mock.js';
+ *
+ * beforeEach(() => {
+ *   installChromeMock();
+ * });
+ *
+ * it('copies through the offscreen document', async () => {
+ *   const { copyViaOffscreen } = await import('../../extension/clipboard.js');
+ *   await copyViaOffscreen('https://bit.ly/abc', { showNotifications: false });
+ *   assert.equal(chrome.offscreen.createDocument.mock.callCount(), 1);
+ * });
+ */
+
+import { mock } from 'node:test';
+
+/**
+ * Creates a `chrome.events.Event` look-alike.
+ *
+ * @returns {{addListener: Function, removeListener: Function,
+ *   hasListener: Function, dispatch: function(...*): Array<*>,
+ *   listeners: Array<Function>}} `dispatch()` calls every listener with its
+ *   arguments and returns what they returned
+ */
+export const createEvent = () => {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => {
+      listeners.push(listener);
+    },
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    hasListener: (listener) => listeners.includes(listener),
+    dispatch: (...args) => listeners.map((listener) => listener(...args)),
+  };
+};
+
+/**
+ * Creates a storage area that keeps its items in memory. Values are copied
+ * on the way in and out, as Chrome serializes them.
+ *
+ * @param {string} areaName - `'sync'`, `'local'`, `'session'` or `'managed'`
+ * @param {Object} onChanged - `chrome.storage.onChanged`
+ * @returns {Object} The area, with its items exposed as `data`
+ */
+const createStorageArea = (areaName, onChanged) => {
+  const area = { data: {} };
+  const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+
+  const notify = (changes) => {
+    if (Object.keys(changes).length) {
+      onChanged.dispatch(changes, areaName);
+    }
+  };
+
+  area.get = mock.fn(async (keys = null) => {
+    if (keys === null) {
+      return copy(area.data);
+    }
+    const defaults = typeof keys === 'string' || Array.isArray(keys)
+      ? Object.fromEntries([].concat(keys).map((key) => [key, undefined]))
+      : keys;
+
+    const items = {};
+    Object.entries(defaults).forEach(([key, fallback]) => {
+      const value = key in area.data ? area.data[key] : fallback;
+      if (value !== undefined) {
+        items[key] = copy(value);
+      }
+    });
+    return items;
+  });
+
+  area.set = mock.fn(async (items) => {
+    const changes = {};
+    Object.entries(items).forEach(([key, value]) => {
+      changes[key] = { oldValue: copy(area.data[key]), newValue: copy(value) };
+      area.data[key] = copy(value);
+    });
+    notify(changes);
+  });
+
+  area.remove = mock.fn(async (keys) => {
+    const changes = {};
+    [].concat(keys).filter((key) => key in area.data).forEach((key) => {
+      changes[key] = { oldValue: area.data[key] };
+      delete area.data[key];
+    });
+    notify(changes);
+  });
+
+  area.clear = mock.fn(async () => {
+    await area.remove(Object.keys(area.data));
+  });
+
+  return area;
+};
+
+/**
+ * Replaces the `chrome` global with a fresh mock. Call it before each test
+ * so no storage or call history leaks between tests.
+ *
+ * @returns {Object} The new `chrome` object
+ */
+export const installChromeMock = () => {
+  const onChanged = createEvent();
+
+  const chrome = {
+    runtime: {
+      id: 'pocketlink-test',
+      getURL: mock.fn((path) => `chrome-extension://pocketlink-test/${path.replace(/^\//, '')}`),
+      getContexts: mock.fn(async () => []),
+      sendMessage: mock.fn(async () => ({ success: true })),
+      openOptionsPage: mock.fn(async () => {}),
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+    },
+    storage: {
+      onChanged,
+      sync: createStorageArea('sync', onChanged),
+      local: createStorageArea('local', onChanged),
+      session: createStorageArea('session', onChanged),
+      managed: createStorageArea('managed', onChanged),
+    },
+    offscreen: {
+      Reason: { CLIPBOARD: 'CLIPBOARD' },
+      createDocument: mock.fn(async () => {}),
+      closeDocument: mock.fn(async () => {}),
+    },
+    scripting: {
+      executeScript: mock.fn(async () => [{ frameId: 0, result: { success: true } }]),
+    },
+    notifications: {
+      create: mock.fn(async () => 'notification'),
+      clear: mock.fn(async () => true),
+      onButtonClicked: createEvent(),
+      onClosed: createEvent(),
+    },
+    windows: {
+      create: mock.fn(async (options) => ({ id: 1, ...options })),
+    },
+    tabs: {
+      query: mock.fn(async () => []),
+      create: mock.fn(async (options) => ({ id: 1, ...options })),
+    },
+    contextMenus: {
+      create: mock.fn(),
+      removeAll: mock.fn(async () => {}),
+      onClicked: createEvent(),
+    },
+    alarms: {
+      create: mock.fn(async () => {}),
+      clear: mock.fn(async () => true),
+      get: mock.fn(async () => undefined),
+      onAlarm: createEvent(),
+    },
+    permissions: {
+      contains: mock.fn(async () => false),
+      request: mock.fn(async () => false),
+    },
+    commands: {
+      onCommand: createEvent(),
+    },
+    omnibox: {
+      setDefaultSuggestion: mock.fn(),
+      onInputChanged: createEvent(),
+      onInputEntered: createEvent(),
+    },
+  };
+
+  globalThis.chrome = chrome;
+  return chrome;
+};
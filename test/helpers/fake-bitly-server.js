@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Fake Bit.ly API for tests
+ *
+ * A local HTTP(S) server that answers like `https://api-ssl.bitly.com/v4`
+ * closely enough for PocketLink's shortening, connection test and "Expand
+ * shortlink" paths:
+ *
+ * | Endpoint | Answer |
+ * |----------|--------|
+ * | `POST /v4/shorten` | `{ link, id, long_url }`, a new `https://bit.ly/...` link per URL |
+ * | `GET /v4/user` | A user whose default group is `Bfake1234` |
+ * | `POST /v4/expand` | The long URL behind a link this server created |
+ *
+ * Requests without `Authorization: Bearer <token>` get 403 `FORBIDDEN`, as
+ * from Bit.ly, and non-http(s) URLs get 400 `INVALID_ARG_LONG_URL`. Tests
+ * can make the next requests fail another way with `queueResponse()`.
+ *
+ * Unit tests point `fetch()` at the server with `redirectBitlyFetch()`; the
+ * end-to-end tests start it with a certificate and map the Bit.ly hostname
+ * to it in Chromium.
+ *
+ * Uses only Node's standard library.
+ *
+ * @example
+ * const bitly = await startFakeBitlyServer();
+ * redirectBitlyFetch(bitly.origin);
+ * bitly.queueResponse({ status: 429, body: { message: 'RATE_LIMIT_EXCEEDED' } });
+ * // ...
+ * await bitly.close();
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import { mock } from 'node:test';
+
+/**
+ * Origin of the real Bit.ly API, as used in extension/providers.js.
+ *
+ * @type {string}
+ */
+export const BITLY_API_ORIGIN = 'https://api-ssl.bitly.com';
+
+/**
+ * @typedef {Object} RecordedRequest
+ * @property {string} method - HTTP method
+ * @property {string} path - Path and query, e.g. "/v4/shorten"
+ * @property {Object<string, string>} headers - Request headers, lower-cased
+ * @property {Object|null} body - Parsed JSON body, if any
+ */
+
+/**
+ * @typedef {Object} QueuedResponse
+ * @property {number} status - HTTP status
+ * @property {Object} [body] - JSON body
+ * @property {Object<string, string>} [headers] - Extra headers, e.g. `Retry-After`
+ */
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} response - The response to write
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object<string, string>} [headers] - Extra headers
+ */
+const sendJson = (response, status, body, headers = {}) => {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body));
+};
+
+/**
+ * Reads a request body as JSON.
+ *
+ * @async
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<Object|null>} The parsed body, or null if empty or not JSON
+ */
+const readJson = async (request) => {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Starts the fake API on a free port of 127.0.0.1.
+ *
+ * @async
+ * @param {Object} [options]
+ * @param {{key: string, cert: string}} [options.tls] - Serve HTTPS with this
+ *   PEM key and certificate instead of plain HTTP
+ * @returns {Promise<{origin: string, port: number, requests: Array<RecordedRequest>,
+ *   links: Map<string, string>, queueResponse: function(QueuedResponse): void,
+ *   close: function(): Promise<void>}>} `links` maps each created shortlink
+ *   to its long URL
+ */
+export const startFakeBitlyServer = async ({ tls } = {}) => {
+  const requests = [];
+  const queued = [];
+  const links = new Map();
+
+  const handle = async (request, response) => {
+    const body = await readJson(request);
+    const path = request.url;
+    requests.push({ method: request.method, path, headers: request.headers, body });
+
+    if (queued.length) {
+      const { status, body: queuedBody = {}, headers } = queued.shift();
+      sendJson(response, status, queuedBody, headers);
+      return;
+    }
+
+    if (!/^Bearer \S+/.test(request.headers.authorization || '')) {
+      sendJson(response, 403, { message: 'FORBIDDEN', description: 'You are currently forbidden to access this resource.' });
+      return;
+    }
+
+    if (request.method === 'POST' && path === '/v4/shorten') {
+      if (!/^https?:\/\//i.test(body?.long_url || '')) {
+        sendJson(response, 400, { message: 'INVALID_ARG_LONG_URL', description: 'The value provided is invalid.' });
+        return;
+      }
+      const id = `bit.ly/fake${links.size + 1}`;
+      links.set(`https://${id}`, body.long_url);
+      sendJson(response, 200, { link: `https://${id}`, id, long_url: body.long_url });
+      return;
+    }
+
+    if (request.method === 'GET' && path === '/v4/user') {
+      sendJson(response, 200, { login: 'pocketlink-test', name: 'PocketLink Test', default_group_guid: 'Bfake1234' });
+      return;
+    }
+
+    if (request.method === 'POST' && path === '/v4/expand') {
+      const longUrl = links.get(`https://${body?.bitlink_id}`);
+      if (!longUrl) {
+        sendJson(response, 404, { message: 'NOT_FOUND', description: 'The requested resource was not found.' });
+        return;
+      }
+      sendJson(response, 200, { id: body.bitlink_id, link: `https://${body.bitlink_id}`, long_url: longUrl });
+      return;
+    }
+
+    sendJson(response, 404, { message: 'NOT_FOUND', description: 'The requested resource was not found.' });
+  };
+
+  const server = tls ? https.createServer(tls, handle) : http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    origin: `${tls ? 'https' : 'http'}://127.0.0.1:${port}`,
+    port,
+    requests,
+    links,
+    queueResponse: (queuedResponse) => {
+      queued.push(queuedResponse);
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+};
+
+/**
+ * Sends the Bit.ly API requests made with `fetch()` to the fake server
+ * instead. Other URLs are fetched as usual. Undone by `mock.restoreAll()`.
+ *
+ * @param {string} origin - The fake server's origin
+ * @returns {Object} The `fetch` mock, to inspect its calls
+ */
+export const redirectBitlyFetch = (origin) => {
+  const realFetch = globalThis.fetch;
+  return mock.method(globalThis, 'fetch', (url, init) => {
+    const target = String(url).startsWith(BITLY_API_ORIGIN) ? `${origin}${String(url).slice(BITLY_API_ORIGIN.length)}` : url;
+    return realFetch(target, init);
+  });
+};
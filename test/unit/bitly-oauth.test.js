@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+import {
+  BITLY_TOKEN_REFRESH_ALARM,
+  getBitlyOAuthConfig,
+  refreshBitlyToken,
+  saveBitlyOAuthConfig,
+} from '../../extension/bitly-oauth.js';
+import {
+  BITLY_OAUTH_CREDENTIALS_KEY,
+  CREDENTIAL_STORAGE_MODES,
+  lockCredentials,
+  readCredentials,
+  writeCredentials,
+} from '../../extension/credential-store.js';
+
+const session = { account: 'pocketlink-test', expiresAt: Date.now() + 60000, signedInAt: Date.now() };
+
+/**
+ * Answers the token endpoint with a new access and refresh token.
+ *
+ * @returns {Object} The `fetch` mock
+ */
+const mockTokenEndpoint = () => mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({
+  access_token: 'access-2',
+  refresh_token: 'refresh-2',
+  expires_in: 3600,
+})));
+
+beforeEach(() => {
+  installChromeMock();
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('saveBitlyOAuthConfig', () => {
+  it('saves the client secret with the credentials', async () => {
+    await writeCredentials({}, CREDENTIAL_STORAGE_MODES.LOCAL);
+
+    await saveBitlyOAuthConfig({ clientId: 'client', clientSecret: ' secret ', tokenUrl: 'http://localhost:8787/token' });
+
+    assert.equal('clientSecret' in chrome.storage.local.data.bitlyOAuthConfig, false);
+    assert.equal(chrome.storage.local.data.credentials[BITLY_OAUTH_CREDENTIALS_KEY].clientSecret, 'secret');
+    assert.equal((await getBitlyOAuthConfig()).clientSecret, 'secret');
+  });
+});
+
+describe('refreshBitlyToken', () => {
+  it('sends the stored refresh token and saves the new one', async () => {
+    const fetch = mockTokenEndpoint();
+    chrome.storage.local.data.bitlyOAuth = session;
+    await writeCredentials({
+      bitlyToken: 'access-1',
+      [BITLY_OAUTH_CREDENTIALS_KEY]: { refreshToken: 'refresh-1' },
+    }, CREDENTIAL_STORAGE_MODES.LOCAL);
+
+    await refreshBitlyToken();
+
+    assert.equal(new URLSearchParams(fetch.mock.calls[0].arguments[1].body).get('refresh_token'), 'refresh-1');
+    const { values } = await readCredentials();
+    assert.equal(values.bitlyToken, 'access-2');
+    assert.equal(values[BITLY_OAUTH_CREDENTIALS_KEY].refreshToken, 'refresh-2');
+    assert.equal('refreshToken' in chrome.storage.local.data.bitlyOAuth, false);
+    assert.equal(chrome.alarms.create.mock.calls[0].arguments[0], BITLY_TOKEN_REFRESH_ALARM);
+  });
+
+  it('sends nothing while encrypted credentials are locked', async () => {
+    const fetch = mockTokenEndpoint();
+    chrome.storage.local.data.bitlyOAuth = session;
+    await writeCredentials({
+      bitlyToken: 'access-1',
+      [BITLY_OAUTH_CREDENTIALS_KEY]: { refreshToken: 'refresh-1' },
+    }, CREDENTIAL_STORAGE_MODES.ENCRYPTED, 'correct horse battery staple');
+    await lockCredentials();
+
+    await assert.rejects(refreshBitlyToken(), /locked/);
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+});
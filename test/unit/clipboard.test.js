@@ -0,0 +1,294 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+
+const content = { shortUrl: 'https://bit.ly/abc', text: 'https://bit.ly/abc', html: '' };
+const tab = { id: 7, url: 'https://example.com/' };
+
+let loads = 0;
+
+/**
+ * Imports a fresh copy of clipboard.js, as if the service worker had just
+ * started, so `offscreenDocumentCreated` starts out false.
+ *
+ * @returns {Promise<Object>} The module's exports
+ */
+const loadClipboard = () => {
+  loads += 1;
+  return import(`../../extension/clipboard.js?worker=${loads}`);
+};
+
+/**
+ * Makes the mock behave like Chrome 109-115, which has offscreen documents
+ * but no `runtime.getContexts()`.
+ */
+const withoutGetContexts = () => {
+  delete chrome.runtime.getContexts;
+};
+
+/**
+ * Makes offscreen.js report that it could not write to the clipboard.
+ */
+const failOffscreenCopy = () => {
+  chrome.runtime.sendMessage.mock.mockImplementation(async () => ({ success: false, error: 'Document is not focused.' }));
+};
+
+beforeEach(() => {
+  installChromeMock();
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('handleShortlink', () => {
+  it('copies through the offscreen document in offscreen mode', async () => {
+    const { handleShortlink } = await loadClipboard();
+
+    await handleShortlink({ text: 'https://bit.ly/abc', html: '<a href="https://bit.ly/abc">Story</a>' },
+      { interactionMode: 'offscreen', showNotifications: true }, tab);
+
+    assert.deepEqual(chrome.runtime.sendMessage.mock.calls[0].arguments[0], {
+      action: 'copyToClipboard',
+      text: 'https://bit.ly/abc',
+      html: '<a href="https://bit.ly/abc">Story</a>',
+    });
+    assert.equal(chrome.scripting.executeScript.mock.callCount(), 0);
+    assert.equal(chrome.notifications.create.mock.callCount(), 1);
+  });
+
+  it('injects into the tab in injection mode', async () => {
+    const { handleShortlink } = await loadClipboard();
+
+    await handleShortlink(content, { interactionMode: 'injection', showNotifications: false }, tab);
+
+    const [{ target, args }] = chrome.scripting.executeScript.mock.calls[0].arguments;
+    assert.deepEqual(target, { tabId: 7 });
+    assert.deepEqual(args, ['https://bit.ly/abc', '']);
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 0);
+    assert.equal(chrome.notifications.create.mock.callCount(), 0);
+  });
+
+  it('opens the popup window in popup mode', async () => {
+    const { handleShortlink } = await loadClipboard();
+
+    await handleShortlink(content, { interactionMode: 'popup' }, tab);
+
+    assert.deepEqual(chrome.storage.local.data.currentShortlink, content);
+    assert.equal(chrome.windows.create.mock.calls[0].arguments[0].url, 'chrome-extension://pocketlink-test/popup.html');
+    assert.equal(chrome.scripting.executeScript.mock.callCount(), 0);
+  });
+
+  it('treats an unknown mode as injection', async () => {
+    const { handleShortlink } = await loadClipboard();
+
+    await handleShortlink(content, { interactionMode: 'carrier-pigeon' }, tab);
+
+    assert.equal(chrome.scripting.executeScript.mock.callCount(), 1);
+  });
+
+  it('falls back to the popup window when offscreen copying fails', async () => {
+    const { handleShortlink } = await loadClipboard();
+    failOffscreenCopy();
+    const markdown = { shortUrl: 'https://bit.ly/abc', text: '[Story](https://bit.ly/abc)' };
+
+    await handleShortlink(markdown, { interactionMode: 'offscreen', fallbackMode: true }, tab);
+
+    assert.equal(chrome.windows.create.mock.callCount(), 1);
+    assert.equal(chrome.storage.local.data.currentShortlink.shortUrl, 'https://bit.ly/abc');
+    assert.equal(chrome.storage.local.data.currentShortlink.text, '[Story](https://bit.ly/abc)');
+  });
+
+  it('falls back to the popup window when injection fails', async () => {
+    const { handleShortlink } = await loadClipboard();
+    chrome.scripting.executeScript.mock.mockImplementation(async () => {
+      throw new Error('Cannot access a chrome:// URL');
+    });
+
+    await handleShortlink(content, { interactionMode: 'injection', fallbackMode: true }, tab);
+
+    assert.equal(chrome.windows.create.mock.callCount(), 1);
+  });
+
+  it('reports the failure when the fallback is turned off', async () => {
+    const { handleShortlink } = await loadClipboard();
+    failOffscreenCopy();
+
+    await assert.rejects(
+      handleShortlink(content, { interactionMode: 'offscreen', fallbackMode: false }, tab),
+      { message: 'Document is not focused.' }
+    );
+    assert.equal(chrome.windows.create.mock.callCount(), 0);
+  });
+
+  it('has no fallback for popup mode itself', async () => {
+    const { handleShortlink } = await loadClipboard();
+    chrome.windows.create.mock.mockImplementation(async () => {
+      throw new Error('No current window');
+    });
+
+    await assert.rejects(
+      handleShortlink(content, { interactionMode: 'popup', fallbackMode: true }, tab),
+      { message: 'No current window' }
+    );
+    assert.equal(chrome.windows.create.mock.callCount(), 1);
+  });
+});
+
+describe('copyWithoutTab', () => {
+  it('uses the offscreen document instead of injection', async () => {
+    const { copyWithoutTab } = await loadClipboard();
+
+    await copyWithoutTab(content, { interactionMode: 'injection' });
+
+    assert.equal(chrome.runtime.sendMessage.mock.callCount(), 1);
+    assert.equal(chrome.scripting.executeScript.mock.callCount(), 0);
+  });
+
+  it('keeps popup mode', async () => {
+    const { copyWithoutTab } = await loadClipboard();
+
+    await copyWithoutTab(content, { interactionMode: 'popup' });
+
+    assert.equal(chrome.windows.create.mock.callCount(), 1);
+    assert.equal(chrome.runtime.sendMessage.mock.callCount(), 0);
+  });
+});
+
+describe('ensureOffscreenDocument', () => {
+  it('throws where offscreen documents are not supported', async () => {
+    const { ensureOffscreenDocument } = await loadClipboard();
+    delete chrome.offscreen;
+
+    await assert.rejects(ensureOffscreenDocument(), /not supported/);
+  });
+
+  it('creates the document for the clipboard when none is open', async () => {
+    const { ensureOffscreenDocument } = await loadClipboard();
+
+    assert.equal(await ensureOffscreenDocument(), true);
+
+    assert.deepEqual(chrome.runtime.getContexts.mock.calls[0].arguments[0], {
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: ['chrome-extension://pocketlink-test/offscreen.html'],
+    });
+    assert.deepEqual(chrome.offscreen.createDocument.mock.calls[0].arguments[0], {
+      url: 'offscreen.html',
+      reasons: ['CLIPBOARD'],
+      justification: 'Write shortlink to clipboard',
+    });
+  });
+
+  it('reuses a document that is already open', async () => {
+    const { ensureOffscreenDocument } = await loadClipboard();
+    chrome.runtime.getContexts.mock.mockImplementation(async () => [{ contextType: 'OFFSCREEN_DOCUMENT' }]);
+
+    assert.equal(await ensureOffscreenDocument(), false);
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 0);
+  });
+
+  it('still creates the document when the contexts cannot be read', async () => {
+    const { ensureOffscreenDocument } = await loadClipboard();
+    chrome.runtime.getContexts.mock.mockImplementation(async () => {
+      throw new Error('getContexts failed');
+    });
+
+    assert.equal(await ensureOffscreenDocument(), true);
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 1);
+  });
+
+  it('remembers the document it created without getContexts()', async () => {
+    const { ensureOffscreenDocument } = await loadClipboard();
+    withoutGetContexts();
+
+    assert.equal(await ensureOffscreenDocument(), true);
+    assert.equal(await ensureOffscreenDocument(), false);
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 1);
+  });
+
+  it('passes the reason as a string where Reason is missing', async () => {
+    const { ensureOffscreenDocument } = await loadClipboard();
+    delete chrome.offscreen.Reason;
+
+    await ensureOffscreenDocument();
+
+    assert.deepEqual(chrome.offscreen.createDocument.mock.calls[0].arguments[0].reasons, ['CLIPBOARD']);
+  });
+});
+
+describe('copyViaOffscreen', () => {
+  it('closes the document it created once the copy is done', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+
+    await copyViaOffscreen('https://bit.ly/abc', { showNotifications: false });
+
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 1);
+    assert.equal(chrome.offscreen.closeDocument.mock.callCount(), 1);
+    assert.equal(chrome.notifications.create.mock.callCount(), 0);
+  });
+
+  it('closes the document it created when the copy fails', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+    failOffscreenCopy();
+
+    await assert.rejects(copyViaOffscreen('https://bit.ly/abc', { showNotifications: true }), {
+      message: 'Document is not focused.',
+    });
+    assert.equal(chrome.offscreen.closeDocument.mock.callCount(), 1);
+    assert.equal(chrome.notifications.create.mock.callCount(), 0);
+  });
+
+  it('closes the document when the message cannot be delivered', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+    chrome.runtime.sendMessage.mock.mockImplementation(async () => {
+      throw new Error('Could not establish connection. Receiving end does not exist.');
+    });
+
+    await assert.rejects(copyViaOffscreen('https://bit.ly/abc', {}), /Receiving end does not exist/);
+    assert.equal(chrome.offscreen.closeDocument.mock.callCount(), 1);
+  });
+
+  it('leaves open a document it did not create', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+    chrome.runtime.getContexts.mock.mockImplementation(async () => [{ contextType: 'OFFSCREEN_DOCUMENT' }]);
+
+    await copyViaOffscreen('https://bit.ly/abc', {});
+
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 0);
+    assert.equal(chrome.offscreen.closeDocument.mock.callCount(), 0);
+  });
+
+  it('creates the document again after closing it without getContexts()', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+    withoutGetContexts();
+
+    await copyViaOffscreen('https://bit.ly/abc', {});
+    await copyViaOffscreen('https://bit.ly/def', {});
+
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 2);
+    assert.equal(chrome.offscreen.closeDocument.mock.callCount(), 2);
+  });
+
+  it('forgets the document even when closing it fails', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+    withoutGetContexts();
+    chrome.offscreen.closeDocument.mock.mockImplementation(async () => {
+      throw new Error('No current offscreen document.');
+    });
+
+    await copyViaOffscreen('https://bit.ly/abc', {});
+    await copyViaOffscreen('https://bit.ly/def', {});
+
+    assert.equal(chrome.offscreen.createDocument.mock.callCount(), 2);
+  });
+
+  it('shows a notification when they are turned on', async () => {
+    const { copyViaOffscreen } = await loadClipboard();
+
+    await copyViaOffscreen('https://bit.ly/abc', { showNotifications: true });
+
+    assert.equal(chrome.notifications.create.mock.calls[0].arguments[0].message, 'Shortlink created and copied to clipboard!');
+  });
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+import { redirectBitlyFetch, startFakeBitlyServer } from '../helpers/fake-bitly-server.js';
+import { expandShortlink } from '../../extension/link-expander.js';
+
+const settings = { provider: 'bitly', bitlyToken: 'test-token' };
+
+let bitly;
+
+before(async () => {
+  bitly = await startFakeBitlyServer();
+});
+
+after(async () => {
+  await bitly.close();
+});
+
+beforeEach(() => {
+  installChromeMock();
+  redirectBitlyFetch(bitly.origin);
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('expandShortlink', () => {
+  it('looks up Bit.ly links through the API', async () => {
+    bitly.links.set('https://bit.ly/story', 'https://example.com/story');
+
+    const result = await expandShortlink('https://bit.ly/story', settings);
+
+    assert.equal(result.finalUrl, 'https://example.com/story');
+    assert.equal(result.hops[0].via, 'Bit.ly');
+  });
+
+  it('falls back to following the link when the API lookup fails', async () => {
+    const result = await expandShortlink('https://bit.ly/elsewhere', settings);
+
+    assert.deepEqual(result.hops, []);
+    assert.equal(result.finalUrl, null);
+    assert.equal(result.needsPermission, true);
+    assert.equal(chrome.permissions.contains.mock.callCount(), 1);
+  });
+});
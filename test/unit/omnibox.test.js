@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+import { findOwnedLink } from '../../extension/omnibox.js';
+import { HISTORY_STORAGE_KEY } from '../../extension/shortlink-history.js';
+
+beforeEach(() => {
+  installChromeMock();
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('findOwnedLink', () => {
+  it('finds a shortlink from the history', async () => {
+    chrome.storage.local.data[HISTORY_STORAGE_KEY] = [
+      { id: '1', shortUrl: 'https://tinyurl.com/abc', longUrl: 'https://example.com/', title: 'Example', provider: 'tinyurl' },
+    ];
+
+    assert.deepEqual(await findOwnedLink('https://tinyurl.com/abc', { provider: 'bitly' }), {
+      shortUrl: 'https://tinyurl.com/abc',
+      longUrl: 'https://example.com/',
+      title: 'Example',
+    });
+  });
+
+  it('recognizes a provider\'s links that are not in the history', async () => {
+    const link = await findOwnedLink('https://go.example.org/spring', { provider: 'bitly', bitlyDomain: 'go.example.org' });
+
+    assert.equal(link.shortUrl, 'https://go.example.org/spring');
+  });
+
+  it('leaves other URLs to be shortened', async () => {
+    assert.equal(await findOwnedLink('https://example.com/story', { provider: 'bitly' }), null);
+  });
+});
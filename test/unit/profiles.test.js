@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+import { resolveProfileSettings } from '../../extension/profiles.js';
+import { getShortenSettings } from '../../extension/shortener.js';
+
+const profile = { id: 'daily', name: 'The Daily', provider: 'tinyurl', copyFormat: 'markdown' };
+
+beforeEach(() => {
+  installChromeMock();
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('resolveProfileSettings', () => {
+  it('applies the active profile', () => {
+    const settings = resolveProfileSettings({
+      provider: 'bitly',
+      copyFormat: 'plain',
+      profiles: [profile],
+      activeProfileId: 'daily',
+      profileCredentials: { daily: { tinyurlToken: 'daily-token' } },
+    });
+
+    assert.equal(settings.provider, 'tinyurl');
+    assert.equal(settings.tinyurlToken, 'daily-token');
+    assert.equal(settings.copyFormat, 'markdown');
+    assert.equal(settings.profileId, 'daily');
+  });
+
+  it('uses the most specific site rule', () => {
+    const settings = resolveProfileSettings({
+      provider: 'bitly',
+      profiles: [profile, { id: 'sports', name: 'Sports', provider: 'isgd' }],
+      profileRules: [
+        { hostname: 'example.com', profileId: 'daily' },
+        { hostname: 'sports.example.com', profileId: 'sports' },
+      ],
+      profileCredentials: {},
+    }, 'https://live.sports.example.com/game');
+
+    assert.equal(settings.profileId, 'sports');
+  });
+
+  it('keeps the values of settings locked by policy', () => {
+    const settings = resolveProfileSettings({
+      provider: 'bitly',
+      bitlyToken: 'managed-token',
+      bitlyDomain: 'go.example.org',
+      copyFormat: 'plain',
+      profiles: [{ ...profile, provider: 'bitly' }],
+      activeProfileId: 'daily',
+      profileCredentials: { daily: { bitlyToken: 'daily-token', bitlyDomain: 'bit.ly' } },
+      lockedSettings: ['bitlyDomain', 'copyFormat'],
+    });
+
+    assert.equal(settings.bitlyToken, 'daily-token');
+    assert.equal(settings.bitlyDomain, 'go.example.org');
+    assert.equal(settings.copyFormat, 'plain');
+  });
+});
+
+describe('getShortenSettings', () => {
+  it('does not let a profile switch a provider locked by policy', async () => {
+    chrome.storage.managed.data = { provider: 'bitly', bitlyDomain: 'go.example.org', lockedSettings: ['provider', 'bitlyDomain'] };
+    chrome.storage.sync.data = {
+      provider: 'tinyurl',
+      profiles: [{ ...profile, provider: 'isgd' }],
+      profileRules: [{ hostname: 'example.com', profileId: 'daily' }],
+      profileCredentials: { daily: {} },
+    };
+
+    const settings = await getShortenSettings('https://example.com/story');
+
+    assert.equal(settings.profileId, 'daily');
+    assert.equal(settings.provider, 'bitly');
+    assert.equal(settings.bitlyDomain, 'go.example.org');
+    assert.deepEqual(settings.lockedSettings, ['provider', 'bitlyDomain']);
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+import {
+  getSettings,
+  importSettings,
+  migrateSettings,
+  saveSettings,
+} from '../../extension/settings-schema.js';
+
+/**
+ * Wraps settings the way `exportSettings()` does.
+ *
+ * @param {Object} settings - The settings
+ * @returns {Object} The export
+ */
+const exported = (settings) => ({ format: 'pocketlink-settings', version: 1, settings });
+
+beforeEach(() => {
+  installChromeMock();
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('migrateSettings', () => {
+  it('keeps Bit.ly as the service of a first-release install', async () => {
+    chrome.storage.sync.data = {
+      bitlyToken: ' token\n',
+      interactionMode: 'popup',
+      showNotifications: false,
+      fallbackMode: true,
+    };
+
+    assert.equal(await migrateSettings(), 0);
+
+    assert.deepEqual(chrome.storage.sync.data, {
+      provider: 'bitly',
+      bitlyToken: 'token',
+      interactionMode: 'popup',
+      showNotifications: false,
+      fallbackMode: true,
+      settingsVersion: 1,
+    });
+  });
+
+  it('only records the version of a new install', async () => {
+    await migrateSettings();
+
+    assert.deepEqual(chrome.storage.sync.data, { settingsVersion: 1 });
+  });
+});
+
+describe('importSettings', () => {
+  it('saves well-formed lists', async () => {
+    const result = await importSettings(exported({
+      utmTemplates: [{ id: 'news', name: 'Newsletter', utm_source: 'newsletter' }],
+      profiles: [{ id: 'daily', name: 'The Daily', provider: 'tinyurl', copyFormat: '' }],
+      profileRules: [{ hostname: 'example.com', profileId: 'daily' }],
+    }));
+
+    assert.deepEqual(result.skipped, []);
+    assert.equal(chrome.storage.sync.data.profiles[0].provider, 'tinyurl');
+  });
+
+  it('skips lists with entries of the wrong shape', async () => {
+    const result = await importSettings(exported({
+      utmTemplates: [1],
+      profiles: [null],
+      profileRules: [{}],
+      showNotifications: false,
+    }));
+
+    assert.deepEqual(result.imported, ['showNotifications']);
+    assert.deepEqual(result.skipped, ['utmTemplates', 'profiles', 'profileRules']);
+    assert.equal('profiles' in chrome.storage.sync.data, false);
+  });
+
+  it('skips profiles of an unknown service', async () => {
+    const result = await importSettings(exported({
+      profiles: [{ id: 'daily', name: 'The Daily', provider: 'carrier-pigeon' }],
+    }));
+
+    assert.deepEqual(result.skipped, ['profiles']);
+  });
+
+  it('skips numbers out of range', async () => {
+    const result = await importSettings(exported({ cacheTtlDays: -1, qrSize: 300, showNotifications: false }));
+
+    assert.deepEqual(result.skipped, ['cacheTtlDays', 'qrSize']);
+  });
+});
+
+describe('getSettings', () => {
+  it('ignores a policy list with entries of the wrong shape', async () => {
+    chrome.storage.managed.data = { profileRules: [{ hostname: 'example.com' }] };
+
+    const settings = await getSettings();
+
+    assert.deepEqual(settings.profileRules, []);
+  });
+});
+
+describe('saveSettings', () => {
+  it('skips invalid settings, credentials and settings the policy locks', async () => {
+    chrome.storage.managed.data = { lockedSettings: ['activeProfileId'] };
+
+    const saved = await saveSettings({
+      qrErrorCorrection: 'H',
+      qrSize: 'large',
+      bitlyToken: 'token',
+      activeProfileId: 'daily',
+    });
+
+    assert.deepEqual(saved, ['qrErrorCorrection']);
+    assert.deepEqual(chrome.storage.sync.data, { qrErrorCorrection: 'H' });
+  });
+});
@@ -0,0 +1,212 @@
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, it, mock } from 'node:test';
+
+import { installChromeMock } from '../helpers/chrome-mock.js';
+import { redirectBitlyFetch, startFakeBitlyServer } from '../helpers/fake-bitly-server.js';
+import {
+  createShortlink,
+  getCredentialsError,
+  getOrCreateShortlink,
+  prepareLongUrl,
+  recordShortlink,
+} from '../../extension/shortener.js';
+import { SHORTLINK_ERROR_TYPES } from '../../extension/shortlink-errors.js';
+import { HISTORY_STORAGE_KEY } from '../../extension/shortlink-history.js';
+
+const settings = { provider: 'bitly', bitlyToken: 'test-token', cacheEnabled: true, cacheTtlDays: 30 };
+
+let bitly;
+
+before(async () => {
+  bitly = await startFakeBitlyServer();
+});
+
+after(async () => {
+  await bitly.close();
+});
+
+beforeEach(() => {
+  installChromeMock();
+  redirectBitlyFetch(bitly.origin);
+  bitly.requests.length = 0;
+  ['log', 'warn', 'error'].forEach((method) => mock.method(console, method, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('createShortlink', () => {
+  it('posts the long URL with the token and returns the link', async () => {
+    const shortUrl = await createShortlink('https://example.com/story', settings);
+
+    assert.match(shortUrl, /^https:\/\/bit\.ly\/fake\d+$/);
+    assert.equal(bitly.requests.length, 1);
+    const [request] = bitly.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/v4/shorten');
+    assert.equal(request.headers.authorization, 'Bearer test-token');
+    assert.deepEqual(request.body, { long_url: 'https://example.com/story' });
+  });
+
+  it('sends the chosen domain and group', async () => {
+    await createShortlink('https://example.com/', { ...settings, bitlyDomain: 'go.example.com', bitlyGroupGuid: 'Bgroup' });
+
+    assert.deepEqual(bitly.requests[0].body, {
+      long_url: 'https://example.com/',
+      domain: 'go.example.com',
+      group_guid: 'Bgroup',
+    });
+  });
+
+  it('refuses non-web addresses without a request', async () => {
+    await assert.rejects(createShortlink('chrome://settings', settings), {
+      errorType: SHORTLINK_ERROR_TYPES.UNSUPPORTED_URL,
+    });
+    assert.equal(bitly.requests.length, 0);
+  });
+
+  it('classifies rejected credentials', async () => {
+    await assert.rejects(createShortlink('https://example.com/', { ...settings, bitlyToken: '' }), {
+      errorType: SHORTLINK_ERROR_TYPES.AUTH,
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You are currently forbidden to access this resource.',
+    });
+  });
+
+  it('classifies URLs the service will not shorten', async () => {
+    bitly.queueResponse({ status: 400, body: { message: 'INVALID_ARG_LONG_URL', description: 'The value provided is invalid.' } });
+
+    await assert.rejects(createShortlink('https://example.com/', settings), {
+      errorType: SHORTLINK_ERROR_TYPES.UNSUPPORTED_URL,
+      status: 400,
+    });
+  });
+
+  it('retries a rate limit after the Retry-After delay', async () => {
+    bitly.queueResponse({ status: 429, body: { message: 'RATE_LIMIT_EXCEEDED' }, headers: { 'Retry-After': '0' } });
+
+    const shortUrl = await createShortlink('https://example.com/', settings);
+
+    assert.match(shortUrl, /^https:\/\/bit\.ly\//);
+    assert.equal(bitly.requests.length, 2);
+  });
+
+  it('gives up on an outage after the last attempt', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      bitly.queueResponse({ status: 503, body: { message: 'TEMPORARILY_UNAVAILABLE' }, headers: { 'Retry-After': '0' } });
+    }
+
+    await assert.rejects(createShortlink('https://example.com/', settings), {
+      errorType: SHORTLINK_ERROR_TYPES.OUTAGE,
+      status: 503,
+    });
+    assert.equal(bitly.requests.length, 3);
+  });
+
+  it('does not retry rejected credentials', async () => {
+    await assert.rejects(createShortlink('https://example.com/', { ...settings, bitlyToken: '' }));
+    assert.equal(bitly.requests.length, 1);
+  });
+
+  it('rejects a response without a link', async () => {
+    bitly.queueResponse({ status: 200, body: { id: 'bit.ly/nolink' } });
+
+    await assert.rejects(createShortlink('https://example.com/', settings), {
+      message: 'Invalid response from Bit.ly API',
+      errorType: SHORTLINK_ERROR_TYPES.UNKNOWN,
+    });
+  });
+});
+
+describe('getOrCreateShortlink', () => {
+  it('reuses the cached link for the same URL', async () => {
+    const first = await getOrCreateShortlink('https://example.com/cached', settings);
+    const second = await getOrCreateShortlink('https://example.com/cached', settings);
+
+    assert.equal(second, first);
+    assert.equal(bitly.requests.length, 1);
+  });
+
+  it('asks the service every time with the cache turned off', async () => {
+    const uncached = { ...settings, cacheEnabled: false };
+    await getOrCreateShortlink('https://example.com/uncached', uncached);
+    await getOrCreateShortlink('https://example.com/uncached', uncached);
+
+    assert.equal(bitly.requests.length, 2);
+  });
+
+  it('treats an unreadable cache as a miss', async () => {
+    chrome.storage.local.get.mock.mockImplementation(async () => {
+      throw new Error('Storage is unavailable');
+    });
+
+    const shortUrl = await getOrCreateShortlink('https://example.com/', settings);
+
+    assert.match(shortUrl, /^https:\/\/bit\.ly\//);
+  });
+});
+
+describe('prepareLongUrl', () => {
+  it('strips tracking parameters when cleaning is on', async () => {
+    const url = await prepareLongUrl('https://example.com/a?id=7&fbclid=abc', undefined, { cleanUrls: true, cleanUrlRules: '' });
+    assert.equal(url, 'https://example.com/a?id=7');
+  });
+
+  it('uses the canonical URL of the tab being shortened', async () => {
+    chrome.scripting.executeScript.mock.mockImplementation(async () => [{ result: 'https://example.com/canonical' }]);
+    const tab = { id: 4, url: 'https://example.com/amp/story' };
+
+    const url = await prepareLongUrl(tab.url, tab, { preferCanonical: true, cleanUrls: false });
+
+    assert.equal(url, 'https://example.com/canonical');
+    assert.deepEqual(chrome.scripting.executeScript.mock.calls[0].arguments[0].target, { tabId: 4 });
+  });
+
+  it('leaves other links on the page alone', async () => {
+    const tab = { id: 4, url: 'https://example.com/page' };
+
+    const url = await prepareLongUrl('https://example.com/other', tab, { preferCanonical: true, cleanUrls: false });
+
+    assert.equal(url, 'https://example.com/other');
+    assert.equal(chrome.scripting.executeScript.mock.callCount(), 0);
+  });
+});
+
+describe('getCredentialsError', () => {
+  it('names the missing field', () => {
+    assert.equal(
+      getCredentialsError({ provider: 'bitly', bitlyToken: '' }),
+      'Please set your Bit.ly access token in the options.'
+    );
+  });
+
+  it('asks for the passphrase while credentials are locked', () => {
+    assert.match(getCredentialsError({ ...settings, credentialsLocked: true }), /passphrase/);
+  });
+
+  it('is null when the provider is configured', () => {
+    assert.equal(getCredentialsError(settings), null);
+  });
+});
+
+describe('recordShortlink', () => {
+  it('adds the link to the history', async () => {
+    await recordShortlink('https://example.com/', 'https://bit.ly/abc', 'Example', settings);
+
+    const { [HISTORY_STORAGE_KEY]: history } = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+    assert.equal(history.length, 1);
+    assert.equal(history[0].shortUrl, 'https://bit.ly/abc');
+    assert.equal(history[0].title, 'Example');
+    assert.equal(history[0].provider, 'bitly');
+  });
+
+  it('does not throw when storage fails', async () => {
+    chrome.storage.local.set.mock.mockImplementation(async () => {
+      throw new Error('QUOTA_BYTES quota exceeded');
+    });
+
+    await recordShortlink('https://example.com/', 'https://bit.ly/abc', '', settings);
+  });
+});